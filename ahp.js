@@ -0,0 +1,116 @@
+/**
+ * Метод анализа иерархий (МАИ, Саати)
+ * Вектор приоритетов по матрице попарных сравнений и проверка согласованности суждений
+ */
+class AnalyticHierarchyProcess {
+    /**
+     * Конструктор анализатора
+     * @param {number} epsilon - точность степенного метода
+     * @param {number} maxIterations - максимальное число итераций
+     */
+    constructor(epsilon = 1e-10, maxIterations = 1000) {
+        this.epsilon = epsilon;
+        this.maxIterations = maxIterations;
+    }
+
+    /**
+     * Случайный индекс согласованности Саати для матрицы порядка n
+     * @param {number} n - порядок матрицы
+     * @returns {number} - случайный индекс RI
+     */
+    static randomIndex(n) {
+        const table = [0, 0, 0, 0.58, 0.90, 1.12, 1.24, 1.32, 1.41, 1.45, 1.49, 1.51, 1.48, 1.56, 1.57, 1.59];
+        return table[Math.min(n, table.length - 1)];
+    }
+
+    /**
+     * Значения шкалы Саати (от 9 до 1/9)
+     * @returns {Array} - { value, label }
+     */
+    static getScale() {
+        const scale = [];
+        for (let v = 9; v >= 2; v--) scale.push({ value: v, label: String(v) });
+        scale.push({ value: 1, label: '1' });
+        for (let v = 2; v <= 9; v++) scale.push({ value: 1 / v, label: `1/${v}` });
+        return scale;
+    }
+
+    /**
+     * Единичная матрица попарных сравнений (все элементы равноценны)
+     * @param {number} n - количество сравниваемых элементов
+     * @returns {Array} - матрица n×n
+     */
+    createMatrix(n) {
+        return Array.from({ length: n }, () => Array(n).fill(1));
+    }
+
+    /**
+     * Установка суждения a_ik и обратносимметричного ему a_ki = 1 / a_ik
+     * @param {Array} matrix - матрица попарных сравнений
+     * @param {number} i - индекс первого элемента
+     * @param {number} k - индекс второго элемента
+     * @param {number} value - значение по шкале Саати (1/9..9)
+     */
+    setJudgement(matrix, i, k, value) {
+        if (!(value >= 1 / 9 - this.epsilon && value <= 9 + this.epsilon)) {
+            throw new Error('Judgement must be on the Saaty scale from 1/9 to 9');
+        }
+        if (i === k) return;
+        matrix[i][k] = value;
+        matrix[k][i] = 1 / value;
+    }
+
+    /**
+     * Вектор приоритетов методом собственного вектора (степенной метод)
+     * @param {Array} matrix - положительная обратносимметричная матрица
+     * @returns {object} - { weights, lambdaMax, iterations }
+     */
+    priorityVector(matrix) {
+        const n = matrix.length;
+        let weights = Array(n).fill(1 / n);
+        let iterations = 0;
+
+        while (iterations < this.maxIterations) {
+            iterations++;
+            const product = matrix.map(row => row.reduce((sum, a, k) => sum + a * weights[k], 0));
+            const total = product.reduce((a, b) => a + b, 0);
+            const next = product.map(value => value / total);
+            const change = Math.max(...next.map((w, i) => Math.abs(w - weights[i])));
+            weights = next;
+            if (change < this.epsilon) break;
+        }
+
+        // λmax = среднее отношений (A·w)_i / w_i
+        const product = matrix.map(row => row.reduce((sum, a, k) => sum + a * weights[k], 0));
+        const lambdaMax = product.reduce((sum, value, i) => sum + value / weights[i], 0) / n;
+
+        return { weights, lambdaMax, iterations };
+    }
+
+    /**
+     * Анализ матрицы попарных сравнений
+     * @param {Array} matrix - матрица попарных сравнений
+     * @param {Array} names - названия сравниваемых элементов
+     * @returns {object} - приоритеты, λmax, индекс и отношение согласованности
+     */
+    analyze(matrix, names) {
+        const n = matrix.length;
+        const { weights, lambdaMax, iterations } = this.priorityVector(matrix);
+        const consistencyIndex = n > 2 ? Math.max(0, (lambdaMax - n) / (n - 1)) : 0;
+        const randomIndex = AnalyticHierarchyProcess.randomIndex(n);
+        const consistencyRatio = randomIndex > 0 ? consistencyIndex / randomIndex : 0;
+
+        return {
+            names: [...names],
+            matrix: matrix.map(row => [...row]),
+            weights,
+            lambdaMax,
+            iterations,
+            consistencyIndex,
+            randomIndex,
+            consistencyRatio,
+            consistent: consistencyRatio <= 0.1,
+            type: 'ahp'
+        };
+    }
+}
\ No newline at end of file
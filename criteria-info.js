@@ -8,6 +8,8 @@ const CriteriaInfo = {
         description: 'Критерий крайнего пессимизма, ориентированный на наихудшие условия.',
         formula: 'W_i = min(a_ij) по j, где a_ij - элементы матрицы',
         maxFormula: 'max(W_i) по i',
+        costFormula: 'W_i = max(c_ij) по j, где c_ij - затраты (потери)',
+        costOptimization: 'min(W_i) по i (минимакс)',
         calculation: 'Для каждой стратегии находится минимальный выигрыш (наихудший исход), затем выбирается стратегия с максимальным значением среди этих минимальных выигрышей.',
         steps: [
             'Для каждой строки матрицы (стратегии) найти минимальное значение',
@@ -22,6 +24,8 @@ const CriteriaInfo = {
         description: 'Критерий крайнего оптимизма, ориентированный на наилучшие условия.',
         formula: 'M_i = max(a_ij) по j',
         maxFormula: 'max(M_i) по i',
+        costFormula: 'M_i = min(c_ij) по j',
+        costOptimization: 'min(M_i) по i (минимин)',
         calculation: 'Для каждой стратегии находится максимальный выигрыш (наилучший исход), затем выбирается стратегия с максимальным значением среди этих максимальных выигрышей.',
         steps: [
             'Для каждой строки матрицы (стратегии) найти максимальное значение',
@@ -36,6 +40,8 @@ const CriteriaInfo = {
         description: 'Критерий минимизации максимальных потерь (сожалений).',
         formula: 'Сначала строится матрица рисков: r_ij = max(a_kj) по k - a_ij',
         minFormula: 'min(max(r_ij) по j) по i',
+        costFormula: 'r_ij = c_ij - min(c_kj) по k (сожаление от минимума столбца)',
+        costOptimization: 'min(max(r_ij) по j) по i',
         calculation: 'Сначала строится матрица рисков (сожалений), где каждый элемент показывает, сколько теряет ЛПР, выбрав данную стратегию при данном состоянии природы. Затем для каждой стратегии находится максимальный риск, и выбирается стратегия с минимальным значением среди этих максимальных рисков.',
         steps: [
             'Построить матрицу рисков: для каждого столбца найти максимальное значение, затем вычесть из него все значения столбца',
@@ -51,6 +57,8 @@ const CriteriaInfo = {
         description: 'Компромиссный критерий, учитывающий как оптимистичный, так и пессимистичный подходы.',
         formula: 'H_i = α * max(a_ij) + (1-α) * min(a_ij), где α ∈ [0,1]',
         maxFormula: 'max(H_i) по i',
+        costFormula: 'H_i = α * min(c_ij) + (1-α) * max(c_ij)',
+        costOptimization: 'min(H_i) по i',
         calculation: 'Для каждой стратегии вычисляется взвешенная сумма максимального и минимального выигрышей, где α - коэффициент оптимизма.',
         steps: [
             'Для каждой строки матрицы найти минимальное и максимальное значения',
@@ -60,11 +68,30 @@ const CriteriaInfo = {
         interpretation: 'При α=1 превращается в критерий Максимакс, при α=0 - в критерий Вальда. Позволяет регулировать степень оптимизма ЛПР.'
     },
     
+    owa: {
+        name: 'Обобщенный критерий Гурвица (OWA)',
+        description: 'Упорядоченное взвешенное усреднение: вес назначается каждой позиции в упорядоченной строке исходов.',
+        formula: 'OWA_i = Σ w_k * b_ik, где b_i1 ≥ b_i2 ≥ ... ≥ b_in - исходы стратегии по убыванию, Σ w_k = 1',
+        maxFormula: 'max(OWA_i) по i',
+        costFormula: 'OWA_i = Σ w_k * b_ik, где b_i1 ≤ ... ≤ b_in - затраты по возрастанию (от лучшего к худшему)',
+        costOptimization: 'min(OWA_i) по i',
+        calculation: 'Исходы каждой стратегии упорядочиваются от лучшего к худшему, после чего вычисляется их взвешенная сумма. Вектор весов задается вручную или генерируется по степени оптимизма orness = Σ w_k (n-k)/(n-1).',
+        steps: [
+            'Задать вектор весов позиций или степень оптимизма (orness)',
+            'Упорядочить исходы каждой стратегии от лучшего к худшему',
+            'Вычислить взвешенную сумму упорядоченных исходов',
+            'Выбрать стратегию с максимальным значением'
+        ],
+        interpretation: 'Веса (1, 0, ..., 0) дают критерий Максимакс, (0, ..., 0, 1) - критерий Вальда, равные веса - критерий Лапласа, веса (α, 0, ..., 0, 1-α) - критерий Гурвица.'
+    },
+    
     bayes: {
         name: 'Критерий Байеса (максимум математического ожидания)',
         description: 'Критерий для условий риска, максимизирующий ожидаемый выигрыш.',
         formula: 'B_i = Σ (p_j * a_ij), где p_j - вероятность j-го состояния природы',
         maxFormula: 'max(B_i) по i',
+        costFormula: 'B_i = Σ (p_j * c_ij)',
+        costOptimization: 'min(B_i) по i',
         calculation: 'Для каждой стратегии вычисляется математическое ожидание выигрыша как сумма произведений выигрышей на соответствующие вероятности состояний природы.',
         steps: [
             'Умножить каждый элемент строки на вероятность соответствующего состояния природы',
@@ -79,6 +106,8 @@ const CriteriaInfo = {
         description: 'Частный случай критерия Байеса при равных вероятностях всех состояний.',
         formula: 'L_i = (1/n) * Σ a_ij, где n - количество состояний природы',
         maxFormula: 'max(L_i) по i',
+        costFormula: 'L_i = (1/n) * Σ c_ij',
+        costOptimization: 'min(L_i) по i',
         calculation: 'Для каждой стратегии вычисляется среднее арифметическое выигрышей по всем состояниям природы.',
         steps: [
             'Для каждой строки вычислить сумму всех элементов',
@@ -86,6 +115,389 @@ const CriteriaInfo = {
             'Выбрать стратегию с максимальным средним значение'
         ],
         interpretation: 'Используется при полном отсутствии информации о вероятностях. Предполагает, что все состояния природы равновероятны.'
+    },
+    
+    hodges: {
+        name: 'Критерий Ходжа-Лемана',
+        description: 'Критерий для условий риска при частичном доверии к вероятностям состояний природы.',
+        formula: 'HL_i = λ * Σ (p_j * a_ij) + (1-λ) * min(a_ij), где λ ∈ [0,1]',
+        maxFormula: 'max(HL_i) по i',
+        costFormula: 'HL_i = λ * Σ (p_j * c_ij) + (1-λ) * max(c_ij)',
+        costOptimization: 'min(HL_i) по i',
+        calculation: 'Для каждой стратегии вычисляется взвешенная сумма математического ожидания выигрыша (критерий Байеса) и наихудшего выигрыша (критерий Вальда), где λ - коэффициент доверия к вероятностям.',
+        steps: [
+            'Для каждой строки вычислить математическое ожидание выигрыша по заданным вероятностям',
+            'Для каждой строки найти наихудшее значение',
+            'Вычислить значение критерия: HL = λ * E + (1-λ) * min',
+            'Выбрать стратегию с максимальным значением HL'
+        ],
+        interpretation: 'При λ=1 совпадает с критерием Байеса (полное доверие к вероятностям), при λ=0 - с критерием Вальда (вероятности игнорируются).'
+    },
+    
+    germeyer: {
+        name: 'Критерий Гермейера',
+        description: 'Критерий для условий риска, применяющий вероятности состояний природы к потерям.',
+        formula: 'G_i = min(p_j * a_ij) по j, где a_ij < 0 - потери',
+        maxFormula: 'max(G_i) по i',
+        costFormula: 'G_i = max(p_j * c_ij) по j, где c_ij > 0 - затраты',
+        costOptimization: 'min(G_i) по i',
+        calculation: 'Критерий рассчитан на отрицательные значения (потери). Если в матрице выигрышей есть неотрицательные значения, из всех элементов вычитается max(a_ij) + 1. Затем каждый элемент умножается на вероятность состояния, для каждой стратегии находится наихудшая взвешенная потеря и выбирается стратегия с наилучшим из этих значений.',
+        steps: [
+            'При необходимости сдвинуть матрицу так, чтобы все значения стали потерями',
+            'Умножить каждый элемент строки на вероятность соответствующего состояния природы',
+            'Для каждой строки найти минимальное взвешенное значение (наибольшую потерю)',
+            'Выбрать стратегию с максимальным значением среди найденных минимумов'
+        ],
+        interpretation: 'При равных вероятностях совпадает с критерием Вальда. Учитывает как величину потерь, так и вероятность их наступления.'
+    },
+    
+    product: {
+        name: 'Критерий произведений',
+        description: 'Критерий для положительных значений матрицы, оценивающий стратегию произведением исходов.',
+        formula: 'P_i = Π a_ij по j, где a_ij > 0',
+        maxFormula: 'max(P_i) по i',
+        costFormula: 'P_i = Π c_ij по j, где c_ij > 0',
+        costOptimization: 'min(P_i) по i',
+        calculation: 'Критерий применим только к положительным значениям. Если матрица содержит нулевые или отрицательные значения, ко всем элементам прибавляется 1 - min(a_ij). Затем для каждой стратегии вычисляется произведение ее исходов; стратегии сравниваются по его логарифму ln P_i = Σ ln a_ij, который дает тот же порядок и не переполняется при большом числе состояний.',
+        steps: [
+            'При необходимости сдвинуть матрицу так, чтобы все значения стали положительными',
+            'Для каждой строки вычислить произведение всех элементов',
+            'Выбрать стратегию с максимальным произведением'
+        ],
+        interpretation: 'Эквивалентен максимизации среднего геометрического исходов: сильнее, чем критерий Лапласа, штрафует стратегии с малыми значениями в отдельных состояниях.'
+    },
+    
+    weightedSum: {
+        name: 'Метод взвешенной суммы',
+        description: 'Многокритериальная оценка стратегий по взвешенной сумме нормализованных показателей.',
+        formula: 'WS_i = Σ w_j · r_ij, где r_ij - нормализованное значение показателя (больше - лучше), Σ w_j = 1',
+        maxFormula: 'max(WS_i) по i',
+        calculation: 'Показатели приводятся к сопоставимому виду выбранной нормализацией: min-max r = (x − min) / (max − min), векторной r = x / √Σx² или z-оценкой z = (x − x̄) / σ. Для показателей-затрат используется 1 − r или −z, чтобы большее значение всегда было лучше. Затем нормализованные значения умножаются на веса и суммируются.',
+        steps: [
+            'Нормализовать каждый показатель с учетом его направления',
+            'Умножить нормализованные значения на веса показателей',
+            'Сложить взвешенные значения по каждой стратегии',
+            'Упорядочить стратегии по убыванию суммы'
+        ],
+        interpretation: 'Метод полностью компенсаторный: слабое значение одного показателя может быть компенсировано высокими значениями других. Результат зависит от выбранной нормализации.'
+    },
+    
+    topsis: {
+        name: 'Метод TOPSIS (близость к идеальному решению)',
+        description: 'Многокритериальная оценка стратегий по расстояниям до идеального и антиидеального решений.',
+        formula: 'v_ij = w_j · r_ij; D⁺_i = √Σ (v_ij − v⁺_j)²; D⁻_i = √Σ (v_ij − v⁻_j)²; C_i = D⁻_i / (D⁺_i + D⁻_i)',
+        maxFormula: 'max(C_i) по i',
+        calculation: 'Нормализованные значения показателей умножаются на веса. Идеальное решение v⁺ составляют лучшие значения каждого показателя, антиидеальное v⁻ - худшие. Для каждой стратегии вычисляются евклидовы расстояния до них и относительная близость C к идеальному решению.',
+        steps: [
+            'Построить взвешенную нормализованную матрицу',
+            'Определить идеальное и антиидеальное решения',
+            'Вычислить расстояния каждой стратегии до идеального и антиидеального решений',
+            'Вычислить относительную близость C_i и упорядочить стратегии по ее убыванию'
+        ],
+        interpretation: 'C = 1 у стратегии, совпадающей с идеальным решением, C = 0 - с антиидеальным. Классический вариант метода использует векторную нормализацию.'
+    },
+    
+    vikor: {
+        name: 'Метод VIKOR (компромиссное решение)',
+        description: 'Многокритериальная оценка, находящая компромисс между суммарным и максимальным отставанием от лучших значений.',
+        formula: 'S_i = Σ w_j (f*_j − f_ij) / (f*_j − f⁻_j); R_i = max_j w_j (f*_j − f_ij) / (f*_j − f⁻_j); Q_i = v (S_i − S*) / (S⁻ − S*) + (1 − v)(R_i − R*) / (R⁻ − R*)',
+        maxFormula: 'min(Q_i) по i',
+        calculation: 'Для каждого показателя определяются лучшее f* и худшее f⁻ значения. S_i - взвешенное суммарное отставание стратегии («полезность большинства»), R_i - наибольшее отдельное отставание («сожаление»). Индекс Q объединяет их с весом v. Лидер по Q считается компромиссным решением, если его преимущество над второй стратегией не меньше 1 / (m − 1) и он также лучший по S или R.',
+        steps: [
+            'Определить лучшие и худшие значения каждого показателя',
+            'Вычислить S_i и R_i для каждой стратегии',
+            'Вычислить индекс Q_i при заданном v',
+            'Упорядочить стратегии по возрастанию Q',
+            'Проверить условия приемлемого преимущества и устойчивости'
+        ],
+        interpretation: 'v > 0.5 отражает стратегию большинства (важнее суммарный результат), v < 0.5 - вето (важнее отсутствие слабых показателей). Если условия компромисса не выполнены, рекомендуется рассматривать несколько лидирующих стратегий.'
+    },
+    
+    multiCriteria: {
+        name: 'Многокритериальная оценка',
+        description: 'Сравнение стратегий по нескольким показателям с весами и направлениями вместо игры с природой.',
+        formula: 'r_ij = norm(x_ij) с учетом направления показателя; WS, TOPSIS и VIKOR по нормализованной матрице',
+        calculation: 'Столбцы матрицы рассматриваются как показатели, а не как состояния природы. Для каждого показателя задаются вес и направление (выгода или затраты), после чего стратегии ранжируются тремя методами. Итоговая рекомендация определяется по согласию методов.',
+        steps: [
+            'Задать веса и направления показателей',
+            'Выбрать способ нормализации',
+            'Рассчитать взвешенную сумму, TOPSIS и VIKOR',
+            'Сравнить полученные ранжирования'
+        ],
+        interpretation: 'Совпадение лидера во всех методах свидетельствует об устойчивости выбора. Расхождение ранжирований указывает на чувствительность к способу агрегирования показателей.'
+    },
+    
+    saddle: {
+        name: 'Седловая точка (равновесие в чистых стратегиях)',
+        description: 'Проверка существования решения в чистых стратегиях до применения критериев.',
+        formula: 'a_ij - седловая точка, если a_ij = min_k a_ik = max_k a_kj',
+        maxFormula: 'max_i min_j a_ij = min_j max_i a_ij',
+        calculation: 'Для каждого элемента матрицы проверяется, является ли он одновременно минимальным в своей строке и максимальным в своем столбце. Седловая точка существует тогда и только тогда, когда максимин Вальда равен минимаксу.',
+        steps: [
+            'Для каждой строки найти минимальное значение',
+            'Для каждого столбца найти максимальное значение',
+            'Отметить элементы, совпадающие с минимумом строки и максимумом столбца',
+            'Сравнить нижнюю цену игры (максимин) с верхней (минимакс)'
+        ],
+        interpretation: 'Наличие седловой точки означает, что ни одной из сторон невыгодно отклоняться от соответствующей чистой стратегии. Все седловые точки имеют одинаковое значение.'
+    },
+    
+    gammaMaximin: {
+        name: 'Γ-максиминный критерий (интервальные вероятности)',
+        description: 'Критерий для условий, когда вероятности состояний заданы интервалами [l_j; u_j].',
+        formula: 'Γ_i = min E_p(a_i) по p: l_j ≤ p_j ≤ u_j, Σ p_j = 1',
+        maxFormula: 'max(Γ_i) по i',
+        costFormula: 'Γ_i = max E_p(c_i) по p: l_j ≤ p_j ≤ u_j, Σ p_j = 1',
+        costOptimization: 'min(Γ_i) по i',
+        calculation: 'Для каждой стратегии находится наихудшее математическое ожидание по всем распределениям, совместимым с интервалами. Экстремум достигается жадно: все состояния получают нижние границы, а оставшаяся вероятность 1 − Σ l_j последовательно отдается наименее благоприятным состояниям в пределах их верхних границ.',
+        steps: [
+            'Присвоить каждому состоянию нижнюю границу вероятности',
+            'Упорядочить состояния строки от наихудшего к наилучшему',
+            'Распределить остаток вероятности по наихудшим состояниям до верхних границ',
+            'Вычислить математическое ожидание и выбрать стратегию с наибольшим гарантированным значением'
+        ],
+        interpretation: 'Критерий обобщает критерии Байеса (интервалы вырождены в точки) и Вальда (интервалы [0; 1]). Выбранная стратегия защищена от наихудшего распределения в пределах экспертных оценок.'
+    },
+    
+    intervalProbabilities: {
+        name: 'Интервальные вероятности: Γ-максимин и E-допустимость',
+        description: 'Анализ стратегий при вероятностях, заданных интервалами.',
+        formula: 'P = {p: l_j ≤ p_j ≤ u_j, Σ p_j = 1}; E̲_i = min E_p(a_i), Ē_i = max E_p(a_i) по p ∈ P',
+        maxFormula: 'A_i E-допустима, если ∃ p ∈ P: E_p(a_i) ≥ E_p(a_k) для всех k',
+        calculation: 'Для каждой стратегии вычисляются наихудшее и наилучшее математические ожидания по множеству допустимых распределений. E-допустимость проверяется решением задачи линейного программирования (первая фаза симплекс-метода): ищется распределение из P, при котором стратегия оптимальна по критерию Байеса.',
+        steps: [
+            'Вычислить нижнее и верхнее математическое ожидание каждой стратегии',
+            'Выбрать Γ-максиминную стратегию по наихудшему ожиданию',
+            'Для каждой стратегии проверить совместность системы ограничений E-допустимости',
+            'Исключить стратегии, не оптимальные ни при одном допустимом распределении'
+        ],
+        interpretation: 'Если E-допустимой является единственная стратегия, решение не зависит от того, какое распределение внутри интервалов верно. Несколько E-допустимых стратегий означают, что для выбора между ними нужны более точные оценки вероятностей.'
+    },
+    
+    ordinalMaximin: {
+        name: 'Γ-максиминный критерий (ранжированные вероятности)',
+        description: 'Критерий для условий, когда известен только порядок состояний природы по правдоподобию.',
+        formula: 'p^(k) - равномерное распределение по k наиболее вероятным уровням; Γ_i = min_k Σ p_j^(k) · a_ij',
+        maxFormula: 'max(Γ_i) по i',
+        costFormula: 'Γ_i = max_k Σ p_j^(k) · c_ij',
+        costOptimization: 'min(Γ_i) по i',
+        calculation: 'Множество распределений, согласованных с порядком p_1 ≥ p_2 ≥ … (равные ранги - равные вероятности), является многогранником. Его крайние точки - равномерные распределения по первым k уровням правдоподобия. Математическое ожидание линейно по вероятностям, поэтому наихудшее ожидание стратегии достигается в одной из крайних точек.',
+        steps: [
+            'Сгруппировать состояния по рангам правдоподобия',
+            'Построить крайние точки: равномерные распределения по 1, 2, …, L наиболее вероятным уровням',
+            'Вычислить математическое ожидание стратегии в каждой крайней точке',
+            'Выбрать стратегию с наибольшим наихудшим ожиданием'
+        ],
+        interpretation: 'Если единственному уровню соответствуют все состояния, критерий совпадает с критерием Лапласа. Чем подробнее ранжирование, тем ближе результат к критерию Байеса.'
+    },
+    
+    ordinalProbabilities: {
+        name: 'Ранжированные вероятности (подход Фишберна)',
+        description: 'Анализ стратегий, когда состояния природы упорядочены по правдоподобию без численных вероятностей.',
+        formula: 'P = {p: p_a ≥ p_b при r_a < r_b, p_a = p_b при r_a = r_b, Σ p_j = 1}',
+        maxFormula: 'A_i не хуже A_k при всех p ∈ P ⇔ E_p^(t)(a_i) ≥ E_p^(t)(a_k) во всех крайних точках p^(t)',
+        calculation: 'Вычисляются математические ожидания стратегий во всех крайних точках множества согласованных распределений. Стратегия оптимальна при любом согласованном распределении, если она не хуже всех остальных в каждой крайней точке. Дополнительно проверяется E-допустимость: существование согласованного распределения, при котором стратегия оптимальна по критерию Байеса.',
+        steps: [
+            'Построить крайние точки множества согласованных распределений',
+            'Вычислить математические ожидания стратегий в крайних точках',
+            'Найти пары стратегий, одна из которых не хуже другой во всех крайних точках',
+            'Выделить стратегии, оптимальные во всех крайних точках',
+            'Проверить E-допустимость стратегий методом линейного программирования'
+        ],
+        interpretation: 'Стратегия, оптимальная при любом согласованном распределении, может быть выбрана без численной оценки вероятностей. Если такой стратегии нет, выбор приходится делать среди E-допустимых стратегий с привлечением дополнительной информации.'
+    },
+    
+    utility: {
+        name: 'Функция полезности',
+        description: 'Преобразование результатов в полезности, отражающее отношение лица, принимающего решение, к риску.',
+        formula: 'Экспоненциальная: u(z) = (1 − e^(−r·z)) / (1 − e^(−r)); логарифмическая: u(x) = ln(1 + x − x_min) / ln(1 + x_max − x_min); степенная: u(z) = z^γ; z = (x − x_min) / (x_max − x_min)',
+        maxFormula: 'CE_i = u⁻¹(Σ p_j · u(a_ij)), премия за риск = E_i − CE_i',
+        costFormula: 'Затраты переводятся в выигрыши x = −c_ij, после чего применяется выбранная функция полезности',
+        costOptimization: 'Максимизация полезности; CE_i = −u⁻¹(Σ p_j · u(−c_ij)) в единицах затрат',
+        calculation: 'Каждый элемент матрицы заменяется его полезностью, после чего все критерии рассчитываются по матрице полезностей. Параметрические функции строятся на нормированной шкале, так что наихудший результат имеет полезность 0, а наилучший - 1. Кусочно-линейная функция задается узлами (x; u) в исходных единицах. Детерминированный эквивалент - результат, полезность которого равна ожидаемой полезности стратегии.',
+        steps: [
+            'Выбрать вид функции полезности и ее параметр',
+            'Преобразовать элементы матрицы в полезности',
+            'Рассчитать критерии по матрице полезностей',
+            'Вычислить ожидаемую полезность и детерминированный эквивалент каждой стратегии'
+        ],
+        interpretation: 'Вогнутая функция (r > 0, γ < 1, логарифмическая) соответствует несклонности к риску: детерминированный эквивалент меньше ожидаемого значения. Линейная функция соответствует нейтральности к риску и не меняет результаты анализа.'
+    },
+    
+    meanVariance: {
+        name: 'Критерий «среднее - риск» (E − k·σ)',
+        description: 'Критерий для условий риска, учитывающий не только средний результат, но и его разброс.',
+        formula: 'MV_i = E_i − k · σ_i, где E_i = Σ p_j · a_ij, σ_i² = Σ p_j · (a_ij − E_i)²',
+        maxFormula: 'max(MV_i) по i',
+        costFormula: 'MV_i = E_i + k · σ_i, где E_i = Σ p_j · c_ij',
+        costOptimization: 'min(MV_i) по i',
+        calculation: 'Для каждой стратегии по нормированным вероятностям вычисляются математическое ожидание, дисперсия и стандартное отклонение результата. Ожидаемое значение корректируется на k стандартных отклонений в неблагоприятную сторону. Коэффициент вариации CV = σ / |E| характеризует риск на единицу результата.',
+        steps: [
+            'Вычислить математическое ожидание E_i для каждой стратегии',
+            'Вычислить дисперсию σ_i² и стандартное отклонение σ_i',
+            'Вычислить коэффициент вариации CV_i = σ_i / |E_i|',
+            'Вычислить MV_i = E_i − k · σ_i и выбрать стратегию с максимальным значением'
+        ],
+        interpretation: 'При k = 0 критерий совпадает с критерием Байеса. Чем больше k, тем сильнее предпочтение стратегиям со стабильным результатом.'
+    },
+    
+    dispersion: {
+        name: 'Критерий минимальной дисперсии',
+        description: 'Критерий для условий риска, выбирающий стратегию с наименее изменчивым результатом.',
+        formula: 'σ_i = √(Σ p_j · (a_ij − E_i)²)',
+        minFormula: 'min(σ_i) по i',
+        calculation: 'Для каждой стратегии вычисляется стандартное отклонение результата по нормированным вероятностям состояний. Выбирается стратегия с наименьшим разбросом, средний уровень результата при этом не учитывается.',
+        steps: [
+            'Вычислить математическое ожидание E_i для каждой стратегии',
+            'Вычислить стандартное отклонение σ_i',
+            'Выбрать стратегию с минимальным σ_i'
+        ],
+        interpretation: 'Критерий подходит, когда важна предсказуемость результата. Его рекомендацию следует сопоставлять с ожидаемым значением: наименее рискованная стратегия может быть заметно хуже в среднем.'
+    },
+    
+    evpi: {
+        name: 'Ожидаемая ценность совершенной информации (EVPI)',
+        description: 'Оценка максимальной суммы, которую имеет смысл заплатить за точный прогноз состояния природы.',
+        formula: 'EOL_i = Σ p_j · r_ij; EV|PI = Σ p_j · max_i a_ij; EVPI = EV|PI − max_i Σ p_j · a_ij = min_i EOL_i',
+        costFormula: 'EOL_i = Σ p_j · r_ij; EV|PI = Σ p_j · min_i a_ij; EVPI = min_i Σ p_j · a_ij − EV|PI = min_i EOL_i',
+        costOptimization: 'min_i EOL_i - стратегия с минимальными ожидаемыми затратами',
+        calculation: 'Строится матрица сожалений Сэвиджа r_ij - отклонений от наилучшего результата в каждом состоянии. Ожидаемое сожаление (ожидаемые потери возможностей) EOL_i получается взвешиванием строки матрицы сожалений вероятностями. При совершенной информации в каждом состоянии выбиралась бы наилучшая стратегия, что дает EV|PI. Разница между EV|PI и наилучшим ожидаемым значением по Байесу равна EVPI и совпадает с минимальным ожидаемым сожалением.',
+        steps: [
+            'Построить матрицу сожалений Сэвиджа',
+            'Вычислить ожидаемое сожаление EOL каждой стратегии',
+            'Вычислить ожидаемое значение при совершенной информации EV|PI',
+            'Найти EVPI как разницу EV|PI и наилучшего ожидаемого значения'
+        ],
+        interpretation: 'EVPI - верхняя граница цены любого прогноза: информация, стоящая дороже, не окупится даже при абсолютной точности. Стратегия с минимальным EOL совпадает с рекомендацией критерия Байеса.'
+    },
+    
+    evsi: {
+        name: 'Ожидаемая ценность выборочной информации (EVSI)',
+        description: 'Оценка целесообразности исследования (например, регионального опроса), которое дает неточный прогноз состояния природы.',
+        formula: 'P(x_k) = Σ p_j · P(x_k | s_j); P(s_j | x_k) = p_j · P(x_k | s_j) / P(x_k); EV|SI = Σ P(x_k) · max_i Σ P(s_j | x_k) · a_ij; EVSI = EV|SI − EV*',
+        maxFormula: 'исследование оправдано при EVSI > C (чистая выгода ENGS = EVSI − C > 0)',
+        costFormula: 'P(s_j | x_k) = p_j · P(x_k | s_j) / P(x_k); EV|SI = Σ P(x_k) · min_i Σ P(s_j | x_k) · a_ij; EVSI = EV* − EV|SI',
+        costOptimization: 'исследование оправдано при EVSI > C (чистая выгода ENGS = EVSI − C > 0)',
+        calculation: 'Исследование задается матрицей правдоподобия: для каждого состояния природы указываются вероятности получения каждого сигнала. По формуле Байеса для каждого сигнала вычисляются его полная вероятность и апостериорные вероятности состояний, после чего критерий Байеса выбирает оптимальную стратегию при этом сигнале. Ожидаемое значение с учетом исследования EV|SI сравнивается с наилучшим ожидаемым значением без него EV*.',
+        steps: [
+            'Вычислить полную вероятность каждого сигнала',
+            'Пересчитать вероятности состояний по формуле Байеса',
+            'Выбрать оптимальную стратегию для каждого сигнала',
+            'Вычислить EV|SI и EVSI = |EV|SI − EV*|',
+            'Сравнить EVSI со стоимостью исследования'
+        ],
+        interpretation: 'EVSI не превышает EVPI; их отношение показывает эффективность исследования. Если ни один сигнал не меняет решение, исследование бесполезно при любой стоимости. Заказывать исследование имеет смысл, только если его стоимость меньше EVSI.'
+    },
+    
+    rankAggregation: {
+        name: 'Агрегирование ранжирований (Борда, Копленд, Кемени)',
+        description: 'Объединение полных ранжирований стратегий по всем критериям в итоговое ранжирование.',
+        formula: 'B_i = Σ_k (#{стратегий ниже i} + ½·#{стратегий наравне с i}); C_i = #{j : n_ij > n_ji} − #{j : n_ij < n_ji}; Кемени: min_π Σ_k d(π, π_k)',
+        calculation: 'Каждый критерий упорядочивает все стратегии, а не только называет лучшую. Правило Борда суммирует места стратегий, правило Копленда сравнивает стратегии попарно: n_ij - число критериев, ставящих i выше j. Ранжирование Кемени - порядок с наименьшим суммарным расстоянием Кендалла (числом попарных несогласий) до ранжирований критериев; оно находится точным перебором подмножеств стратегий.',
+        steps: [
+            'Получить полное ранжирование стратегий каждым критерием',
+            'Начислить баллы Борда за стратегии ниже данной',
+            'Построить матрицу попарных предпочтений и подсчитать баллы Копленда',
+            'Найти порядок Кемени с наименьшим числом несогласий с критериями',
+            'Принять первую стратегию порядка Кемени за итоговую рекомендацию'
+        ],
+        interpretation: 'Совпадение победителей всех трех правил говорит об устойчивой рекомендации. Расхождение означает, что критерии оценивают стратегии противоречиво: стратегия может редко быть лучшей, но стабильно занимать высокие места. Если консенсусных лидеров несколько, выбирается чаще рекомендованный критериями.'
+    },
+    
+    ahp: {
+        name: 'Метод анализа иерархий (МАИ, Саати)',
+        description: 'Получение вероятностей состояний или весов показателей из попарных сравнений, когда эксперту проще сравнивать элементы, чем назначать числа напрямую.',
+        formula: 'A·w = λmax·w; a_ki = 1 / a_ik; ИС = (λmax − n) / (n − 1); ОС = ИС / СИ(n)',
+        calculation: 'Эксперт заполняет верхний треугольник матрицы суждениями по шкале Саати от 1/9 до 9, нижний треугольник заполняется обратными значениями. Вектор приоритетов - нормированный главный собственный вектор матрицы, вычисляемый степенным методом. Для идеально согласованной матрицы λmax = n; отклонение λmax от n измеряет противоречивость суждений и сравнивается со случайным индексом СИ, полученным для случайных матриц того же порядка.',
+        steps: [
+            'Сравнить каждую пару элементов по шкале Саати',
+            'Найти главный собственный вектор матрицы сравнений и нормировать его',
+            'Вычислить λmax и индекс согласованности ИС',
+            'Разделить ИС на случайный индекс СИ и получить отношение согласованности ОС',
+            'Перенести приоритеты в вероятности состояний или веса показателей'
+        ],
+        interpretation: 'Отношение согласованности до 0.1 считается допустимым. При ОС > 0.1 суждения противоречат друг другу (например, A важнее B, B важнее C, но C важнее A), и их следует пересмотреть перед использованием приоритетов.'
+    },
+    
+    decisionTree: {
+        name: 'Дерево решений (обратная индукция)',
+        description: 'Решение многоэтапных задач, в которых решения чередуются со случайными событиями.',
+        formula: 'V(исход) = r; V(событие) = r + Σ p_k · V(k); V(решение) = r + max_k V(k), где r - результат ветви, ведущей в узел',
+        maxFormula: 'в каждом узле решения выбирается ветвь с максимальным значением',
+        costFormula: 'V(событие) = r + Σ p_k · V(k); V(решение) = r + min_k V(k)',
+        costOptimization: 'в каждом узле решения выбирается ветвь с минимальным значением',
+        calculation: 'Значения узлов вычисляются от конечных узлов к корню. В случайном узле значения исходов свертываются математическим ожиданием либо выбранным критерием (Лапласа, Вальда, максимакса, Гурвица), в узле решения выбирается наилучшая ветвь. Выбранные ветви образуют оптимальную политику: что делать сейчас и как действовать после каждого исхода.',
+        steps: [
+            'Присвоить конечным узлам их результаты',
+            'Свернуть исходы каждого случайного узла выбранным критерием',
+            'В каждом узле решения выбрать наилучшую ветвь',
+            'Повторять до корня дерева',
+            'Выделить оптимальную политику от корня по выбранным ветвям'
+        ],
+        interpretation: 'Значение корня - ожидаемый (или гарантированный, в зависимости от критерия) результат оптимальной политики. Импортированная матрица решений образует одноэтапное поддерево, и при свертке математическим ожиданием ее значение совпадает с критерием Байеса.'
+    },
+    
+    monteCarlo: {
+        name: 'Имитационное моделирование (метод Монте-Карло)',
+        description: 'Оценка распределения результатов стратегий, когда значения ячеек матрицы случайны.',
+        formula: 'VaR_γ = Q_{1−γ}(X_i); CVaR_γ = E[X_i | X_i ≤ VaR_γ]; P_i = доля испытаний, где X_i = max_k X_k',
+        maxFormula: 'предпочтительны стратегии с большими VaR, CVaR и P_i',
+        costFormula: 'VaR_γ = Q_γ(X_i); CVaR_γ = E[X_i | X_i ≥ VaR_γ]; P_i = доля испытаний, где X_i = min_k X_k',
+        costOptimization: 'предпочтительны стратегии с меньшими VaR, CVaR и большей P_i',
+        calculation: 'В каждом испытании состояние природы выбирается случайно в соответствии с вероятностями, одно для всех стратегий. Результат стратегии в этом состоянии берется из распределения ячейки (равномерного, треугольного, нормального или эмпирической выборки) либо равен фиксированному значению. По накопленным выборкам строятся гистограммы, процентили, VaR и CVaR при уровне доверия γ = 95%, а также доля испытаний, в которых стратегия оказалась лучшей (при равенстве доля делится поровну).',
+        steps: [
+            'Выбрать состояние природы по заданным вероятностям',
+            'Сгенерировать результаты стратегий из распределений ячеек',
+            'Отметить стратегию с наилучшим результатом испытания',
+            'Повторить заданное число испытаний',
+            'Рассчитать процентили, VaR, CVaR и вероятность оптимальности'
+        ],
+        interpretation: 'Среднее результатов согласуется с критерием Байеса по средним значениям ячеек, а VaR и CVaR показывают размер возможных потерь в неблагоприятных исходах. Генератор с заданным начальным значением дает воспроизводимые результаты; число испытаний определяет точность оценок.'
+    },
+    
+    bayesSensitivity: {
+        name: 'Чувствительность критерия Байеса к вероятностям',
+        description: 'Определение границ, в которых могут изменяться вероятности состояний без изменения рекомендации.',
+        formula: 'p_k(t) = p_k · (1 − t) / (1 − p_j), k ≠ j; E_i(t) = t · a_ij + (1 − t) · R_ij',
+        calculation: 'Вероятность состояния j заменяется параметром t ∈ [0, 1], остальные вероятности пересчитываются пропорционально. Ожидаемые значения стратегий линейны по t, поэтому рекомендация меняется только в точках пересечения прямых E_i(t). Интервал устойчивости - отрезок, содержащий текущую p_j, на котором оптимальная стратегия не меняется. Для трех состояний строятся области оптимальности каждой стратегии на треугольнике вероятностей.',
+        steps: [
+            'Для каждого состояния построить прямые E_i(t) всех стратегий',
+            'Найти точки пересечения прямых на отрезке [0, 1]',
+            'Определить оптимальную стратегию на каждом интервале',
+            'Выделить интервал, содержащий текущую вероятность',
+            'Для трех состояний отсечь треугольник вероятностей условиями E_i ≥ E_k'
+        ],
+        interpretation: 'Широкий интервал устойчивости означает, что рекомендация не чувствительна к ошибкам оценки вероятности. Если текущая вероятность близка к границе интервала, стоит уточнить прогноз этого состояния.'
+    },
+    
+    dominance: {
+        name: 'Исключение доминируемых стратегий',
+        description: 'Предварительное сокращение матрицы за счет стратегий, заведомо не лучших других.',
+        formula: 'A_k строго доминирует A_i, если a_kj > a_ij для всех j; слабо - если a_kj ≥ a_ij для всех j и хотя бы одно неравенство строгое',
+        calculation: 'Стратегии попарно сравниваются по всем состояниям природы. Доминируемая стратегия исключается, после чего сравнение повторяется для сокращенной матрицы, пока исключать нечего. В игре с разумным противником аналогично исключаются столбцы, заведомо невыгодные противнику.',
+        steps: [
+            'Сравнить каждую пару стратегий поэлементно',
+            'Исключить стратегию, доминируемую другой стратегией',
+            'В режиме матричной игры исключить столбцы, поэлементно не меньшие другого столбца',
+            'Повторять, пока в матрице остаются доминируемые строки или столбцы'
+        ],
+        interpretation: 'Исключение строго доминируемых стратегий не меняет решения ни по одному критерию. Исключение слабо доминируемых может отбросить одно из равноценных оптимальных решений.'
+    },
+    
+    game: {
+        name: 'Решение матричной игры (антагонистическая игра двух лиц)',
+        description: 'Матрица рассматривается как матрица выигрышей игрока A в игре с нулевой суммой против разумного противника B.',
+        formula: 'α = max_i min_j a_ij ≤ v ≤ β = min_j max_i a_ij',
+        maxFormula: 'max Σy_j при Σ_j a\'_ij·y_j ≤ 1, y_j ≥ 0; v = 1/Σy_j',
+        calculation: 'Нижняя цена игры α (максимин) гарантирует выигрыш игроку A, верхняя цена β (минимакс) ограничивает проигрыш игрока B. При α < β решение ищется в смешанных стратегиях: матрица сдвигается до положительной, и решается пара двойственных задач линейного программирования симплекс-методом.',
+        steps: [
+            'Найти нижнюю цену игры α = max_i min_j a_ij и верхнюю цену игры β = min_j max_i a_ij',
+            'Если α = β, игра имеет решение в чистых стратегиях (седловую точку)',
+            'Иначе прибавить ко всем элементам константу, чтобы матрица стала положительной',
+            'Решить задачу max Σy_j при A\'y ≤ 1, y ≥ 0 симплекс-методом',
+            'Цена игры v = 1/Σy_j минус сдвиг; Q = y·(1/Σy_j), P - из двойственных оценок'
+        ],
+        interpretation: 'Оптимальная смешанная стратегия гарантирует игроку A средний выигрыш не меньше цены игры при любом поведении противника.'
     }
 };
 
@@ -105,20 +517,27 @@ class CriteriaInfoService {
     /**
      * Получение форматированного HTML описания критерия
      * @param {string} criterionKey - ключ критерия
+     * @param {string} orientation - направление оптимизации матрицы (max/min)
      * @returns {string} - HTML описание
      */
-    static getFormattedDescription(criterionKey) {
+    static getFormattedDescription(criterionKey, orientation = 'max') {
         const info = this.getCriterionInfo(criterionKey);
         if (!info) return '<p>Информация о критерии не найдена</p>';
         
         let html = `<p><strong>Описание:</strong> ${info.description}</p>`;
         
-        if (info.formula) {
-            html += `<div class="formula"><strong>Формула:</strong> ${info.formula}</div>`;
-        }
-        
-        if (info.maxFormula) {
-            html += `<div class="formula"><strong>Оптимизация:</strong> ${info.maxFormula}</div>`;
+        if (orientation === 'min' && info.costFormula) {
+            html += `<div class="formula"><strong>Формула (матрица затрат):</strong> ${info.costFormula}</div>`;
+            html += `<div class="formula"><strong>Оптимизация:</strong> ${info.costOptimization}</div>`;
+        } else {
+            if (info.formula) {
+                html += `<div class="formula"><strong>Формула:</strong> ${info.formula}</div>`;
+            }
+            
+            const optimization = info.maxFormula || info.minFormula;
+            if (optimization) {
+                html += `<div class="formula"><strong>Оптимизация:</strong> ${optimization}</div>`;
+            }
         }
         
         if (info.calculation) {
@@ -14,6 +14,20 @@ class DecisionCriterion {
         }
         this.name = name;
         this.description = description;
+        this.tolerance = 1e-9;
+    }
+
+    /**
+     * Установка допуска, в пределах которого значения критерия считаются равными
+     * @param {number} tolerance - неотрицательный допуск
+     * @returns {DecisionCriterion} - этот же критерий
+     */
+    setTolerance(tolerance) {
+        if (!(tolerance >= 0)) {
+            throw new Error('Tolerance must be a non-negative number');
+        }
+        this.tolerance = tolerance;
+        return this;
     }
 
     /**
@@ -38,6 +52,72 @@ class DecisionCriterion {
             ...result
         };
     }
+
+    /**
+     * Выбор оптимального значения с учетом направления оптимизации матрицы
+     * Все стратегии, отстающие от оптимума не более чем на допуск, считаются равноценными;
+     * рекомендуемой (optimalIndex) остается первая из них
+     * @param {Array} values - значения критерия по стратегиям
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @param {boolean} minimize - true если оптимумом является минимум
+     * @returns {object} - оптимальное значение, равноценные оптимумы, полное ранжирование и направление
+     */
+    selectOptimal(values, matrix, minimize = matrix.isMinimization()) {
+        const optimalValue = minimize ? Math.min(...values) : Math.max(...values);
+        const ranking = this.rankStrategies(values, matrix, minimize);
+        const tied = ranking.filter(item => item.margin <= this.tolerance);
+        return {
+            optimalIndex: tied.length > 0 ? tied[0].index : -1,
+            optimalValue,
+            tiedIndices: tied.map(item => item.index),
+            tiedStrategies: tied.map(item => item.strategy),
+            hasTie: tied.length > 1,
+            tolerance: this.tolerance,
+            ranking,
+            orientation: matrix.orientation
+        };
+    }
+
+    /**
+     * Полное ранжирование стратегий (значения, различающиеся не более чем на допуск, получают одинаковый ранг)
+     * @param {Array} values - значения критерия
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @param {boolean} minimize - true если лучшими являются меньшие значения
+     * @returns {Array} - { index, strategy, value, rank, margin } в порядке ранга;
+     *                    margin - отставание от лучшего значения
+     */
+    rankStrategies(values, matrix, minimize) {
+        const best = minimize ? Math.min(...values) : Math.max(...values);
+        return values
+            .map((value, index) => ({
+                index,
+                strategy: matrix.strategies[index],
+                value,
+                rank: 1 + values.filter(other =>
+                    (minimize ? other < value - this.tolerance : other > value + this.tolerance)).length,
+                margin: Math.abs(best - value)
+            }))
+            .sort((a, b) => a.rank - b.rank || a.margin - b.margin || a.index - b.index);
+    }
+
+    /**
+     * Числовые характеристики распределения результата стратегии
+     * @param {Array} row - значения строки матрицы
+     * @param {Array} probabilities - вероятности состояний
+     * @returns {object} - математическое ожидание, дисперсия, СКО и коэффициент вариации
+     */
+    calculateMoments(row, probabilities) {
+        const expected = row.reduce((sum, value, j) => sum + value * probabilities[j], 0);
+        const variance = row.reduce((sum, value, j) => sum + probabilities[j] * (value - expected) ** 2, 0);
+        const standardDeviation = Math.sqrt(variance);
+        return {
+            expected,
+            variance,
+            standardDeviation,
+            // Коэффициент вариации не определен при нулевом математическом ожидании
+            coefficientOfVariation: expected !== 0 ? standardDeviation / Math.abs(expected) : null
+        };
+    }
 }
 
 /**
@@ -52,28 +132,29 @@ class WaldCriterion extends DecisionCriterion {
     }
 
     calculate(matrix) {
+        const minimize = matrix.isMinimization();
         const values = [];
         const calculations = [];
         
         for (let i = 0; i < matrix.strategiesCount; i++) {
-            const minValue = matrix.getRowMin(i);
-            values.push(minValue);
+            // Наихудший исход: минимум выигрыша или максимум затрат
+            const worstValue = matrix.getRowWorst(i);
+            values.push(worstValue);
             calculations.push({
                 strategy: matrix.strategies[i],
-                minValue,
-                formula: `min(${matrix.data[i].join(', ')}) = ${minValue}`
+                [minimize ? 'maxValue' : 'minValue']: worstValue,
+                formula: `${minimize ? 'max' : 'min'}(${matrix.data[i].join(', ')}) = ${worstValue}`
             });
         }
         
-        const maxValue = Math.max(...values);
-        const strategyIndex = values.indexOf(maxValue);
+        const optimal = this.selectOptimal(values, matrix);
         
         return this.formatResult({
+            ...(minimize && { name: 'Критерий Вальда (минимакс затрат)' }),
             values,
             calculations,
-            optimalIndex: strategyIndex,
-            optimalValue: maxValue,
-            strategy: matrix.strategies[strategyIndex] || 'Не определено',
+            ...optimal,
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
             type: 'wald'
         });
     }
@@ -91,28 +172,29 @@ class MaximaxCriterion extends DecisionCriterion {
     }
 
     calculate(matrix) {
+        const minimize = matrix.isMinimization();
         const values = [];
         const calculations = [];
         
         for (let i = 0; i < matrix.strategiesCount; i++) {
-            const maxValue = matrix.getRowMax(i);
-            values.push(maxValue);
+            // Наилучший исход: максимум выигрыша или минимум затрат
+            const bestValue = matrix.getRowBest(i);
+            values.push(bestValue);
             calculations.push({
                 strategy: matrix.strategies[i],
-                maxValue,
-                formula: `max(${matrix.data[i].join(', ')}) = ${maxValue}`
+                [minimize ? 'minValue' : 'maxValue']: bestValue,
+                formula: `${minimize ? 'min' : 'max'}(${matrix.data[i].join(', ')}) = ${bestValue}`
             });
         }
         
-        const maxValue = Math.max(...values);
-        const strategyIndex = values.indexOf(maxValue);
+        const optimal = this.selectOptimal(values, matrix);
         
         return this.formatResult({
+            ...(minimize && { name: 'Критерий Минимин (минимум затрат)' }),
             values,
             calculations,
-            optimalIndex: strategyIndex,
-            optimalValue: maxValue,
-            strategy: matrix.strategies[strategyIndex] || 'Не определено',
+            ...optimal,
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
             type: 'maximax'
         });
     }
@@ -130,18 +212,20 @@ class SavageCriterion extends DecisionCriterion {
     }
 
     calculate(matrix) {
+        const minimize = matrix.isMinimization();
         const calculations = [];
         
-        // Находим максимумы по столбцам
-        const maxByState = [];
+        // Находим наилучшие значения по столбцам (максимумы выигрыша или минимумы затрат)
+        const bestByState = [];
         for (let j = 0; j < matrix.statesCount; j++) {
-            maxByState.push(matrix.getColumnMax(j));
+            bestByState.push(matrix.getColumnBest(j));
         }
         
+        const bestLabel = minimize ? 'min' : 'max';
         calculations.push({
-            step: 'Максимумы по столбцам',
-            values: maxByState,
-            formula: maxByState.map((max, idx) => `max(столбец ${idx + 1}) = ${max}`).join(', ')
+            step: minimize ? 'Минимумы по столбцам' : 'Максимумы по столбцам',
+            values: bestByState,
+            formula: bestByState.map((best, idx) => `${bestLabel}(столбец ${idx + 1}) = ${best}`).join(', ')
         });
 
         // Строим матрицу рисков и находим максимальные риски по строкам
@@ -151,7 +235,9 @@ class SavageCriterion extends DecisionCriterion {
             const risks = [];
             
             for (let j = 0; j < matrix.statesCount; j++) {
-                const risk = maxByState[j] - matrix.data[i][j];
+                const risk = minimize
+                    ? matrix.data[i][j] - bestByState[j]
+                    : bestByState[j] - matrix.data[i][j];
                 risks.push(risk);
                 if (risk > maxRisk) maxRisk = risk;
             }
@@ -165,15 +251,14 @@ class SavageCriterion extends DecisionCriterion {
             });
         }
 
-        const minRisk = Math.min(...riskValues);
-        const strategyIndex = riskValues.indexOf(minRisk);
+        // Риск минимизируется при любом направлении оптимизации матрицы
+        const optimal = this.selectOptimal(riskValues, matrix, true);
         
         return this.formatResult({
             values: riskValues,
             calculations,
-            optimalIndex: strategyIndex,
-            optimalValue: minRisk,
-            strategy: matrix.strategies[strategyIndex] || 'Не определено',
+            ...optimal,
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
             type: 'savage'
         });
     }
@@ -198,7 +283,10 @@ class HurwitzCriterion extends DecisionCriterion {
         for (let i = 0; i < matrix.strategiesCount; i++) {
             const minVal = matrix.getRowMin(i);
             const maxVal = matrix.getRowMax(i);
-            const hurwitzValue = this.alpha * maxVal + (1 - this.alpha) * minVal;
+            // α относится к наилучшему исходу: максимуму выигрыша или минимуму затрат
+            const bestVal = matrix.getRowBest(i);
+            const worstVal = matrix.getRowWorst(i);
+            const hurwitzValue = this.alpha * bestVal + (1 - this.alpha) * worstVal;
             
             values.push(hurwitzValue);
             calculations.push({
@@ -206,24 +294,127 @@ class HurwitzCriterion extends DecisionCriterion {
                 minValue: minVal,
                 maxValue: maxVal,
                 hurwitzValue,
-                formula: `${this.alpha} × ${maxVal} + ${(1 - this.alpha).toFixed(1)} × ${minVal} = ${hurwitzValue}`
+                formula: `${this.alpha} × ${bestVal} + ${(1 - this.alpha).toFixed(1)} × ${worstVal} = ${hurwitzValue}`
             });
         }
         
-        const maxValue = Math.max(...values);
-        const strategyIndex = values.indexOf(maxValue);
+        const optimal = this.selectOptimal(values, matrix);
         
         return this.formatResult({
             values,
             calculations,
-            optimalIndex: strategyIndex,
-            optimalValue: maxValue,
-            strategy: matrix.strategies[strategyIndex] || 'Не определено',
+            ...optimal,
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
             type: 'hurwitz'
         });
     }
 }
 
+/**
+ * Обобщенный критерий Гурвица (OWA - упорядоченное взвешенное усреднение)
+ * Вес назначается каждой позиции в упорядоченной от лучшего к худшему строке
+ */
+class OWACriterion extends DecisionCriterion {
+    /**
+     * @param {object} options - { weights } - вектор весов позиций или { orness } - степень оптимизма
+     */
+    constructor(options = {}) {
+        const label = options.weights ? 'заданные веса' : `orness=${options.orness !== undefined ? options.orness : 0.5}`;
+        super(
+            `Обобщенный критерий Гурвица (OWA, ${label})`,
+            'Взвешенная сумма упорядоченных исходов стратегии. Охватывает промежуточные отношения к риску между критериями Вальда, Лапласа и Максимакс.'
+        );
+        this.weights = options.weights || null;
+        this.ornessValue = options.orness !== undefined ? options.orness : 0.5;
+    }
+
+    /**
+     * Степень оптимизма (orness) вектора весов
+     * @param {Array} weights - веса позиций от лучшего исхода к худшему
+     * @returns {number} - orness ∈ [0, 1]
+     */
+    static orness(weights) {
+        const n = weights.length;
+        if (n < 2) return 0.5;
+        return weights.reduce((sum, w, k) => sum + w * (n - 1 - k) / (n - 1), 0);
+    }
+
+    /**
+     * Генерация вектора весов с заданной степенью оптимизма
+     * Используется геометрическое семейство w_k ∝ r^k, r подбирается методом бисекции
+     * @param {number} n - количество позиций
+     * @param {number} orness - степень оптимизма ∈ [0, 1]
+     * @returns {Array} - веса позиций от лучшего исхода к худшему
+     */
+    static weightsFromOrness(n, orness) {
+        if (n === 1) return [1];
+        if (orness >= 1) return Array.from({ length: n }, (_, k) => (k === 0 ? 1 : 0));
+        if (orness <= 0) return Array.from({ length: n }, (_, k) => (k === n - 1 ? 1 : 0));
+        
+        const geometric = logRatio => {
+            const raw = Array.from({ length: n }, (_, k) => Math.exp(logRatio * k));
+            const total = raw.reduce((a, b) => a + b, 0);
+            return raw.map(w => w / total);
+        };
+        
+        // orness монотонно убывает с ростом r
+        let low = -50;
+        let high = 50;
+        for (let iteration = 0; iteration < 200; iteration++) {
+            const middle = (low + high) / 2;
+            if (this.orness(geometric(middle)) > orness) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return geometric((low + high) / 2);
+    }
+
+    calculate(matrix) {
+        const minimize = matrix.isMinimization();
+        const weights = this.weights || OWACriterion.weightsFromOrness(matrix.statesCount, this.ornessValue);
+        
+        if (weights.length !== matrix.statesCount) {
+            throw new Error(`OWA weights count (${weights.length}) must match states count (${matrix.statesCount})`);
+        }
+        
+        const values = [];
+        const calculations = [{
+            step: 'Веса позиций (от лучшего исхода к худшему)',
+            weights,
+            orness: OWACriterion.orness(weights),
+            formula: `w = (${weights.map(w => w.toFixed(3)).join(', ')}), orness = ${OWACriterion.orness(weights).toFixed(3)}`
+        }];
+        
+        for (let i = 0; i < matrix.strategiesCount; i++) {
+            // Упорядочение исходов от лучшего к худшему с учетом направления оптимизации
+            const sortedValues = [...matrix.data[i]].sort((a, b) => (minimize ? a - b : b - a));
+            const owaValue = sortedValues.reduce((sum, value, k) => sum + weights[k] * value, 0);
+            
+            values.push(owaValue);
+            calculations.push({
+                strategy: matrix.strategies[i],
+                sortedValues,
+                owaValue,
+                formula: `sort(${matrix.data[i].join(', ')}) = (${sortedValues.join(', ')}); ` +
+                    `${sortedValues.map((value, k) => `${weights[k].toFixed(3)} × ${value}`).join(' + ')} = ${owaValue.toFixed(2)}`
+            });
+        }
+        
+        const optimal = this.selectOptimal(values, matrix);
+        
+        return this.formatResult({
+            values,
+            calculations,
+            ...optimal,
+            weights,
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
+            type: 'owa'
+        });
+    }
+}
+
 /**
  * Критерий Байеса (максимум математического ожидания)
  */
@@ -236,6 +427,31 @@ class BayesCriterion extends DecisionCriterion {
         this.probabilities = probabilities;
     }
 
+    /**
+     * Апостериорные вероятности состояний после наблюдения сигнала (формула Байеса)
+     * P(s_j | x) = p_j · P(x | s_j) / P(x), где P(x) = Σ p_j · P(x | s_j)
+     * @param {Array} likelihoods - вероятности сигнала при каждом состоянии P(x | s_j)
+     * @returns {object} - { signalProbability, posterior } (posterior равен null, если P(x) = 0)
+     */
+    getPosterior(likelihoods) {
+        const joint = this.probabilities.map((p, j) => p * likelihoods[j]);
+        const signalProbability = joint.reduce((a, b) => a + b, 0);
+        return {
+            signalProbability,
+            posterior: signalProbability > 0 ? joint.map(value => value / signalProbability) : null
+        };
+    }
+
+    /**
+     * Критерий Байеса с вероятностями, уточненными по наблюдаемому сигналу
+     * @param {Array} likelihoods - вероятности сигнала при каждом состоянии P(x | s_j)
+     * @returns {BayesCriterion|null} - критерий с апостериорными вероятностями или null для невозможного сигнала
+     */
+    updateWithSignal(likelihoods) {
+        const { posterior } = this.getPosterior(likelihoods);
+        return posterior ? new BayesCriterion(posterior) : null;
+    }
+
     calculate(matrix) {
         const values = [];
         const calculations = [];
@@ -258,15 +474,14 @@ class BayesCriterion extends DecisionCriterion {
             });
         }
         
-        const maxValue = Math.max(...values);
-        const strategyIndex = values.indexOf(maxValue);
+        const optimal = this.selectOptimal(values, matrix);
         
         return this.formatResult({
+            ...(matrix.isMinimization() && { name: 'Критерий Байеса (минимум математического ожидания затрат)' }),
             values,
             calculations,
-            optimalIndex: strategyIndex,
-            optimalValue: maxValue,
-            strategy: matrix.strategies[strategyIndex] || 'Не определено',
+            ...optimal,
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
             type: 'bayes'
         });
     }
@@ -306,20 +521,689 @@ class LaplaceCriterion extends DecisionCriterion {
             });
         }
         
-        const maxValue = Math.max(...values);
-        const strategyIndex = values.indexOf(maxValue);
+        const optimal = this.selectOptimal(values, matrix);
         
         return this.formatResult({
+            ...(matrix.isMinimization() && { name: 'Критерий Лапласа (минимум средних затрат)' }),
             values,
             calculations,
-            optimalIndex: strategyIndex,
-            optimalValue: maxValue,
-            strategy: matrix.strategies[strategyIndex] || 'Не определено',
+            ...optimal,
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
             type: 'laplace'
         });
     }
 }
 
+/**
+ * Критерий Ходжа-Лемана (частичное доверие к вероятностям)
+ */
+class HodgesLehmannCriterion extends DecisionCriterion {
+    constructor(probabilities, lambda = 0.5) {
+        super(
+            `Критерий Ходжа-Лемана (λ=${lambda})`,
+            'Компромисс между критерием Байеса и критерием Вальда. Коэффициент λ выражает степень доверия к заданным вероятностям состояний природы.'
+        );
+        this.probabilities = probabilities;
+        this.lambda = lambda;
+    }
+
+    calculate(matrix) {
+        const values = [];
+        const calculations = [];
+        
+        for (let i = 0; i < matrix.strategiesCount; i++) {
+            let expected = 0;
+            for (let j = 0; j < matrix.statesCount; j++) {
+                expected += matrix.data[i][j] * this.probabilities[j];
+            }
+            const worstValue = matrix.getRowWorst(i);
+            const hlValue = this.lambda * expected + (1 - this.lambda) * worstValue;
+            
+            values.push(hlValue);
+            calculations.push({
+                strategy: matrix.strategies[i],
+                expectedValue: expected,
+                worstValue,
+                hodgesLehmannValue: hlValue,
+                formula: `${this.lambda} × ${expected.toFixed(2)} + ${(1 - this.lambda).toFixed(1)} × ${worstValue} = ${hlValue.toFixed(2)}`
+            });
+        }
+        
+        const optimal = this.selectOptimal(values, matrix);
+        
+        return this.formatResult({
+            values,
+            calculations,
+            ...optimal,
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
+            type: 'hodges'
+        });
+    }
+}
+
+/**
+ * Критерий «среднее - риск» (E − k·σ)
+ */
+class MeanVarianceCriterion extends DecisionCriterion {
+    constructor(probabilities, riskAversion = 1) {
+        super(
+            `Критерий «среднее - риск» (k=${riskAversion})`,
+            'Критерий для условий риска, учитывающий разброс результата. Ожидаемый выигрыш уменьшается на k стандартных отклонений, где k - коэффициент несклонности к риску.'
+        );
+        this.probabilities = probabilities;
+        this.riskAversion = riskAversion;
+    }
+
+    calculate(matrix) {
+        const minimize = matrix.isMinimization();
+        const values = [];
+        const calculations = [];
+        
+        for (let i = 0; i < matrix.strategiesCount; i++) {
+            const moments = this.calculateMoments(matrix.data[i], this.probabilities);
+            // Для затрат риск увеличивает оценку, для выигрышей - уменьшает
+            const value = minimize
+                ? moments.expected + this.riskAversion * moments.standardDeviation
+                : moments.expected - this.riskAversion * moments.standardDeviation;
+            
+            values.push(value);
+            calculations.push({
+                strategy: matrix.strategies[i],
+                expectedValue: moments.expected,
+                variance: moments.variance,
+                standardDeviation: moments.standardDeviation,
+                coefficientOfVariation: moments.coefficientOfVariation,
+                meanVarianceValue: value,
+                formula: `${moments.expected.toFixed(2)} ${minimize ? '+' : '−'} ${this.riskAversion} × ` +
+                    `${moments.standardDeviation.toFixed(2)} = ${value.toFixed(2)}`
+            });
+        }
+        
+        const optimal = this.selectOptimal(values, matrix);
+        
+        return this.formatResult({
+            ...(minimize && { name: `Критерий «среднее - риск» для затрат (k=${this.riskAversion})` }),
+            values,
+            calculations,
+            ...optimal,
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
+            type: 'meanVariance'
+        });
+    }
+}
+
+/**
+ * Критерий минимальной дисперсии
+ */
+class MinDispersionCriterion extends DecisionCriterion {
+    constructor(probabilities) {
+        super(
+            'Критерий минимальной дисперсии',
+            'Критерий для условий риска, выбирающий стратегию с наименьшим разбросом результата (стандартным отклонением) независимо от его среднего значения.'
+        );
+        this.probabilities = probabilities;
+    }
+
+    calculate(matrix) {
+        const values = [];
+        const calculations = [];
+        
+        for (let i = 0; i < matrix.strategiesCount; i++) {
+            const moments = this.calculateMoments(matrix.data[i], this.probabilities);
+            values.push(moments.standardDeviation);
+            calculations.push({
+                strategy: matrix.strategies[i],
+                expectedValue: moments.expected,
+                variance: moments.variance,
+                standardDeviation: moments.standardDeviation,
+                formula: `σ = √${moments.variance.toFixed(2)} = ${moments.standardDeviation.toFixed(2)}`
+            });
+        }
+        
+        // Разброс минимизируется при любом направлении оптимизации матрицы
+        const optimal = this.selectOptimal(values, matrix, true);
+        
+        return this.formatResult({
+            values,
+            calculations,
+            ...optimal,
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
+            type: 'dispersion'
+        });
+    }
+}
+
+/**
+ * Γ-максиминный критерий для интервальных вероятностей
+ * Стратегия оценивается наихудшим математическим ожиданием по всем распределениям,
+ * удовлетворяющим границам p_j ∈ [l_j, u_j], Σp_j = 1
+ */
+class GammaMaximinCriterion extends DecisionCriterion {
+    constructor(lowerProbabilities, upperProbabilities) {
+        super(
+            'Γ-максиминный критерий (интервальные вероятности)',
+            'Критерий для неточно заданных вероятностей. Выбирается стратегия с наибольшим гарантированным математическим ожиданием по множеству допустимых распределений.'
+        );
+        this.lowerProbabilities = lowerProbabilities;
+        this.upperProbabilities = upperProbabilities;
+    }
+
+    /**
+     * Наименьшее и наибольшее математическое ожидание строки по множеству распределений
+     * Экстремум достигается жадно: все состояния получают нижние границы, остаток
+     * вероятности распределяется по состояниям в порядке убывания (возрастания) значения
+     * @param {Array} row - значения строки матрицы
+     * @returns {object} - { lower, upper, lowerDistribution, upperDistribution }
+     */
+    getExpectationBounds(row) {
+        const order = row.map((value, j) => j).sort((a, b) => row[a] - row[b]);
+        const extreme = indices => {
+            const p = [...this.lowerProbabilities];
+            let rest = 1 - p.reduce((a, b) => a + b, 0);
+            indices.forEach(j => {
+                const add = Math.min(rest, this.upperProbabilities[j] - this.lowerProbabilities[j]);
+                p[j] += add;
+                rest -= add;
+            });
+            return p;
+        };
+        const expectation = p => row.reduce((sum, value, j) => sum + value * p[j], 0);
+
+        const lowerDistribution = extreme(order);
+        const upperDistribution = extreme([...order].reverse());
+        return {
+            lower: expectation(lowerDistribution),
+            upper: expectation(upperDistribution),
+            lowerDistribution,
+            upperDistribution
+        };
+    }
+
+    calculate(matrix) {
+        const minimize = matrix.isMinimization();
+        const values = [];
+        const calculations = [];
+        
+        for (let i = 0; i < matrix.strategiesCount; i++) {
+            const bounds = this.getExpectationBounds(matrix.data[i]);
+            // Наихудшее ожидание: нижнее для выигрышей, верхнее для затрат
+            const worst = minimize ? bounds.upper : bounds.lower;
+            const worstDistribution = minimize ? bounds.upperDistribution : bounds.lowerDistribution;
+            
+            values.push(worst);
+            calculations.push({
+                strategy: matrix.strategies[i],
+                lowerExpected: bounds.lower,
+                upperExpected: bounds.upper,
+                worstDistribution,
+                formula: `${minimize ? 'max' : 'min'} E = ` +
+                    `${matrix.data[i].map((value, j) => `${value} × ${worstDistribution[j].toFixed(3)}`).join(' + ')}` +
+                    ` = ${worst.toFixed(2)}`
+            });
+        }
+        
+        const optimal = this.selectOptimal(values, matrix);
+        
+        return this.formatResult({
+            ...(minimize && { name: 'Γ-минимаксный критерий (интервальные вероятности, затраты)' }),
+            values,
+            calculations,
+            ...optimal,
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
+            type: 'gammaMaximin'
+        });
+    }
+}
+
+/**
+ * Γ-максиминный критерий для ранжированных (ординальных) вероятностей
+ * Известен только порядок состояний по правдоподобию: p_a ≥ p_b, если ранг a меньше ранга b,
+ * и p_a = p_b при равных рангах
+ */
+class OrdinalMaximinCriterion extends DecisionCriterion {
+    constructor(ranks) {
+        super(
+            'Γ-максиминный критерий (ранжированные вероятности)',
+            'Критерий для условий, когда состояния природы упорядочены по правдоподобию без численных оценок вероятностей. Выбирается стратегия с наибольшим гарантированным математическим ожиданием по всем согласованным с порядком распределениям.'
+        );
+        this.ranks = ranks;
+    }
+
+    /**
+     * Группировка состояний по уровням правдоподобия (от наиболее вероятного)
+     * @returns {Array} - массив уровней, каждый уровень - массив индексов состояний
+     */
+    getLevels() {
+        const distinct = [...new Set(this.ranks)].sort((a, b) => a - b);
+        return distinct.map(rank => this.ranks
+            .map((value, j) => (value === rank ? j : -1))
+            .filter(j => j >= 0));
+    }
+
+    /**
+     * Крайние точки множества согласованных распределений
+     * k-я крайняя точка - равномерное распределение по k наиболее вероятным уровням
+     * @returns {Array} - распределения вероятностей
+     */
+    getExtremePoints() {
+        const levels = this.getLevels();
+        const points = [];
+        const included = [];
+        levels.forEach(level => {
+            included.push(...level);
+            points.push(this.ranks.map((_, j) => (included.includes(j) ? 1 / included.length : 0)));
+        });
+        return points;
+    }
+
+    calculate(matrix) {
+        const minimize = matrix.isMinimization();
+        const extremePoints = this.getExtremePoints();
+        const values = [];
+        const calculations = [];
+        
+        for (let i = 0; i < matrix.strategiesCount; i++) {
+            const expectations = extremePoints.map(p =>
+                matrix.data[i].reduce((sum, value, j) => sum + value * p[j], 0));
+            // Математическое ожидание линейно, поэтому наихудшее достигается в крайней точке
+            const worst = minimize ? Math.max(...expectations) : Math.min(...expectations);
+            
+            values.push(worst);
+            calculations.push({
+                strategy: matrix.strategies[i],
+                expectations,
+                formula: `${minimize ? 'max' : 'min'}(${expectations.map(e => e.toFixed(2)).join(', ')}) = ${worst.toFixed(2)}`
+            });
+        }
+        
+        const optimal = this.selectOptimal(values, matrix);
+        
+        return this.formatResult({
+            ...(minimize && { name: 'Γ-минимаксный критерий (ранжированные вероятности, затраты)' }),
+            values,
+            calculations,
+            extremePoints,
+            ...optimal,
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
+            type: 'ordinalMaximin'
+        });
+    }
+}
+
+/**
+ * Критерий Гермейера (вероятности применяются к потерям)
+ */
+class GermeyerCriterion extends DecisionCriterion {
+    constructor(probabilities) {
+        super(
+            'Критерий Гермейера',
+            'Критерий для условий риска, ориентированный на потери. Выбирается стратегия с наименьшими взвешенными вероятностями потерями в наихудшем состоянии.'
+        );
+        this.probabilities = probabilities;
+    }
+
+    calculate(matrix) {
+        const minimize = matrix.isMinimization();
+        const calculations = [];
+        const allValues = matrix.data.flat();
+        
+        // Критерий применим к потерям: для матрицы выигрышей значения должны быть отрицательными,
+        // для матрицы затрат - положительными. Иначе матрица сдвигается
+        let shift = 0;
+        if (minimize && Math.min(...allValues) <= 0) {
+            shift = 1 - Math.min(...allValues);
+        } else if (!minimize && Math.max(...allValues) >= 0) {
+            shift = -(Math.max(...allValues) + 1);
+        }
+        
+        if (shift !== 0) {
+            calculations.push({
+                step: 'Сдвиг матрицы',
+                shift,
+                formula: `a'_ij = a_ij ${shift > 0 ? '+' : '−'} ${Math.abs(shift)}`
+            });
+        }
+        
+        const values = [];
+        for (let i = 0; i < matrix.strategiesCount; i++) {
+            const weighted = matrix.data[i].map((value, j) => (value + shift) * this.probabilities[j]);
+            // Наихудшая взвешенная потеря: минимум для выигрышей, максимум для затрат
+            const germeyerValue = minimize ? Math.max(...weighted) : Math.min(...weighted);
+            
+            values.push(germeyerValue);
+            calculations.push({
+                strategy: matrix.strategies[i],
+                weightedValues: weighted,
+                germeyerValue,
+                formula: `${minimize ? 'max' : 'min'}(${weighted.map(v => v.toFixed(2)).join(', ')}) = ${germeyerValue.toFixed(2)}`
+            });
+        }
+        
+        const optimal = this.selectOptimal(values, matrix);
+        
+        return this.formatResult({
+            values,
+            calculations,
+            ...optimal,
+            shift,
+            ...(shift !== 0 && {
+                notice: `Матрица приведена к потерям: ${shift > 0 ? 'ко всем значениям прибавлено' : 'из всех значений вычтено'} ${Math.abs(shift)}`
+            }),
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
+            type: 'germeyer'
+        });
+    }
+}
+
+/**
+ * Критерий произведений
+ */
+class ProductCriterion extends DecisionCriterion {
+    constructor() {
+        super(
+            'Критерий произведений',
+            'Критерий для положительных значений матрицы. Оценивает стратегию произведением ее исходов, что сильнее штрафует малые значения, чем критерий Лапласа.'
+        );
+    }
+
+    calculate(matrix) {
+        const calculations = [];
+        const minValue = Math.min(...matrix.data.flat());
+        
+        // Критерий применим только к положительным значениям
+        const shift = minValue <= 0 ? 1 - minValue : 0;
+        if (shift !== 0) {
+            calculations.push({
+                step: 'Сдвиг матрицы',
+                shift,
+                formula: `a'_ij = a_ij + ${shift} > 0`
+            });
+        }
+        
+        // Стратегии сравниваются по ln P_i = Σ ln a'_ij: порядок тот же, что и у произведений,
+        // но при большом числе состояний значение не переполняется до Infinity
+        const values = [];
+        for (let i = 0; i < matrix.strategiesCount; i++) {
+            const factors = matrix.data[i].map(value => value + shift);
+            const logProduct = factors.reduce((acc, value) => acc + Math.log(value), 0);
+            const exponent = Math.floor(logProduct / Math.LN10);
+            const mantissa = Math.pow(10, logProduct / Math.LN10 - exponent);
+            
+            values.push(logProduct);
+            calculations.push({
+                strategy: matrix.strategies[i],
+                logProduct,
+                formula: `ln(${factors.join(' × ')}) = ${logProduct.toFixed(4)} ` +
+                    `(P = ${mantissa.toFixed(4)}·10^${exponent})`
+            });
+        }
+        
+        const optimal = this.selectOptimal(values, matrix);
+        
+        return this.formatResult({
+            values,
+            calculations,
+            ...optimal,
+            shift,
+            ...(shift !== 0 && {
+                notice: `Матрица содержит неположительные значения: ко всем значениям прибавлено ${shift}`
+            }),
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
+            type: 'product'
+        });
+    }
+}
+
+/**
+ * Базовый класс методов многокритериальной оценки
+ * Столбцы матрицы - показатели с весами и направлениями ('benefit' - больше лучше, 'cost' - меньше лучше)
+ */
+class MultiCriteriaCriterion extends DecisionCriterion {
+    /**
+     * Конструктор метода
+     * @param {string} name - название метода
+     * @param {string} description - описание метода
+     * @param {object} options - { weights, directions, normalization: 'minmax' | 'vector' | 'zscore' }
+     */
+    constructor(name, description, options = {}) {
+        super(name, description);
+        const { weights, directions, normalization = 'minmax' } = options;
+        if (!['minmax', 'vector', 'zscore'].includes(normalization)) {
+            throw new Error(`Unknown normalization: ${normalization}`);
+        }
+        this.weights = weights;
+        this.directions = directions;
+        this.normalization = normalization;
+    }
+
+    /**
+     * Веса показателей, нормированные к сумме 1 (по умолчанию равные)
+     * @param {number} count - количество показателей
+     * @returns {Array} - веса
+     */
+    getWeights(count) {
+        const weights = this.weights || Array(count).fill(1);
+        if (weights.length !== count || weights.some(w => !(w >= 0))) {
+            throw new Error('A non-negative weight is required for every indicator');
+        }
+        const sum = weights.reduce((a, b) => a + b, 0);
+        if (sum <= 0) {
+            throw new Error('Indicator weights must not all be zero');
+        }
+        return weights.map(w => w / sum);
+    }
+
+    /**
+     * Направления показателей (по умолчанию - по направлению оптимизации матрицы)
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @returns {Array} - 'benefit' или 'cost' для каждого показателя
+     */
+    getDirections(matrix) {
+        return this.directions || Array(matrix.statesCount).fill(matrix.isMinimization() ? 'cost' : 'benefit');
+    }
+
+    /**
+     * Нормализация матрицы с приведением всех показателей к виду «больше - лучше»
+     * minmax: (x − min) / (max − min); vector: x / √Σx²; zscore: (x − x̄) / σ.
+     * Для показателей затрат используется 1 − r (minmax, vector) или −z (zscore)
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @returns {Array} - нормализованная матрица
+     */
+    normalize(matrix) {
+        const directions = this.getDirections(matrix);
+        const columns = Array.from({ length: matrix.statesCount }, (_, j) => matrix.data.map(row => row[j]));
+
+        const normalizedColumns = columns.map((column, j) => {
+            const cost = directions[j] === 'cost';
+            let values;
+            if (this.normalization === 'minmax') {
+                const min = Math.min(...column);
+                const range = Math.max(...column) - min;
+                values = column.map(x => (range > 0 ? (x - min) / range : 1));
+            } else if (this.normalization === 'vector') {
+                const norm = Math.sqrt(column.reduce((sum, x) => sum + x * x, 0));
+                values = column.map(x => (norm > 0 ? x / norm : 0));
+            } else {
+                const mean = column.reduce((a, b) => a + b, 0) / column.length;
+                const sd = Math.sqrt(column.reduce((sum, x) => sum + (x - mean) ** 2, 0) / column.length);
+                values = column.map(x => (sd > 0 ? (x - mean) / sd : 0));
+                return cost ? values.map(z => -z) : values;
+            }
+            return cost ? values.map(r => 1 - r) : values;
+        });
+
+        return matrix.data.map((row, i) => row.map((_, j) => normalizedColumns[j][i]));
+    }
+}
+
+/**
+ * Метод взвешенной суммы (аддитивная свертка нормализованных показателей)
+ */
+class WeightedSumCriterion extends MultiCriteriaCriterion {
+    constructor(options = {}) {
+        super(
+            'Метод взвешенной суммы',
+            'Многокритериальная оценка стратегий суммой нормализованных показателей, умноженных на их веса.',
+            options
+        );
+    }
+
+    calculate(matrix) {
+        const weights = this.getWeights(matrix.statesCount);
+        const normalized = this.normalize(matrix);
+        const values = [];
+        const calculations = [];
+
+        normalized.forEach((row, i) => {
+            const value = row.reduce((sum, r, j) => sum + weights[j] * r, 0);
+            values.push(value);
+            calculations.push({
+                strategy: matrix.strategies[i],
+                score: value,
+                formula: `${row.map((r, j) => `${weights[j].toFixed(3)} × ${r.toFixed(3)}`).join(' + ')} = ${value.toFixed(4)}`
+            });
+        });
+
+        const optimal = this.selectOptimal(values, matrix, false);
+
+        return this.formatResult({
+            values,
+            calculations,
+            weights,
+            normalized,
+            ...optimal,
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
+            type: 'weightedSum'
+        });
+    }
+}
+
+/**
+ * Метод TOPSIS (близость к идеальному решению)
+ */
+class TopsisCriterion extends MultiCriteriaCriterion {
+    constructor(options = {}) {
+        super(
+            'Метод TOPSIS (близость к идеальному решению)',
+            'Многокритериальная оценка стратегий по относительной близости к идеальному и удаленности от антиидеального решения.',
+            options
+        );
+    }
+
+    calculate(matrix) {
+        const weights = this.getWeights(matrix.statesCount);
+        const normalized = this.normalize(matrix);
+        const weighted = normalized.map(row => row.map((r, j) => weights[j] * r));
+
+        const ideal = weights.map((_, j) => Math.max(...weighted.map(row => row[j])));
+        const antiIdeal = weights.map((_, j) => Math.min(...weighted.map(row => row[j])));
+        const distance = (row, point) => Math.sqrt(row.reduce((sum, v, j) => sum + (v - point[j]) ** 2, 0));
+
+        const values = [];
+        const calculations = [];
+        weighted.forEach((row, i) => {
+            const toIdeal = distance(row, ideal);
+            const toAntiIdeal = distance(row, antiIdeal);
+            // Если все стратегии совпадают, расстояния нулевые и близость принимается равной 0.5
+            const closeness = toIdeal + toAntiIdeal > 0 ? toAntiIdeal / (toIdeal + toAntiIdeal) : 0.5;
+            values.push(closeness);
+            calculations.push({
+                strategy: matrix.strategies[i],
+                distanceToIdeal: toIdeal,
+                distanceToAntiIdeal: toAntiIdeal,
+                closeness,
+                formula: `C = ${toAntiIdeal.toFixed(4)} / (${toIdeal.toFixed(4)} + ${toAntiIdeal.toFixed(4)}) = ${closeness.toFixed(4)}`
+            });
+        });
+
+        const optimal = this.selectOptimal(values, matrix, false);
+
+        return this.formatResult({
+            values,
+            calculations,
+            weights,
+            normalized,
+            ideal,
+            antiIdeal,
+            ...optimal,
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
+            type: 'topsis'
+        });
+    }
+}
+
+/**
+ * Метод VIKOR (компромиссное ранжирование)
+ */
+class VikorCriterion extends MultiCriteriaCriterion {
+    /**
+     * @param {object} options - параметры MultiCriteriaCriterion и v - вес стратегии «большинства» (0..1)
+     */
+    constructor(options = {}) {
+        super(
+            'Метод VIKOR (компромиссное решение)',
+            'Многокритериальная оценка, объединяющая суммарное (S) и максимальное (R) взвешенное отклонение от лучших значений показателей.',
+            options
+        );
+        this.v = options.v !== undefined ? options.v : 0.5;
+    }
+
+    calculate(matrix) {
+        const weights = this.getWeights(matrix.statesCount);
+        const normalized = this.normalize(matrix);
+        const best = weights.map((_, j) => Math.max(...normalized.map(row => row[j])));
+        const worst = weights.map((_, j) => Math.min(...normalized.map(row => row[j])));
+
+        const S = [];
+        const R = [];
+        normalized.forEach(row => {
+            const gaps = row.map((r, j) => (best[j] > worst[j] ? weights[j] * (best[j] - r) / (best[j] - worst[j]) : 0));
+            S.push(gaps.reduce((a, b) => a + b, 0));
+            R.push(Math.max(...gaps));
+        });
+
+        const scale = (value, values) => {
+            const min = Math.min(...values);
+            const range = Math.max(...values) - min;
+            return range > 0 ? (value - min) / range : 0;
+        };
+        const values = S.map((s, i) => this.v * scale(s, S) + (1 - this.v) * scale(R[i], R));
+        const calculations = values.map((q, i) => ({
+            strategy: matrix.strategies[i],
+            S: S[i],
+            R: R[i],
+            Q: q,
+            formula: `Q = ${this.v} × ${scale(S[i], S).toFixed(4)} + ${(1 - this.v).toFixed(2)} × ${scale(R[i], R).toFixed(4)} = ${q.toFixed(4)}`
+        }));
+
+        const optimal = this.selectOptimal(values, matrix, true);
+        const ranking = optimal.ranking;
+
+        // Условия компромисса: приемлемое преимущество и устойчивость лидера по S или R
+        const leader = ranking[0].index;
+        const advantage = ranking.length < 2 || ranking[1].value - ranking[0].value >= 1 / (ranking.length - 1);
+        const stability = S[leader] === Math.min(...S) || R[leader] === Math.min(...R);
+
+        return this.formatResult({
+            values,
+            calculations,
+            weights,
+            normalized,
+            S,
+            R,
+            v: this.v,
+            acceptableAdvantage: advantage,
+            acceptableStability: stability,
+            ...((!advantage || !stability) && {
+                notice: 'Условия компромисса VIKOR выполнены не полностью: лидер не имеет устойчивого преимущества'
+            }),
+            ...optimal,
+            strategy: matrix.strategies[optimal.optimalIndex] || 'Не определено',
+            type: 'vikor'
+        });
+    }
+}
+
 /**
  * Фабрика для создания критериев
  */
@@ -331,6 +1215,20 @@ class CriteriaFactory {
      * @returns {DecisionCriterion} - экземпляр критерия
      */
     static createCriterion(type, params = {}) {
+        const criterion = CriteriaFactory.instantiate(type, params);
+        if (params.tolerance !== undefined) {
+            criterion.setTolerance(params.tolerance);
+        }
+        return criterion;
+    }
+
+    /**
+     * Создание экземпляра критерия нужного класса
+     * @param {string} type - тип критерия
+     * @param {object} params - параметры критерия
+     * @returns {DecisionCriterion} - экземпляр критерия
+     */
+    static instantiate(type, params) {
         switch(type.toLowerCase()) {
             case 'wald':
                 return new WaldCriterion();
@@ -339,7 +1237,9 @@ class CriteriaFactory {
             case 'savage':
                 return new SavageCriterion();
             case 'hurwitz':
-                return new HurwitzCriterion(params.alpha || 0.5);
+                return new HurwitzCriterion(params.alpha !== undefined ? params.alpha : 0.5);
+            case 'owa':
+                return new OWACriterion(params);
             case 'bayes':
                 if (!params.probabilities) {
                     throw new Error('Probabilities required for Bayes criterion');
@@ -347,6 +1247,50 @@ class CriteriaFactory {
                 return new BayesCriterion(params.probabilities);
             case 'laplace':
                 return new LaplaceCriterion();
+            case 'germeyer':
+                if (!params.probabilities) {
+                    throw new Error('Probabilities required for Germeyer criterion');
+                }
+                return new GermeyerCriterion(params.probabilities);
+            case 'product':
+                return new ProductCriterion();
+            case 'hodges':
+                if (!params.probabilities) {
+                    throw new Error('Probabilities required for Hodges-Lehmann criterion');
+                }
+                return new HodgesLehmannCriterion(
+                    params.probabilities,
+                    params.lambda !== undefined ? params.lambda : 0.5
+                );
+            case 'meanvariance':
+                if (!params.probabilities) {
+                    throw new Error('Probabilities required for mean-variance criterion');
+                }
+                return new MeanVarianceCriterion(
+                    params.probabilities,
+                    params.riskAversion !== undefined ? params.riskAversion : 1
+                );
+            case 'gammamaximin':
+                if (!params.lowerProbabilities || !params.upperProbabilities) {
+                    throw new Error('Probability bounds required for Γ-maximin criterion');
+                }
+                return new GammaMaximinCriterion(params.lowerProbabilities, params.upperProbabilities);
+            case 'ordinalmaximin':
+                if (!params.ranks) {
+                    throw new Error('State ranks required for ordinal Γ-maximin criterion');
+                }
+                return new OrdinalMaximinCriterion(params.ranks);
+            case 'dispersion':
+                if (!params.probabilities) {
+                    throw new Error('Probabilities required for minimum dispersion criterion');
+                }
+                return new MinDispersionCriterion(params.probabilities);
+            case 'weightedsum':
+                return new WeightedSumCriterion(params);
+            case 'topsis':
+                return new TopsisCriterion(params);
+            case 'vikor':
+                return new VikorCriterion(params);
             default:
                 throw new Error(`Unknown criterion type: ${type}`);
         }
@@ -362,8 +1306,19 @@ class CriteriaFactory {
             { type: 'maximax', name: 'Критерий Максимакс' },
             { type: 'savage', name: 'Критерий Сэвиджа' },
             { type: 'hurwitz', name: 'Критерий Гурвица' },
+            { type: 'owa', name: 'Обобщенный критерий Гурвица (OWA)' },
             { type: 'bayes', name: 'Критерий Байеса' },
-            { type: 'laplace', name: 'Критерий Лапласа' }
+            { type: 'laplace', name: 'Критерий Лапласа' },
+            { type: 'hodges', name: 'Критерий Ходжа-Лемана' },
+            { type: 'germeyer', name: 'Критерий Гермейера' },
+            { type: 'meanVariance', name: 'Критерий «среднее - риск»' },
+            { type: 'dispersion', name: 'Критерий минимальной дисперсии' },
+            { type: 'gammaMaximin', name: 'Γ-максиминный критерий' },
+            { type: 'ordinalMaximin', name: 'Γ-максиминный критерий (ранжированные вероятности)' },
+            { type: 'product', name: 'Критерий произведений' },
+            { type: 'weightedSum', name: 'Метод взвешенной суммы' },
+            { type: 'topsis', name: 'Метод TOPSIS' },
+            { type: 'vikor', name: 'Метод VIKOR' }
         ];
     }
 }
\ No newline at end of file
@@ -14,6 +14,10 @@ class DecisionMatrix {
         this.data = [];
         this.strategies = [];
         this.states = [];
+        this.units = [];
+        this.descriptions = [];
+        this.distributions = [];
+        this.orientation = 'max';
         this.initialize();
     }
 
@@ -23,44 +27,355 @@ class DecisionMatrix {
     initialize() {
         // Генерация названий стратегий (A, B, C, ...)
         this.strategies = Array.from({ length: this.strategiesCount }, 
-            (_, i) => `Регион ${String.fromCharCode(65 + i)}`);
+            (_, i) => DecisionMatrix.defaultStrategyName(i));
         
         // Генерация названий состояний природы
         this.states = Array.from({ length: this.statesCount }, 
-            (_, j) => `Показатель ${j + 1}`);
+            (_, j) => DecisionMatrix.defaultStateName(j));
+        
+        // Единицы измерения и описания состояний необязательны
+        this.units = Array(this.statesCount).fill('');
+        this.descriptions = Array(this.statesCount).fill('');
         
         // Инициализация матрицы нулями
         this.data = Array(this.strategiesCount).fill().map(() => 
             Array(this.statesCount).fill(0));
+        this.clearDistributions();
+    }
+
+    /**
+     * Название стратегии по умолчанию: буквы A-Z, далее порядковый номер
+     * @param {number} i - индекс стратегии
+     * @returns {string} - название
+     */
+    static defaultStrategyName(i) {
+        return i < 26 ? `Регион ${String.fromCharCode(65 + i)}` : `Регион ${i + 1}`;
+    }
+
+    /**
+     * Название состояния природы по умолчанию
+     * @param {number} j - индекс состояния
+     * @returns {string} - название
+     */
+    static defaultStateName(j) {
+        return `Показатель ${j + 1}`;
+    }
+
+    /**
+     * Подбор названия, не совпадающего с уже существующими
+     * @param {Array} names - текущие названия
+     * @param {string} base - желаемое название
+     * @returns {string} - base или base с номером
+     */
+    static uniqueName(names, base) {
+        let name = base;
+        for (let n = 2; names.includes(name); n++) {
+            name = `${base} (${n})`;
+        }
+        return name;
     }
 
     /**
      * Обновление размеров матрицы
+     * Введенные значения и названия сохраняются: строки и столбцы добавляются или удаляются в конце
      * @param {number} strategiesCount - новое количество стратегий
      * @param {number} statesCount - новое количество состояний
      */
     updateDimensions(strategiesCount, statesCount) {
-        this.strategiesCount = strategiesCount;
-        this.statesCount = statesCount;
-        this.initialize();
+        if (!(strategiesCount >= 1 && statesCount >= 1)) {
+            throw new Error('Matrix must have at least one strategy and one state');
+        }
+        while (this.strategiesCount < strategiesCount) this.insertStrategy(this.strategiesCount);
+        while (this.strategiesCount > strategiesCount) this.removeStrategy(this.strategiesCount - 1);
+        while (this.statesCount < statesCount) this.insertState(this.statesCount);
+        while (this.statesCount > statesCount) this.removeState(this.statesCount - 1);
+    }
+
+    /**
+     * Проверка позиции вставки или индекса существующего элемента
+     * @param {number} index - проверяемый индекс
+     * @param {number} limit - наибольшее допустимое значение
+     * @param {string} kind - 'Strategy' или 'State' для текста ошибки
+     */
+    checkIndex(index, limit, kind) {
+        if (!Number.isInteger(index) || index < 0 || index > limit) {
+            throw new Error(`${kind} index ${index} is outside the matrix`);
+        }
+    }
+
+    /**
+     * Вставка стратегии (строки) с нулевыми значениями
+     * @param {number} index - позиция новой строки
+     * @param {string} name - название (по умолчанию генерируется)
+     * @returns {number} - индекс вставленной строки
+     */
+    insertStrategy(index = this.strategiesCount, name) {
+        this.checkIndex(index, this.strategiesCount, 'Strategy');
+        const base = name || DecisionMatrix.defaultStrategyName(this.strategiesCount);
+        this.strategies.splice(index, 0, DecisionMatrix.uniqueName(this.strategies, base));
+        this.data.splice(index, 0, Array(this.statesCount).fill(0));
+        this.distributions.splice(index, 0, Array(this.statesCount).fill(null));
+        this.strategiesCount = this.data.length;
+        return index;
+    }
+
+    /**
+     * Вставка состояния природы (столбца) с нулевыми значениями
+     * @param {number} index - позиция нового столбца
+     * @param {string} name - название (по умолчанию генерируется)
+     * @returns {number} - индекс вставленного столбца
+     */
+    insertState(index = this.statesCount, name) {
+        this.checkIndex(index, this.statesCount, 'State');
+        const base = name || DecisionMatrix.defaultStateName(this.statesCount);
+        this.states.splice(index, 0, DecisionMatrix.uniqueName(this.states, base));
+        this.units.splice(index, 0, '');
+        this.descriptions.splice(index, 0, '');
+        this.data.forEach(row => row.splice(index, 0, 0));
+        this.distributions.forEach(row => row.splice(index, 0, null));
+        this.statesCount = this.states.length;
+        return index;
+    }
+
+    /**
+     * Дублирование стратегии: копия вставляется сразу после исходной строки
+     * @param {number} rowIndex - индекс строки
+     * @returns {number} - индекс копии
+     */
+    duplicateStrategy(rowIndex) {
+        this.checkIndex(rowIndex, this.strategiesCount - 1, 'Strategy');
+        const index = this.insertStrategy(rowIndex + 1, `${this.strategies[rowIndex]} (копия)`);
+        this.data[index] = [...this.data[rowIndex]];
+        this.distributions[index] = this.distributions[rowIndex].map(spec => spec && { ...spec });
+        return index;
+    }
+
+    /**
+     * Дублирование состояния природы: копия вставляется сразу после исходного столбца
+     * @param {number} colIndex - индекс столбца
+     * @returns {number} - индекс копии
+     */
+    duplicateState(colIndex) {
+        this.checkIndex(colIndex, this.statesCount - 1, 'State');
+        const index = this.insertState(colIndex + 1, `${this.states[colIndex]} (копия)`);
+        this.units[index] = this.units[colIndex];
+        this.descriptions[index] = this.descriptions[colIndex];
+        this.data.forEach(row => { row[index] = row[colIndex]; });
+        this.distributions.forEach(row => { row[index] = row[colIndex] && { ...row[colIndex] }; });
+        return index;
+    }
+
+    /**
+     * Перемещение элемента массива на новую позицию
+     * @param {Array} list - изменяемый массив
+     * @param {number} from - исходная позиция
+     * @param {number} to - новая позиция
+     */
+    static moveItem(list, from, to) {
+        list.splice(to, 0, list.splice(from, 1)[0]);
+    }
+
+    /**
+     * Перемещение стратегии (строки)
+     * @param {number} from - исходный индекс
+     * @param {number} to - новый индекс
+     */
+    moveStrategy(from, to) {
+        this.checkIndex(from, this.strategiesCount - 1, 'Strategy');
+        this.checkIndex(to, this.strategiesCount - 1, 'Strategy');
+        [this.strategies, this.data, this.distributions].forEach(list => DecisionMatrix.moveItem(list, from, to));
+    }
+
+    /**
+     * Перемещение состояния природы (столбца)
+     * @param {number} from - исходный индекс
+     * @param {number} to - новый индекс
+     */
+    moveState(from, to) {
+        this.checkIndex(from, this.statesCount - 1, 'State');
+        this.checkIndex(to, this.statesCount - 1, 'State');
+        [this.states, this.units, this.descriptions, ...this.data, ...this.distributions]
+            .forEach(list => DecisionMatrix.moveItem(list, from, to));
     }
 
     /**
      * Обновление значения в матрице
+     * Нечисловое значение сохраняется как NaN, чтобы validate() сообщила о незаполненной ячейке
      * @param {number} i - индекс строки (стратегии)
      * @param {number} j - индекс столбца (состояния)
      * @param {number} value - новое значение
-     * @returns {number} - обновленное значение
+     * @returns {number} - обновленное значение (NaN, если значение не число)
      */
     updateValue(i, j, value) {
-        const val = parseFloat(value);
+        const val = typeof value === 'number' ? value : parseFloat(value);
         if (!this.data[i]) {
             this.data[i] = [];
         }
-        this.data[i][j] = isNaN(val) ? 0 : val;
+        this.data[i][j] = Number.isFinite(val) ? val : NaN;
         return this.data[i][j];
     }
 
+    /**
+     * Замена содержимого матрицы импортированной таблицей
+     * Единицы измерения, описания и распределения ячеек сбрасываются, направление оптимизации сохраняется
+     * @param {object} table - { strategies, states, data }; непрочитанные ячейки передаются как NaN
+     */
+    loadTable(table) {
+        const { strategies, states, data } = table;
+        if (strategies.length === 0 || states.length === 0) {
+            throw new Error('Imported table must contain at least one strategy and one state');
+        }
+        if (data.length !== strategies.length || data.some(row => row.length !== states.length)) {
+            throw new Error('Imported data does not match strategy and state names');
+        }
+
+        const strategyNames = this.validateNameList(strategies, 'Strategy');
+        const stateNames = this.validateNameList(states, 'State');
+
+        this.strategiesCount = strategyNames.length;
+        this.statesCount = stateNames.length;
+        this.initialize();
+        this.strategies = strategyNames;
+        this.states = stateNames;
+        this.data = data.map(row => row.map(value => (Number.isFinite(value) ? value : NaN)));
+    }
+
+    /**
+     * Восстановление матрицы из данных getMatrixData (например, из сохраненного анализа)
+     * @param {object} matrixData - { strategies, states, units, descriptions, data, distributions, orientation }
+     */
+    loadMatrixData(matrixData) {
+        this.loadTable(matrixData);
+        this.setOrientation(matrixData.orientation || 'max');
+        for (let j = 0; j < this.statesCount; j++) {
+            this.setStateDetails(j, {
+                unit: matrixData.units ? matrixData.units[j] : '',
+                description: matrixData.descriptions ? matrixData.descriptions[j] : ''
+            });
+        }
+        if (matrixData.distributions) {
+            matrixData.distributions.forEach((row, i) => row.forEach((spec, j) => this.setDistribution(i, j, spec)));
+        }
+    }
+
+    /**
+     * Проверка нового названия строки или столбца
+     * @param {Array} names - текущие названия
+     * @param {number} index - индекс переименовываемого элемента
+     * @param {string} name - новое название
+     * @param {string} kind - 'Strategy' или 'State' для текста ошибки
+     * @returns {string} - название без пробелов по краям
+     */
+    validateName(names, index, name, kind) {
+        if (index < 0 || index >= names.length) {
+            throw new Error(`${kind} index ${index} is outside the matrix`);
+        }
+        const trimmed = String(name ?? '').trim();
+        if (trimmed === '') {
+            throw new Error(`${kind} name must not be empty`);
+        }
+        if (names.some((other, idx) => idx !== index && other === trimmed)) {
+            throw new Error(`${kind} name "${trimmed}" is already used`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Проверка полного списка названий (непустые и уникальные внутри списка)
+     * @param {Array} names - новые названия строк или столбцов
+     * @param {string} kind - 'Strategy' или 'State' для текста ошибки
+     * @returns {Array} - названия без пробелов по краям
+     */
+    validateNameList(names, kind) {
+        const trimmed = names.map(name => String(name ?? '').trim());
+        trimmed.forEach((name, index) => this.validateName(trimmed, index, name, kind));
+        return trimmed;
+    }
+
+    /**
+     * Переименование стратегии (строки)
+     * @param {number} i - индекс строки
+     * @param {string} name - новое уникальное название
+     * @returns {string} - сохраненное название
+     */
+    setStrategyName(i, name) {
+        this.strategies[i] = this.validateName(this.strategies, i, name, 'Strategy');
+        return this.strategies[i];
+    }
+
+    /**
+     * Переименование состояния природы (столбца)
+     * @param {number} j - индекс столбца
+     * @param {string} name - новое уникальное название
+     * @returns {string} - сохраненное название
+     */
+    setStateName(j, name) {
+        this.states[j] = this.validateName(this.states, j, name, 'State');
+        return this.states[j];
+    }
+
+    /**
+     * Установка единицы измерения и описания состояния природы
+     * @param {number} j - индекс столбца
+     * @param {object} details - { unit, description }; отсутствующие поля не изменяются
+     */
+    setStateDetails(j, details = {}) {
+        if (j < 0 || j >= this.statesCount) {
+            throw new Error(`State index ${j} is outside the matrix`);
+        }
+        if (details.unit !== undefined) this.units[j] = String(details.unit).trim();
+        if (details.description !== undefined) this.descriptions[j] = String(details.description).trim();
+    }
+
+    /**
+     * Подпись состояния природы с единицей измерения
+     * @param {number} j - индекс столбца
+     * @returns {string} - например, «Спрос, тыс. шт.»
+     */
+    getStateLabel(j) {
+        return this.units[j] ? `${this.states[j]}, ${this.units[j]}` : this.states[j];
+    }
+
+    /**
+     * Получение распределения значения ячейки
+     * @param {number} i - индекс строки (стратегии)
+     * @param {number} j - индекс столбца (состояния)
+     * @returns {object|null} - описание распределения или null для фиксированного значения
+     */
+    getDistribution(i, j) {
+        return (this.distributions[i] && this.distributions[i][j]) || null;
+    }
+
+    /**
+     * Назначение распределения значению ячейки
+     * Значение ячейки в data сохраняется и используется детерминированными критериями
+     * @param {number} i - индекс строки (стратегии)
+     * @param {number} j - индекс столбца (состояния)
+     * @param {object|null} distribution - описание распределения (null - фиксированное значение)
+     */
+    setDistribution(i, j, distribution) {
+        if (i < 0 || i >= this.strategiesCount || j < 0 || j >= this.statesCount) {
+            throw new Error(`Cell (${i}, ${j}) is outside the matrix`);
+        }
+        this.distributions[i][j] = distribution ? { ...distribution } : null;
+    }
+
+    /**
+     * Количество ячеек со случайными значениями
+     * @returns {number} - число ячеек с распределениями
+     */
+    getDistributionCount() {
+        return this.distributions.reduce((count, row) => count + row.filter(Boolean).length, 0);
+    }
+
+    /**
+     * Сброс распределений всех ячеек к фиксированным значениям
+     */
+    clearDistributions() {
+        this.distributions = Array(this.strategiesCount).fill().map(() => 
+            Array(this.statesCount).fill(null));
+    }
+
     /**
      * Получение минимального значения в строке
      * @param {number} rowIndex - индекс строки
@@ -81,6 +396,81 @@ class DecisionMatrix {
         return Math.max(...this.data[rowIndex]);
     }
 
+    /**
+     * Получение минимального значения в столбце
+     * @param {number} colIndex - индекс столбца
+     * @returns {number} - минимальное значение
+     */
+    getColumnMin(colIndex) {
+        let min = Infinity;
+        for (let i = 0; i < this.strategiesCount; i++) {
+            if (this.data[i] && this.data[i][colIndex] < min) {
+                min = this.data[i][colIndex];
+            }
+        }
+        return min === Infinity ? 0 : min;
+    }
+
+    /**
+     * Установка направления оптимизации
+     * @param {string} orientation - 'max' (выигрыши) или 'min' (затраты/потери)
+     */
+    setOrientation(orientation) {
+        if (orientation !== 'max' && orientation !== 'min') {
+            throw new Error(`Unknown matrix orientation: ${orientation}`);
+        }
+        this.orientation = orientation;
+    }
+
+    /**
+     * Проверка, является ли матрица матрицей затрат (меньше - лучше)
+     * @returns {boolean} - true для матрицы затрат/потерь
+     */
+    isMinimization() {
+        return this.orientation === 'min';
+    }
+
+    /**
+     * Наилучшее значение в строке с учетом направления оптимизации
+     * @param {number} rowIndex - индекс строки
+     * @returns {number} - наилучшее значение
+     */
+    getRowBest(rowIndex) {
+        return this.isMinimization() ? this.getRowMin(rowIndex) : this.getRowMax(rowIndex);
+    }
+
+    /**
+     * Наихудшее значение в строке с учетом направления оптимизации
+     * @param {number} rowIndex - индекс строки
+     * @returns {number} - наихудшее значение
+     */
+    getRowWorst(rowIndex) {
+        return this.isMinimization() ? this.getRowMax(rowIndex) : this.getRowMin(rowIndex);
+    }
+
+    /**
+     * Наилучшее значение в столбце с учетом направления оптимизации
+     * @param {number} colIndex - индекс столбца
+     * @returns {number} - наилучшее значение
+     */
+    getColumnBest(colIndex) {
+        return this.isMinimization() ? this.getColumnMin(colIndex) : this.getColumnMax(colIndex);
+    }
+
+    /**
+     * Приведение матрицы к задаче максимизации
+     * Для матрицы затрат возвращает копию с противоположными по знаку значениями
+     * @returns {DecisionMatrix} - матрица выигрышей
+     */
+    toMaximization() {
+        const copy = this.clone();
+        if (this.isMinimization()) {
+            copy.data = copy.data.map(row => row.map(value => -value));
+            copy.orientation = 'max';
+        }
+        return copy;
+    }
+
     /**
      * Получение максимального значения в столбце
      * @param {number} colIndex - индекс столбца
@@ -96,6 +486,38 @@ class DecisionMatrix {
         return max === -Infinity ? 0 : max;
     }
 
+    /**
+     * Поиск седловых точек матрицы
+     * Элемент является седловой точкой, если он наихудший в своей строке и наилучший в своем столбце
+     * (для матрицы выигрышей - минимален в строке и максимален в столбце, для матрицы затрат - наоборот)
+     * @returns {Array} - массив седловых точек с индексами и названиями
+     */
+    findSaddlePoints() {
+        const points = [];
+        const columnBests = [];
+        for (let j = 0; j < this.statesCount; j++) {
+            columnBests.push(this.getColumnBest(j));
+        }
+
+        for (let i = 0; i < this.strategiesCount; i++) {
+            const rowWorst = this.getRowWorst(i);
+            for (let j = 0; j < this.statesCount; j++) {
+                const value = this.data[i][j];
+                if (value === rowWorst && value === columnBests[j]) {
+                    points.push({
+                        row: i,
+                        col: j,
+                        value,
+                        strategy: this.strategies[i],
+                        state: this.states[j]
+                    });
+                }
+            }
+        }
+
+        return points;
+    }
+
     /**
      * Валидация матрицы
      * @returns {boolean} - true если матрица заполнена корректно
@@ -138,7 +560,10 @@ class DecisionMatrix {
         this.statesCount = 4;
         this.strategies = regionNames;
         this.states = indicatorNames;
+        this.units = Array(this.statesCount).fill('');
+        this.descriptions = Array(this.statesCount).fill('');
         this.data = exampleData;
+        this.clearDistributions();
 
         return {
             strategiesCount: this.strategiesCount,
@@ -157,7 +582,11 @@ class DecisionMatrix {
         return {
             strategies: this.strategies,
             states: this.states,
+            units: this.units,
+            descriptions: this.descriptions,
             data: this.data,
+            distributions: this.distributions,
+            orientation: this.orientation,
             dimensions: {
                 strategies: this.strategiesCount,
                 states: this.statesCount
@@ -165,11 +594,52 @@ class DecisionMatrix {
         };
     }
 
+    /**
+     * Создание независимой копии матрицы
+     * @returns {DecisionMatrix} - копия матрицы
+     */
+    clone() {
+        const copy = new DecisionMatrix(this.strategiesCount, this.statesCount);
+        copy.strategies = [...this.strategies];
+        copy.states = [...this.states];
+        copy.units = [...this.units];
+        copy.descriptions = [...this.descriptions];
+        copy.data = this.data.map(row => [...row]);
+        copy.distributions = this.distributions.map(row => [...row]);
+        copy.orientation = this.orientation;
+        return copy;
+    }
+
+    /**
+     * Удаление стратегии (строки)
+     * @param {number} rowIndex - индекс строки
+     */
+    removeStrategy(rowIndex) {
+        this.data.splice(rowIndex, 1);
+        this.distributions.splice(rowIndex, 1);
+        this.strategies.splice(rowIndex, 1);
+        this.strategiesCount = this.data.length;
+    }
+
+    /**
+     * Удаление состояния природы (столбца)
+     * @param {number} colIndex - индекс столбца
+     */
+    removeState(colIndex) {
+        this.data.forEach(row => row.splice(colIndex, 1));
+        this.distributions.forEach(row => row.splice(colIndex, 1));
+        this.states.splice(colIndex, 1);
+        this.units.splice(colIndex, 1);
+        this.descriptions.splice(colIndex, 1);
+        this.statesCount = this.states.length;
+    }
+
     /**
      * Очистка матрицы
      */
     clear() {
         this.data = Array(this.strategiesCount).fill().map(() => 
             Array(this.statesCount).fill(0));
+        this.clearDistributions();
     }
 }
\ No newline at end of file
@@ -0,0 +1,395 @@
+/**
+ * Дерево решений для многоэтапных задач
+ * Узлы решений (выбор ЛПР), случайные узлы (исходы с вероятностями) и конечные узлы.
+ * Каждый узел хранит результат (денежный поток) ветви, ведущей в него
+ */
+class DecisionTree {
+    /**
+     * Конструктор дерева с корневым узлом решения
+     * @param {string} orientation - 'max' (выигрыши) или 'min' (затраты/потери)
+     */
+    constructor(orientation = 'max') {
+        this.nodes = {};
+        this.nextId = 1;
+        this.orientation = orientation;
+        this.rootId = this.addNode(null, 'decision').id;
+    }
+
+    /**
+     * Названия узлов по умолчанию
+     * @param {string} type - тип узла
+     * @returns {string} - название
+     */
+    static defaultName(type) {
+        return { decision: 'Решение', chance: 'Событие', terminal: 'Исход' }[type];
+    }
+
+    /**
+     * Добавление узла
+     * @param {string|null} parentId - идентификатор родителя (null для корня)
+     * @param {string} type - 'decision', 'chance' или 'terminal'
+     * @param {object} props - { name, payoff, probability }
+     * @returns {object} - созданный узел
+     */
+    addNode(parentId, type, props = {}) {
+        if (!['decision', 'chance', 'terminal'].includes(type)) {
+            throw new Error(`Unknown node type: ${type}`);
+        }
+        const parent = parentId === null ? null : this.getNode(parentId);
+        if (parent && parent.type === 'terminal') {
+            throw new Error('Terminal nodes cannot have children');
+        }
+
+        const node = {
+            id: `n${this.nextId++}`,
+            type,
+            name: props.name || DecisionTree.defaultName(type),
+            parentId,
+            children: [],
+            payoff: props.payoff || 0,
+            probability: parent && parent.type === 'chance' ? (props.probability ?? 0) : null
+        };
+        this.nodes[node.id] = node;
+        if (parent) parent.children.push(node.id);
+        return node;
+    }
+
+    /**
+     * Получение узла по идентификатору
+     * @param {string} id - идентификатор узла
+     * @returns {object} - узел
+     */
+    getNode(id) {
+        const node = this.nodes[id];
+        if (!node) {
+            throw new Error(`Node not found: ${id}`);
+        }
+        return node;
+    }
+
+    /**
+     * Дочерние узлы
+     * @param {string} id - идентификатор узла
+     * @returns {Array} - дочерние узлы в порядке добавления
+     */
+    getChildren(id) {
+        return this.getNode(id).children.map(childId => this.nodes[childId]);
+    }
+
+    /**
+     * Изменение свойств узла
+     * При смене типа родителя на случайный узел его ветвям назначаются вероятности
+     * @param {string} id - идентификатор узла
+     * @param {object} props - { name, type, payoff, probability }
+     */
+    updateNode(id, props) {
+        const node = this.getNode(id);
+
+        if (props.type && props.type !== node.type) {
+            if (props.type === 'terminal' && node.children.length > 0) {
+                throw new Error('A node with children cannot become terminal');
+            }
+            node.type = props.type;
+            this.getChildren(id).forEach(child => {
+                child.probability = node.type === 'chance' ? (child.probability ?? 0) : null;
+            });
+        }
+        if (props.name !== undefined) node.name = props.name || DecisionTree.defaultName(node.type);
+        if (props.payoff !== undefined) node.payoff = props.payoff;
+        if (props.probability !== undefined && node.probability !== null) node.probability = props.probability;
+    }
+
+    /**
+     * Удаление узла вместе с поддеревом
+     * @param {string} id - идентификатор узла
+     */
+    removeNode(id) {
+        if (id === this.rootId) {
+            throw new Error('The root node cannot be removed');
+        }
+        const node = this.getNode(id);
+        const parent = this.getNode(node.parentId);
+        parent.children = parent.children.filter(childId => childId !== id);
+
+        const stack = [id];
+        while (stack.length > 0) {
+            const current = this.nodes[stack.pop()];
+            stack.push(...current.children);
+            delete this.nodes[current.id];
+        }
+    }
+
+    /**
+     * Импорт матрицы решений как одноэтапного поддерева
+     * Узел становится узлом решения: стратегии - его ветви (случайные узлы),
+     * состояния природы - исходы с вероятностями и результатами матрицы
+     * @param {string} id - идентификатор узла решения
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @param {Array} probabilities - вероятности состояний природы
+     */
+    importMatrix(id, matrix, probabilities) {
+        const node = this.getNode(id);
+        if (node.type === 'terminal') {
+            throw new Error('A matrix cannot be imported into a terminal node');
+        }
+        if (!matrix.validate()) {
+            throw new Error('Matrix contains empty or non-numeric values');
+        }
+        if (Object.keys(this.nodes).length > 1 && matrix.orientation !== this.orientation) {
+            throw new Error('Matrix orientation does not match the tree');
+        }
+
+        this.orientation = matrix.orientation;
+        this.updateNode(id, { type: 'decision' });
+        for (let i = 0; i < matrix.strategiesCount; i++) {
+            const chance = this.addNode(id, 'chance', { name: matrix.strategies[i] });
+            for (let j = 0; j < matrix.statesCount; j++) {
+                this.addNode(chance.id, 'terminal', {
+                    name: matrix.states[j],
+                    payoff: matrix.data[i][j],
+                    probability: probabilities[j]
+                });
+            }
+        }
+    }
+
+    /**
+     * Глубина дерева (число уровней)
+     * @param {string} id - идентификатор узла
+     * @returns {number} - глубина поддерева
+     */
+    getDepth(id = this.rootId) {
+        const children = this.getNode(id).children;
+        return 1 + (children.length ? Math.max(...children.map(childId => this.getDepth(childId))) : 0);
+    }
+
+    /**
+     * Сериализация дерева
+     * @returns {object} - данные дерева для JSON
+     */
+    toJSON() {
+        return {
+            orientation: this.orientation,
+            rootId: this.rootId,
+            nextId: this.nextId,
+            nodes: Object.values(this.nodes).map(node => ({ ...node, children: [...node.children] }))
+        };
+    }
+
+    /**
+     * Восстановление дерева из сериализованных данных
+     * Данные проверяются целиком (идентификаторы, типы, результаты, вероятности, связи
+     * родитель-потомок, достижимость от корня), так как они могут быть прочитаны из файла
+     * @param {object} data - результат toJSON
+     * @returns {DecisionTree} - дерево решений
+     */
+    static fromJSON(data) {
+        if (!data || !Array.isArray(data.nodes) || data.nodes.length === 0) {
+            throw new Error('Tree must contain a non-empty list of nodes');
+        }
+        if (!['max', 'min'].includes(data.orientation)) {
+            throw new Error('Tree orientation must be "max" or "min"');
+        }
+
+        const nodes = {};
+        data.nodes.forEach((node, index) => {
+            const path = `nodes[${index}]`;
+            if (!node || typeof node !== 'object') {
+                throw new Error(`${path}: node must be an object`);
+            }
+            if (typeof node.id !== 'string' || !/^n\d+$/.test(node.id)) {
+                throw new Error(`${path}: node id must look like "n1"`);
+            }
+            if (nodes[node.id]) {
+                throw new Error(`${path}: duplicate node id ${node.id}`);
+            }
+            if (!['decision', 'chance', 'terminal'].includes(node.type)) {
+                throw new Error(`${path}: unknown node type`);
+            }
+            if (typeof node.name !== 'string') {
+                throw new Error(`${path}: node name must be a string`);
+            }
+            if (typeof node.payoff !== 'number' || !Number.isFinite(node.payoff)) {
+                throw new Error(`${path}: payoff must be a finite number`);
+            }
+            if (!Array.isArray(node.children) || node.children.some(childId => typeof childId !== 'string')) {
+                throw new Error(`${path}: children must be a list of node ids`);
+            }
+            if (node.type === 'terminal' && node.children.length > 0) {
+                throw new Error(`${path}: terminal nodes cannot have children`);
+            }
+            nodes[node.id] = {
+                id: node.id,
+                type: node.type,
+                name: node.name,
+                parentId: node.parentId ?? null,
+                children: [...node.children],
+                payoff: node.payoff,
+                probability: node.probability ?? null
+            };
+        });
+
+        const root = nodes[data.rootId];
+        if (!root || root.parentId !== null) {
+            throw new Error('Root node is missing or has a parent');
+        }
+
+        // Обход от корня: каждый потомок существует, ссылается на родителя и посещается один раз
+        const visited = new Set([root.id]);
+        const stack = [root];
+        while (stack.length > 0) {
+            const parent = stack.pop();
+            parent.children.forEach(childId => {
+                const child = nodes[childId];
+                if (!child || child.parentId !== parent.id) {
+                    throw new Error(`Node ${parent.id} refers to a missing or foreign child`);
+                }
+                if (visited.has(childId)) {
+                    throw new Error(`Node ${childId} is reached more than once (cycle)`);
+                }
+                const probability = child.probability;
+                if (parent.type === 'chance'
+                    ? typeof probability !== 'number' || !(probability >= 0 && probability <= 1)
+                    : probability !== null) {
+                    throw new Error(`Node ${childId}: probability must be in [0, 1] under a chance node and null otherwise`);
+                }
+                visited.add(childId);
+                stack.push(child);
+            });
+        }
+        if (visited.size !== data.nodes.length) {
+            throw new Error('Some nodes are not reachable from the root');
+        }
+
+        const maxId = Math.max(...Object.keys(nodes).map(id => Number(id.slice(1))));
+        if (!Number.isInteger(data.nextId) || data.nextId <= maxId) {
+            throw new Error('nextId must be greater than every node id');
+        }
+
+        const tree = new DecisionTree(data.orientation);
+        tree.nodes = nodes;
+        tree.rootId = root.id;
+        tree.nextId = data.nextId;
+        return tree;
+    }
+}
+
+/**
+ * Решение дерева методом обратной индукции (rollback)
+ * В случайных узлах исходы свертываются выбранным критерием, в узлах решений выбирается наилучшая ветвь
+ */
+class DecisionTreeSolver {
+    /**
+     * Конструктор решателя
+     * @param {object} options - { criterion: 'expected' | 'laplace' | 'wald' | 'maximax' | 'hurwitz', alpha, epsilon }
+     */
+    constructor(options = {}) {
+        const { criterion = 'expected', alpha = 0.5, epsilon = 1e-6 } = options;
+        if (!['expected', 'laplace', 'wald', 'maximax', 'hurwitz'].includes(criterion)) {
+            throw new Error(`Unknown chance node criterion: ${criterion}`);
+        }
+        this.criterion = criterion;
+        this.alpha = alpha;
+        this.epsilon = epsilon;
+    }
+
+    /**
+     * Свертка исходов случайного узла
+     * @param {Array} values - значения исходов
+     * @param {Array} probabilities - вероятности исходов
+     * @param {boolean} minimize - true для затрат
+     * @returns {number} - значение случайного узла
+     */
+    aggregate(values, probabilities, minimize) {
+        const best = minimize ? Math.min(...values) : Math.max(...values);
+        const worst = minimize ? Math.max(...values) : Math.min(...values);
+
+        switch (this.criterion) {
+            case 'expected':
+                return values.reduce((sum, value, k) => sum + value * probabilities[k], 0);
+            case 'laplace':
+                return values.reduce((a, b) => a + b, 0) / values.length;
+            case 'wald':
+                return worst;
+            case 'maximax':
+                return best;
+            default:
+                return this.alpha * best + (1 - this.alpha) * worst;
+        }
+    }
+
+    /**
+     * Решение дерева
+     * @param {DecisionTree} tree - дерево решений
+     * @returns {object} - значения узлов, выбор в узлах решений и оптимальная политика
+     */
+    solve(tree) {
+        const minimize = tree.orientation === 'min';
+        const values = {};
+        const decisions = {};
+
+        const rollback = id => {
+            const node = tree.getNode(id);
+            const children = tree.getChildren(id);
+
+            if (node.type === 'terminal') {
+                values[id] = node.payoff;
+                return values[id];
+            }
+            if (children.length === 0) {
+                throw new Error(`Node "${node.name}" has no branches`);
+            }
+
+            const childValues = children.map(child => rollback(child.id));
+            if (node.type === 'chance') {
+                const probabilities = children.map(child => child.probability);
+                const sum = probabilities.reduce((a, b) => a + b, 0);
+                if (this.criterion === 'expected' &&
+                    (probabilities.some(p => !(p >= 0)) || Math.abs(sum - 1) > this.epsilon)) {
+                    throw new Error(`Probabilities at chance node "${node.name}" must sum to 1`);
+                }
+                values[id] = node.payoff + this.aggregate(childValues, probabilities, minimize);
+            } else {
+                let bestIndex = 0;
+                childValues.forEach((value, k) => {
+                    if (minimize ? value < childValues[bestIndex] - this.epsilon : value > childValues[bestIndex] + this.epsilon) {
+                        bestIndex = k;
+                    }
+                });
+                decisions[id] = children[bestIndex].id;
+                values[id] = node.payoff + childValues[bestIndex];
+            }
+            return values[id];
+        };
+
+        const rootValue = rollback(tree.rootId);
+
+        // Оптимальная политика: в узлах решений - выбранная ветвь, в случайных узлах - все исходы
+        const optimalNodes = [];
+        const policy = [];
+        const stack = [tree.rootId];
+        while (stack.length > 0) {
+            const node = tree.getNode(stack.pop());
+            optimalNodes.push(node.id);
+            if (node.type === 'decision') {
+                const choice = tree.getNode(decisions[node.id]);
+                policy.push({ nodeId: node.id, node: node.name, choiceId: choice.id, choice: choice.name, value: values[node.id] });
+                stack.push(choice.id);
+            } else {
+                stack.push(...[...node.children].reverse());
+            }
+        }
+
+        return {
+            values,
+            decisions,
+            optimalNodes,
+            policy,
+            rootValue,
+            criterion: this.criterion,
+            alpha: this.criterion === 'hurwitz' ? this.alpha : null,
+            orientation: tree.orientation,
+            type: 'decisionTree'
+        };
+    }
+}
\ No newline at end of file
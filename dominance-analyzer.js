@@ -0,0 +1,168 @@
+/**
+ * Анализатор доминирования стратегий
+ * Выполняет последовательное исключение доминируемых строк и, в игре
+ * с разумным противником, доминирующих (невыгодных противнику) столбцов
+ */
+class DominanceAnalyzer {
+    /**
+     * Конструктор анализатора
+     * @param {number} epsilon - точность сравнения значений
+     */
+    constructor(epsilon = 1e-9) {
+        this.epsilon = epsilon;
+    }
+
+    /**
+     * Определение отношения доминирования между двумя векторами выигрышей
+     * @param {Array} a - доминирующий кандидат
+     * @param {Array} b - доминируемый кандидат
+     * @returns {string|null} - 'strict', 'weak' или null
+     */
+    compare(a, b) {
+        let allGreater = true;
+        let someGreater = false;
+
+        for (let j = 0; j < a.length; j++) {
+            const diff = a[j] - b[j];
+            if (diff < -this.epsilon) return null;
+            if (diff > this.epsilon) {
+                someGreater = true;
+            } else {
+                allGreater = false;
+            }
+        }
+
+        if (allGreater) return 'strict';
+        return someGreater ? 'weak' : null;
+    }
+
+    /**
+     * Определение отношения доминирования с учетом направления оптимизации
+     * @param {Array} better - доминирующий кандидат
+     * @param {Array} worse - доминируемый кандидат
+     * @param {boolean} minimize - true если лучшими являются меньшие значения
+     * @returns {string|null} - 'strict', 'weak' или null
+     */
+    compareOriented(better, worse, minimize) {
+        return minimize ? this.compare(worse, better) : this.compare(better, worse);
+    }
+
+    /**
+     * Поиск всех пар доминирования между стратегиями (строками)
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @returns {Array} - массив отношений доминирования
+     */
+    findDominatedStrategies(matrix) {
+        const minimize = matrix.isMinimization();
+        const relations = [];
+        for (let i = 0; i < matrix.strategiesCount; i++) {
+            for (let k = 0; k < matrix.strategiesCount; k++) {
+                if (i === k) continue;
+                const relation = this.compareOriented(matrix.data[k], matrix.data[i], minimize);
+                if (relation) {
+                    relations.push({
+                        dominated: i,
+                        dominating: k,
+                        relation,
+                        dominatedName: matrix.strategies[i],
+                        dominatingName: matrix.strategies[k]
+                    });
+                }
+            }
+        }
+        return relations;
+    }
+
+    /**
+     * Поиск избыточных состояний (столбцов) для игры с разумным противником
+     * Противник минимизирует выигрыш (максимизирует затраты), поэтому столбец j избыточен,
+     * если существует столбец k, поэлементно не более выгодный игроку A
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @returns {Array} - массив отношений доминирования
+     */
+    findRedundantStates(matrix) {
+        const minimize = matrix.isMinimization();
+        const relations = [];
+        const columns = Array.from({ length: matrix.statesCount },
+            (_, j) => matrix.data.map(row => row[j]));
+
+        for (let j = 0; j < matrix.statesCount; j++) {
+            for (let k = 0; k < matrix.statesCount; k++) {
+                if (j === k) continue;
+                const relation = this.compareOriented(columns[j], columns[k], minimize);
+                if (relation) {
+                    relations.push({
+                        dominated: j,
+                        dominating: k,
+                        relation,
+                        dominatedName: matrix.states[j],
+                        dominatingName: matrix.states[k]
+                    });
+                }
+            }
+        }
+        return relations;
+    }
+
+    /**
+     * Последовательное исключение доминируемых стратегий и состояний
+     * @param {DecisionMatrix} matrix - исходная матрица (не изменяется)
+     * @param {object} options - { includeWeak, reduceStates }
+     * @returns {object} - сокращенная матрица и журнал шагов
+     */
+    reduce(matrix, options = {}) {
+        const { includeWeak = false, reduceStates = false } = options;
+        const reduced = matrix.clone();
+        const log = [];
+        const accepts = relation => relation.relation === 'strict' || includeWeak;
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+
+            if (reduced.strategiesCount > 1) {
+                const relation = this.findDominatedStrategies(reduced).find(accepts);
+                if (relation) {
+                    log.push({
+                        step: log.length + 1,
+                        kind: 'strategy',
+                        ...relation,
+                        removed: relation.dominatedName,
+                        values: [...reduced.data[relation.dominated]],
+                        dominatingValues: [...reduced.data[relation.dominating]]
+                    });
+                    reduced.removeStrategy(relation.dominated);
+                    changed = true;
+                    continue;
+                }
+            }
+
+            if (reduceStates && reduced.statesCount > 1) {
+                const relation = this.findRedundantStates(reduced).find(accepts);
+                if (relation) {
+                    log.push({
+                        step: log.length + 1,
+                        kind: 'state',
+                        ...relation,
+                        removed: relation.dominatedName,
+                        values: reduced.data.map(row => row[relation.dominated]),
+                        dominatingValues: reduced.data.map(row => row[relation.dominating])
+                    });
+                    reduced.removeState(relation.dominated);
+                    changed = true;
+                }
+            }
+        }
+
+        return {
+            matrix: reduced,
+            log,
+            removedStrategies: log.filter(entry => entry.kind === 'strategy').map(entry => entry.removed),
+            removedStates: log.filter(entry => entry.kind === 'state').map(entry => entry.removed),
+            includeWeak,
+            reduceStates,
+            orientation: matrix.orientation,
+            type: 'dominance'
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,332 @@
+/**
+ * Симплекс-метод для задач линейного программирования
+ * Решает задачу max c·x при A·x ≤ b, x ≥ 0 (b ≥ 0) и проверяет совместность систем A·x ≤ b
+ */
+class SimplexMethod {
+    /**
+     * Решение задачи максимизации
+     * @param {Array} A - матрица ограничений (m × n)
+     * @param {Array} b - правые части ограничений (m), неотрицательные
+     * @param {Array} c - коэффициенты целевой функции (n)
+     * @param {number} epsilon - точность сравнения с нулем
+     * @returns {object} - { x, value, duals, iterations }
+     */
+    static maximize(A, b, c, epsilon = 1e-9) {
+        const m = A.length;
+        const n = c.length;
+
+        if (b.some(value => value < 0)) {
+            throw new Error('Simplex method requires non-negative right-hand side');
+        }
+
+        // Симплекс-таблица: [A | E | b], последняя строка - целевая функция
+        const tableau = A.map((row, i) => [
+            ...row,
+            ...Array.from({ length: m }, (_, k) => (k === i ? 1 : 0)),
+            b[i]
+        ]);
+        tableau.push([...c.map(value => -value), ...Array(m).fill(0), 0]);
+
+        const basis = Array.from({ length: m }, (_, i) => n + i);
+        const width = n + m;
+        const iterations = this.iterate(tableau, basis, epsilon);
+
+        const x = Array(n).fill(0);
+        basis.forEach((variable, i) => {
+            if (variable < n) x[variable] = tableau[i][width];
+        });
+
+        return {
+            x,
+            value: tableau[m][width],
+            duals: tableau[m].slice(n, n + m),
+            iterations
+        };
+    }
+
+    /**
+     * Проверка совместности системы A·x ≤ b, x ≥ 0 (первая фаза симплекс-метода)
+     * Правые части могут быть любого знака: для строк с b_i < 0 вводятся искусственные
+     * переменные, сумма которых минимизируется
+     * @param {Array} A - матрица ограничений (m × n)
+     * @param {Array} b - правые части ограничений (m)
+     * @param {number} epsilon - точность сравнения с нулем
+     * @returns {object} - { feasible, x }
+     */
+    static findFeasible(A, b, epsilon = 1e-9) {
+        const m = A.length;
+        const n = A[0] ? A[0].length : 0;
+        const negativeRows = b.map((value, i) => (value < 0 ? i : -1)).filter(i => i >= 0);
+        const k = negativeRows.length;
+        const width = n + m + k;
+
+        // Строка i: A_i·x + s_i = b_i; при b_i < 0 строка умножается на −1 и получает искусственную переменную
+        const tableau = A.map((row, i) => {
+            const sign = b[i] < 0 ? -1 : 1;
+            const artificial = negativeRows.indexOf(i);
+            return [
+                ...row.map(value => sign * value),
+                ...Array.from({ length: m }, (_, s) => (s === i ? sign : 0)),
+                ...Array.from({ length: k }, (_, t) => (t === artificial ? 1 : 0)),
+                sign * b[i]
+            ];
+        });
+
+        // Целевая функция: max −Σt, выраженная через небазисные переменные
+        const objective = [...Array(n + m).fill(0), ...Array(k).fill(1), 0];
+        negativeRows.forEach(i => {
+            tableau[i].forEach((value, j) => {
+                objective[j] -= value;
+            });
+        });
+        tableau.push(objective);
+
+        const basis = Array.from({ length: m }, (_, i) => {
+            const artificial = negativeRows.indexOf(i);
+            return artificial >= 0 ? n + m + artificial : n + i;
+        });
+        this.iterate(tableau, basis, epsilon);
+
+        const x = Array(n).fill(0);
+        basis.forEach((variable, i) => {
+            if (variable < n) x[variable] = tableau[i][width];
+        });
+
+        return {
+            feasible: Math.abs(tableau[m][width]) <= epsilon * Math.max(1, m),
+            x
+        };
+    }
+
+    /**
+     * Итерации симплекс-метода до достижения оптимума
+     * @param {Array} tableau - симплекс-таблица, последняя строка - оценки целевой функции
+     * @param {Array} basis - индексы базисных переменных по строкам (изменяется)
+     * @param {number} epsilon - точность сравнения с нулем
+     * @returns {number} - количество итераций
+     */
+    static iterate(tableau, basis, epsilon) {
+        const m = basis.length;
+        const width = tableau[m].length - 1;
+        let iterations = 0;
+
+        while (true) {
+            // Правило Бленда: первый столбец с отрицательной оценкой
+            let entering = -1;
+            for (let j = 0; j < width; j++) {
+                if (tableau[m][j] < -epsilon) {
+                    entering = j;
+                    break;
+                }
+            }
+            if (entering === -1) break;
+
+            let leaving = -1;
+            let bestRatio = Infinity;
+            for (let i = 0; i < m; i++) {
+                const pivot = tableau[i][entering];
+                if (pivot > epsilon) {
+                    const ratio = tableau[i][width] / pivot;
+                    if (ratio < bestRatio - epsilon ||
+                        (Math.abs(ratio - bestRatio) <= epsilon && basis[i] < basis[leaving])) {
+                        bestRatio = ratio;
+                        leaving = i;
+                    }
+                }
+            }
+            if (leaving === -1) {
+                throw new Error('Linear program is unbounded');
+            }
+
+            this.pivot(tableau, leaving, entering);
+            basis[leaving] = entering;
+            iterations++;
+        }
+
+        return iterations;
+    }
+
+    /**
+     * Преобразование симплекс-таблицы относительно разрешающего элемента
+     * @param {Array} tableau - симплекс-таблица
+     * @param {number} row - разрешающая строка
+     * @param {number} col - разрешающий столбец
+     */
+    static pivot(tableau, row, col) {
+        const pivotValue = tableau[row][col];
+        tableau[row] = tableau[row].map(value => value / pivotValue);
+
+        for (let i = 0; i < tableau.length; i++) {
+            if (i === row) continue;
+            const factor = tableau[i][col];
+            if (factor !== 0) {
+                tableau[i] = tableau[i].map((value, j) => value - factor * tableau[row][j]);
+            }
+        }
+    }
+}
+
+/**
+ * Решатель антагонистической матричной игры двух лиц
+ * Строки матрицы - чистые стратегии игрока A, столбцы - чистые стратегии игрока B.
+ * Для матрицы затрат игрок A минимизирует, а игрок B максимизирует значения матрицы
+ */
+class MatrixGameSolver {
+    /**
+     * Конструктор решателя
+     * @param {number} epsilon - точность вычислений
+     */
+    constructor(epsilon = 1e-9) {
+        this.epsilon = epsilon;
+    }
+
+    /**
+     * Гарантированный результат игрока A (критерий Вальда)
+     * Максимин для матрицы выигрышей, минимакс для матрицы затрат
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @returns {object} - значение, индекс стратегии и наихудшие значения строк
+     */
+    getPlayerGuarantee(matrix) {
+        const rowWorsts = [];
+        for (let i = 0; i < matrix.strategiesCount; i++) {
+            rowWorsts.push(matrix.getRowWorst(i));
+        }
+        const value = matrix.isMinimization() ? Math.min(...rowWorsts) : Math.max(...rowWorsts);
+        return { value, index: rowWorsts.indexOf(value), rowWorsts };
+    }
+
+    /**
+     * Гарантированный результат игрока B
+     * Минимакс для матрицы выигрышей, максимин для матрицы затрат
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @returns {object} - значение, индекс столбца и наилучшие значения столбцов
+     */
+    getOpponentGuarantee(matrix) {
+        const columnBests = [];
+        for (let j = 0; j < matrix.statesCount; j++) {
+            columnBests.push(matrix.getColumnBest(j));
+        }
+        const value = matrix.isMinimization() ? Math.max(...columnBests) : Math.min(...columnBests);
+        return { value, index: columnBests.indexOf(value), columnBests };
+    }
+
+    /**
+     * Проверка наличия решения в чистых стратегиях
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @returns {object} - седловые точки, нижняя и верхняя цена игры
+     */
+    analyzeSaddlePoints(matrix) {
+        const player = this.getPlayerGuarantee(matrix);
+        const opponent = this.getOpponentGuarantee(matrix);
+        const points = matrix.findSaddlePoints();
+
+        return {
+            points,
+            lowerValue: Math.min(player.value, opponent.value),
+            upperValue: Math.max(player.value, opponent.value),
+            waldValue: player.value,
+            maximinStrategies: player.rowWorsts
+                .map((value, i) => (value === player.value ? matrix.strategies[i] : null))
+                .filter(name => name !== null),
+            hasPureSolution: points.length > 0,
+            waldEqualsMinimax: Math.abs(player.value - opponent.value) <= this.epsilon,
+            orientation: matrix.orientation,
+            type: 'saddle'
+        };
+    }
+
+    /**
+     * Решение игры в смешанных стратегиях
+     * Матрица приводится к выигрышам и сдвигается до положительной, после чего решается пара
+     * двойственных задач: max Σy_j при A'y ≤ 1 (игрок B) и двойственная к ней (игрок A)
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @returns {object} - цена игры и оптимальные смешанные стратегии
+     */
+    solve(matrix) {
+        const minimize = matrix.isMinimization();
+        const player = this.getPlayerGuarantee(matrix);
+        const opponent = this.getOpponentGuarantee(matrix);
+        const gains = matrix.toMaximization();
+
+        const minElement = Math.min(...gains.data.map(row => Math.min(...row)));
+        const shift = minElement <= 0 ? 1 - minElement : 0;
+        const shifted = gains.data.map(row => row.map(value => value + shift));
+
+        const lp = SimplexMethod.maximize(
+            shifted,
+            Array(matrix.strategiesCount).fill(1),
+            Array(matrix.statesCount).fill(1),
+            this.epsilon
+        );
+
+        const shiftedValue = 1 / lp.value;
+        const gainValue = shiftedValue - shift;
+        const value = minimize ? -gainValue : gainValue;
+        const playerStrategy = lp.duals.map(x => this.round(x * shiftedValue));
+        const opponentStrategy = lp.x.map(y => this.round(y * shiftedValue));
+
+        const [playerOp, playerInner] = minimize ? ['min', 'max'] : ['max', 'min'];
+        const [opponentOp, opponentInner] = minimize ? ['max', 'min'] : ['min', 'max'];
+        const calculations = [
+            {
+                step: 'Гарантированный результат игрока A',
+                formula: `${playerOp}(${player.rowWorsts.join(', ')}) = ${player.value}` +
+                    ` (${playerInner} по строкам)`
+            },
+            {
+                step: 'Гарантированный результат игрока B',
+                formula: `${opponentOp}(${opponent.columnBests.join(', ')}) = ${opponent.value}` +
+                    ` (${opponentInner} по столбцам)`
+            }
+        ];
+        if (minimize) {
+            calculations.push({
+                step: 'Приведение матрицы затрат к выигрышам',
+                formula: 'a_ij → −a_ij'
+            });
+        }
+        if (shift > 0) {
+            calculations.push({
+                step: 'Сдвиг матрицы',
+                formula: `a'_ij = a_ij + ${shift} > 0`
+            });
+        }
+        calculations.push({
+            step: 'Задача линейного программирования',
+            formula: `max Σy_j при Σ a'_ij·y_j ≤ 1, y ≥ 0: Σy_j = ${lp.value.toFixed(6)}`
+        });
+        calculations.push({
+            step: 'Цена игры',
+            formula: `v = ${minimize ? '−(' : ''}1 / ${lp.value.toFixed(6)}${shift > 0 ? ` − ${shift}` : ''}` +
+                `${minimize ? ')' : ''} = ${value.toFixed(4)}`
+        });
+
+        return {
+            lowerValue: Math.min(player.value, opponent.value),
+            upperValue: Math.max(player.value, opponent.value),
+            guaranteeStrategy: matrix.strategies[player.index],
+            guaranteeState: matrix.states[opponent.index],
+            value,
+            strategies: [...matrix.strategies],
+            states: [...matrix.states],
+            playerStrategy,
+            opponentStrategy,
+            hasPureSolution: Math.abs(player.value - opponent.value) <= this.epsilon,
+            shift,
+            iterations: lp.iterations,
+            calculations,
+            orientation: matrix.orientation,
+            type: 'game'
+        };
+    }
+
+    /**
+     * Округление вероятностей с подавлением погрешности вычислений
+     * @param {number} value - значение
+     * @returns {number} - округленное значение
+     */
+    round(value) {
+        const rounded = Math.round(value * 1e9) / 1e9;
+        return Math.abs(rounded) < this.epsilon ? 0 : rounded;
+    }
+}
\ No newline at end of file
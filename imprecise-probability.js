@@ -0,0 +1,205 @@
+/**
+ * Анализатор решений при неточно заданных вероятностях состояний природы
+ * Множество допустимых распределений задается линейными ограничениями на вероятности
+ */
+class ImpreciseProbabilityAnalyzer {
+    /**
+     * Конструктор анализатора
+     * @param {number} epsilon - точность вычислений
+     */
+    constructor(epsilon = 1e-9) {
+        this.epsilon = epsilon;
+    }
+
+    /**
+     * Ограничения A·p ≤ b, задающие интервальные вероятности l_j ≤ p_j ≤ u_j
+     * @param {Array} lower - нижние границы вероятностей
+     * @param {Array} upper - верхние границы вероятностей
+     * @returns {object} - { A, b }
+     */
+    intervalConstraints(lower, upper) {
+        const n = lower.length;
+        const A = [];
+        const b = [];
+        for (let j = 0; j < n; j++) {
+            const unit = Array.from({ length: n }, (_, k) => (k === j ? 1 : 0));
+            A.push(unit);
+            b.push(upper[j]);
+            A.push(unit.map(value => -value));
+            b.push(-lower[j]);
+        }
+        return { A, b };
+    }
+
+    /**
+     * Ограничения A·p ≤ b, задающие порядок состояний по правдоподобию
+     * Внутри уровня вероятности равны, вероятность уровня не меньше вероятности следующего
+     * @param {Array} levels - уровни правдоподобия (индексы состояний) от наиболее вероятного
+     * @param {number} n - количество состояний
+     * @returns {object} - { A, b }
+     */
+    ordinalConstraints(levels, n) {
+        const A = [];
+        const b = [];
+        const difference = (a, c) => Array.from({ length: n }, (_, j) => (j === a ? 1 : 0) - (j === c ? 1 : 0));
+
+        levels.forEach((level, k) => {
+            for (let idx = 1; idx < level.length; idx++) {
+                A.push(difference(level[idx], level[0]));
+                b.push(0);
+                A.push(difference(level[0], level[idx]));
+                b.push(0);
+            }
+            if (k + 1 < levels.length) {
+                // p(следующий уровень) − p(текущий уровень) ≤ 0
+                A.push(difference(levels[k + 1][0], level[0]));
+                b.push(0);
+            }
+        });
+        return { A, b };
+    }
+
+    /**
+     * Поиск распределения из допустимого множества, при котором стратегия оптимальна
+     * Стратегия E-допустима, если система A·p ≤ b, Σp = 1, E_p(i) не хуже E_p(k) для всех k совместна
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @param {number} index - индекс стратегии
+     * @param {object} constraints - ограничения { A, b } на вероятности
+     * @returns {Array|null} - подтверждающее распределение или null
+     */
+    findSupportingDistribution(matrix, index, constraints) {
+        const n = matrix.statesCount;
+        const sign = matrix.isMinimization() ? -1 : 1;
+        const A = [...constraints.A];
+        const b = [...constraints.b];
+
+        A.push(Array(n).fill(1));
+        b.push(1);
+        A.push(Array(n).fill(-1));
+        b.push(-1);
+
+        // Σ p_j · (a_kj − a_ij) ≤ 0 для выигрышей (≥ 0 для затрат)
+        for (let k = 0; k < matrix.strategiesCount; k++) {
+            if (k === index) continue;
+            A.push(matrix.data[k].map((value, j) => sign * (value - matrix.data[index][j])));
+            b.push(0);
+        }
+
+        const result = SimplexMethod.findFeasible(A, b, this.epsilon);
+        return result.feasible ? result.x.map(p => Math.max(0, p)) : null;
+    }
+
+    /**
+     * Анализ при интервальных вероятностях
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @param {Array} lower - нижние границы вероятностей
+     * @param {Array} upper - верхние границы вероятностей
+     * @returns {object} - границы ожиданий, Γ-максиминная и E-допустимые стратегии
+     */
+    analyzeIntervals(matrix, lower, upper) {
+        const minimize = matrix.isMinimization();
+        const criterion = new GammaMaximinCriterion(lower, upper);
+        const gamma = criterion.calculate(matrix);
+        const constraints = this.intervalConstraints(lower, upper);
+
+        const rows = matrix.data.map((row, i) => {
+            const bounds = criterion.getExpectationBounds(row);
+            const distribution = this.findSupportingDistribution(matrix, i, constraints);
+            return {
+                strategy: matrix.strategies[i],
+                lowerExpected: bounds.lower,
+                upperExpected: bounds.upper,
+                worstExpected: minimize ? bounds.upper : bounds.lower,
+                bestExpected: minimize ? bounds.lower : bounds.upper,
+                eAdmissible: distribution !== null,
+                supportingDistribution: distribution
+            };
+        });
+
+        const bestValues = rows.map(row => row.bestExpected);
+        const gammaMaximaxValue = minimize ? Math.min(...bestValues) : Math.max(...bestValues);
+        const gammaMaximaxIndex = bestValues.indexOf(gammaMaximaxValue);
+
+        return {
+            lower: [...lower],
+            upper: [...upper],
+            states: [...matrix.states],
+            rows,
+            gammaMaximin: {
+                index: gamma.optimalIndex,
+                strategy: gamma.strategy,
+                value: gamma.optimalValue
+            },
+            gammaMaximax: {
+                index: gammaMaximaxIndex,
+                strategy: matrix.strategies[gammaMaximaxIndex],
+                value: gammaMaximaxValue
+            },
+            eAdmissible: rows.filter(row => row.eAdmissible).map(row => row.strategy),
+            orientation: matrix.orientation,
+            type: 'intervalProbabilities'
+        };
+    }
+
+    /**
+     * Анализ при ранжированных вероятностях (подход Фишберна)
+     * Стратегия i не хуже стратегии k при всех согласованных распределениях тогда и только тогда,
+     * когда E_i ≥ E_k во всех крайних точках множества распределений
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @param {Array} ranks - ранги состояний (1 - наиболее вероятное, равные ранги - равновероятные)
+     * @returns {object} - ожидания в крайних точках, доминирование и устойчиво оптимальные стратегии
+     */
+    analyzeOrdinal(matrix, ranks) {
+        const minimize = matrix.isMinimization();
+        const sign = minimize ? -1 : 1;
+        const criterion = new OrdinalMaximinCriterion(ranks);
+        const result = criterion.calculate(matrix);
+        const levels = criterion.getLevels();
+        const constraints = this.ordinalConstraints(levels, matrix.statesCount);
+        const expectations = result.calculations.map(calc => calc.expectations);
+
+        // Сравнение стратегий во всех крайних точках
+        const notWorse = (i, k) => expectations[i].every((e, t) => sign * (e - expectations[k][t]) >= -this.epsilon);
+        const dominance = [];
+        for (let i = 0; i < matrix.strategiesCount; i++) {
+            for (let k = 0; k < matrix.strategiesCount; k++) {
+                if (i !== k && notWorse(i, k) && !notWorse(k, i)) {
+                    dominance.push({
+                        dominating: matrix.strategies[i],
+                        dominated: matrix.strategies[k]
+                    });
+                }
+            }
+        }
+
+        const rows = matrix.data.map((row, i) => {
+            const distribution = this.findSupportingDistribution(matrix, i, constraints);
+            return {
+                strategy: matrix.strategies[i],
+                expectations: expectations[i],
+                worstExpected: minimize ? Math.max(...expectations[i]) : Math.min(...expectations[i]),
+                bestExpected: minimize ? Math.min(...expectations[i]) : Math.max(...expectations[i]),
+                robust: expectations.every((_, k) => notWorse(i, k)),
+                eAdmissible: distribution !== null,
+                supportingDistribution: distribution
+            };
+        });
+
+        return {
+            ranks: [...ranks],
+            levels: levels.map(level => level.map(j => matrix.states[j])),
+            extremePoints: result.extremePoints,
+            rows,
+            dominance,
+            robustlyOptimal: rows.filter(row => row.robust).map(row => row.strategy),
+            eAdmissible: rows.filter(row => row.eAdmissible).map(row => row.strategy),
+            ordinalMaximin: {
+                index: result.optimalIndex,
+                strategy: result.strategy,
+                value: result.optimalValue
+            },
+            orientation: matrix.orientation,
+            type: 'ordinalProbabilities'
+        };
+    }
+}
\ No newline at end of file
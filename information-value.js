@@ -0,0 +1,183 @@
+/**
+ * Анализатор ценности информации о состояниях природы
+ * Объединяет матрицу сожалений Сэвиджа и ожидаемые значения Байеса
+ */
+class InformationValueAnalyzer {
+    /**
+     * Конструктор анализатора
+     * @param {number} epsilon - допустимое отклонение суммы вероятностей от 1
+     */
+    constructor(epsilon = 1e-6) {
+        this.epsilon = epsilon;
+    }
+
+    /**
+     * Ожидаемая ценность совершенной информации (EVPI) и ожидаемые сожаления стратегий
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @param {Array} probabilities - нормированные вероятности состояний
+     * @returns {object} - EV при совершенной информации, EVPI и ожидаемые сожаления (EOL)
+     */
+    perfectInformation(matrix, probabilities) {
+        const minimize = matrix.isMinimization();
+        const savage = new SavageCriterion().calculate(matrix);
+        const bayes = new BayesCriterion(probabilities).calculate(matrix);
+
+        const bestByState = savage.calculations[0].values;
+        const regrets = savage.calculations.filter(calc => calc.risks).map(calc => calc.risks);
+
+        // При совершенной информации в каждом состоянии выбирается наилучшая стратегия
+        const evwpi = bestByState.reduce((sum, best, j) => sum + best * probabilities[j], 0);
+
+        const expectedRegrets = regrets.map(row =>
+            row.reduce((sum, regret, j) => sum + regret * probabilities[j], 0));
+        const evpi = Math.min(...expectedRegrets);
+        const optimalIndex = expectedRegrets.indexOf(evpi);
+
+        const calculations = [
+            {
+                step: 'Ожидаемое значение при совершенной информации',
+                formula: `EV|PI = Σ p_j · ${minimize ? 'min' : 'max'}_i a_ij = ` +
+                    `${bestByState.map((best, j) => `${best} × ${probabilities[j].toFixed(3)}`).join(' + ')} = ${evwpi.toFixed(2)}`
+            },
+            {
+                step: 'Ожидаемое значение без дополнительной информации (критерий Байеса)',
+                formula: `EV* = ${bayes.optimalValue.toFixed(2)} (${bayes.strategy})`
+            },
+            {
+                step: 'Ожидаемая ценность совершенной информации',
+                formula: `EVPI = ${minimize ? 'EV* − EV|PI' : 'EV|PI − EV*'} = min_i EOL_i = ${evpi.toFixed(2)}`
+            }
+        ];
+
+        return {
+            strategies: [...matrix.strategies],
+            states: [...matrix.states],
+            probabilities: [...probabilities],
+            bestByState,
+            regrets,
+            expectedValues: bayes.values,
+            expectedRegrets,
+            evwpi,
+            bestExpectedValue: bayes.optimalValue,
+            evpi,
+            optimalIndex,
+            strategy: matrix.strategies[optimalIndex],
+            calculations,
+            orientation: matrix.orientation,
+            type: 'perfectInformation'
+        };
+    }
+
+    /**
+     * Проверка матрицы правдоподобия P(сигнал | состояние)
+     * @param {Array} likelihoods - матрица правдоподобия [состояние][сигнал]
+     * @param {number} statesCount - количество состояний природы
+     */
+    validateLikelihoods(likelihoods, statesCount) {
+        if (!Array.isArray(likelihoods) || likelihoods.length !== statesCount) {
+            throw new Error('Likelihood matrix must have one row per state');
+        }
+        const signalsCount = likelihoods[0].length;
+        if (signalsCount < 2) {
+            throw new Error('An experiment requires at least two signals');
+        }
+        likelihoods.forEach((row, j) => {
+            if (row.length !== signalsCount || row.some(value => !(value >= 0 && value <= 1))) {
+                throw new Error(`Likelihoods for state ${j + 1} must be probabilities`);
+            }
+            if (Math.abs(row.reduce((a, b) => a + b, 0) - 1) > this.epsilon) {
+                throw new Error(`Likelihoods for state ${j + 1} must sum to 1`);
+            }
+        });
+    }
+
+    /**
+     * Ожидаемая ценность выборочной информации (EVSI) для эксперимента с матрицей правдоподобия
+     * Для каждого сигнала вероятности состояний уточняются по формуле Байеса и выбирается
+     * оптимальная стратегия; EVSI сравнивается со стоимостью эксперимента и с EVPI
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @param {Array} probabilities - априорные вероятности состояний
+     * @param {Array} likelihoods - матрица правдоподобия P(сигнал | состояние) [состояние][сигнал]
+     * @param {object} options - { cost, signals } - стоимость эксперимента и названия сигналов
+     * @returns {object} - апостериорные вероятности, решения по сигналам, EVSI и чистая выгода
+     */
+    sampleInformation(matrix, probabilities, likelihoods, options = {}) {
+        this.validateLikelihoods(likelihoods, matrix.statesCount);
+
+        const minimize = matrix.isMinimization();
+        const signalsCount = likelihoods[0].length;
+        const { cost = 0, signals = Array.from({ length: signalsCount }, (_, k) => `Сигнал ${k + 1}`) } = options;
+        const prior = new BayesCriterion(probabilities);
+        const withoutInformation = prior.calculate(matrix);
+
+        const signalResults = signals.map((signal, k) => {
+            const column = likelihoods.map(row => row[k]);
+            const { signalProbability, posterior } = prior.getPosterior(column);
+            if (!posterior) {
+                return { signal, probability: 0, posterior: null, strategy: null, optimalIndex: -1, expectedValue: null };
+            }
+
+            const decision = prior.updateWithSignal(column).calculate(matrix);
+            return {
+                signal,
+                probability: signalProbability,
+                posterior,
+                expectedValues: decision.values,
+                expectedValue: decision.optimalValue,
+                optimalIndex: decision.optimalIndex,
+                strategy: decision.strategy
+            };
+        });
+
+        // Невозможные сигналы (P(x) = 0) не влияют на ожидаемое значение
+        const evwsi = signalResults.reduce((sum, result) =>
+            sum + (result.posterior ? result.probability * result.expectedValue : 0), 0);
+        const evsi = minimize ? withoutInformation.optimalValue - evwsi : evwsi - withoutInformation.optimalValue;
+        const evpi = this.perfectInformation(matrix, probabilities).evpi;
+        const decisionChanges = signalResults.some(result =>
+            result.posterior && result.optimalIndex !== withoutInformation.optimalIndex);
+
+        const calculations = [
+            {
+                step: 'Ожидаемое значение при выборочной информации',
+                formula: `EV|SI = Σ P(x_k) · ${minimize ? 'min' : 'max'}_i E(a_i | x_k) = ` +
+                    signalResults.filter(result => result.posterior)
+                        .map(result => `${result.probability.toFixed(3)} × ${result.expectedValue.toFixed(2)}`)
+                        .join(' + ') + ` = ${evwsi.toFixed(2)}`
+            },
+            {
+                step: 'Ожидаемое значение без дополнительной информации (критерий Байеса)',
+                formula: `EV* = ${withoutInformation.optimalValue.toFixed(2)} (${withoutInformation.strategy})`
+            },
+            {
+                step: 'Ожидаемая ценность выборочной информации',
+                formula: `EVSI = ${minimize ? 'EV* − EV|SI' : 'EV|SI − EV*'} = ${evsi.toFixed(2)}`
+            },
+            {
+                step: 'Чистая выгода исследования',
+                formula: `ENGS = EVSI − C = ${evsi.toFixed(2)} − ${cost} = ${(evsi - cost).toFixed(2)}`
+            }
+        ];
+
+        return {
+            strategies: [...matrix.strategies],
+            states: [...matrix.states],
+            probabilities: [...probabilities],
+            likelihoods: likelihoods.map(row => [...row]),
+            signals: signalResults,
+            bestExpectedValue: withoutInformation.optimalValue,
+            priorStrategy: withoutInformation.strategy,
+            evwsi,
+            evsi,
+            evpi,
+            efficiency: evpi > 0 ? evsi / evpi : null,
+            cost,
+            netGain: evsi - cost,
+            worthwhile: evsi > cost,
+            decisionChanges,
+            calculations,
+            orientation: matrix.orientation,
+            type: 'sampleInformation'
+        };
+    }
+}
\ No newline at end of file
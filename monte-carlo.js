@@ -0,0 +1,274 @@
+/**
+ * Генератор псевдослучайных чисел с заданным начальным значением (алгоритм Mulberry32)
+ * Одинаковое начальное значение дает одинаковую последовательность и воспроизводимые результаты
+ */
+class SeededRandom {
+    /**
+     * Конструктор генератора
+     * @param {number} seed - начальное значение
+     */
+    constructor(seed = 1) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Равномерно распределенное число на [0, 1)
+     * @returns {number} - случайное число
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Стандартное нормальное число (преобразование Бокса-Мюллера)
+     * @returns {number} - случайное число N(0, 1)
+     */
+    normal() {
+        const u = 1 - this.next();
+        const v = this.next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
+
+/**
+ * Распределения значений ячеек матрицы
+ * Описание распределения: { type: 'uniform', min, max } | { type: 'triangular', min, mode, max } |
+ * { type: 'normal', mean, sd } | { type: 'sample', values }
+ */
+class CellDistribution {
+    /**
+     * Проверка описания распределения
+     * @param {object} spec - описание распределения
+     */
+    static validate(spec) {
+        const numeric = values => values.every(value => typeof value === 'number' && isFinite(value));
+
+        switch (spec.type) {
+            case 'uniform':
+                if (!numeric([spec.min, spec.max]) || spec.min > spec.max) {
+                    throw new Error('Uniform distribution requires min ≤ max');
+                }
+                break;
+            case 'triangular':
+                if (!numeric([spec.min, spec.mode, spec.max]) || spec.min > spec.mode || spec.mode > spec.max) {
+                    throw new Error('Triangular distribution requires min ≤ mode ≤ max');
+                }
+                break;
+            case 'normal':
+                if (!numeric([spec.mean, spec.sd]) || spec.sd < 0) {
+                    throw new Error('Normal distribution requires a mean and a non-negative standard deviation');
+                }
+                break;
+            case 'sample':
+                if (!Array.isArray(spec.values) || spec.values.length === 0 || !numeric(spec.values)) {
+                    throw new Error('Sample distribution requires at least one numeric value');
+                }
+                break;
+            default:
+                throw new Error(`Unknown distribution type: ${spec.type}`);
+        }
+    }
+
+    /**
+     * Математическое ожидание распределения
+     * @param {object} spec - описание распределения
+     * @returns {number} - среднее значение
+     */
+    static mean(spec) {
+        switch (spec.type) {
+            case 'uniform':
+                return (spec.min + spec.max) / 2;
+            case 'triangular':
+                return (spec.min + spec.mode + spec.max) / 3;
+            case 'normal':
+                return spec.mean;
+            default:
+                return spec.values.reduce((a, b) => a + b, 0) / spec.values.length;
+        }
+    }
+
+    /**
+     * Генерация значения из распределения
+     * @param {object} spec - описание распределения
+     * @param {SeededRandom} random - генератор случайных чисел
+     * @returns {number} - случайное значение
+     */
+    static sample(spec, random) {
+        switch (spec.type) {
+            case 'uniform':
+                return spec.min + random.next() * (spec.max - spec.min);
+            case 'triangular': {
+                // Метод обратной функции распределения
+                const { min: a, mode: m, max: b } = spec;
+                const u = random.next();
+                if (b === a) return a;
+                return u < (m - a) / (b - a)
+                    ? a + Math.sqrt(u * (b - a) * (m - a))
+                    : b - Math.sqrt((1 - u) * (b - a) * (b - m));
+            }
+            case 'normal':
+                return spec.mean + spec.sd * random.normal();
+            default:
+                return spec.values[Math.floor(random.next() * spec.values.length)];
+        }
+    }
+
+    /**
+     * Краткое описание распределения для отображения
+     * @param {object} spec - описание распределения
+     * @returns {string} - описание
+     */
+    static describe(spec) {
+        switch (spec.type) {
+            case 'uniform':
+                return `U(${spec.min}; ${spec.max})`;
+            case 'triangular':
+                return `Tri(${spec.min}; ${spec.mode}; ${spec.max})`;
+            case 'normal':
+                return `N(${spec.mean}; ${spec.sd})`;
+            default:
+                return `выборка (${spec.values.length} знач.)`;
+        }
+    }
+}
+
+/**
+ * Имитационное моделирование (метод Монте-Карло) для матрицы со случайными результатами
+ * На каждой итерации состояние природы выбирается по вероятностям (общее для всех стратегий),
+ * а результат каждой стратегии - из распределения ячейки или фиксированного значения
+ */
+class MonteCarloSimulator {
+    /**
+     * Конструктор симулятора
+     * @param {object} options - { iterations, seed, confidence, bins }
+     */
+    constructor(options = {}) {
+        const { iterations = 10000, seed = 12345, confidence = 0.95, bins = 20 } = options;
+        this.iterations = iterations;
+        this.seed = seed;
+        this.confidence = confidence;
+        this.bins = bins;
+    }
+
+    /**
+     * Выбор состояния природы по вероятностям
+     * @param {Array} probabilities - вероятности состояний
+     * @param {SeededRandom} random - генератор случайных чисел
+     * @returns {number} - индекс состояния
+     */
+    sampleState(probabilities, random) {
+        const u = random.next();
+        let cumulative = 0;
+        for (let j = 0; j < probabilities.length; j++) {
+            cumulative += probabilities[j];
+            if (u < cumulative) return j;
+        }
+        return probabilities.length - 1;
+    }
+
+    /**
+     * Выборочный квантиль с линейной интерполяцией
+     * @param {Array} sorted - упорядоченная выборка
+     * @param {number} q - уровень квантиля (0..1)
+     * @returns {number} - значение квантиля
+     */
+    quantile(sorted, q) {
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * Проведение имитационного моделирования
+     * @param {DecisionMatrix} matrix - матрица решений с распределениями ячеек
+     * @param {Array} probabilities - вероятности состояний природы
+     * @returns {object} - статистики, гистограммы и вероятности оптимальности стратегий
+     */
+    run(matrix, probabilities) {
+        const minimize = matrix.isMinimization();
+        const random = new SeededRandom(this.seed);
+        const m = matrix.strategiesCount;
+        const samples = Array.from({ length: m }, () => new Float64Array(this.iterations));
+        const bestShare = Array(m).fill(0);
+
+        for (let t = 0; t < this.iterations; t++) {
+            const state = this.sampleState(probabilities, random);
+            const outcomes = [];
+            for (let i = 0; i < m; i++) {
+                const spec = matrix.getDistribution(i, state);
+                outcomes.push(spec ? CellDistribution.sample(spec, random) : matrix.data[i][state]);
+                samples[i][t] = outcomes[i];
+            }
+
+            // При равенстве результатов итерация делится между лучшими стратегиями поровну
+            const best = minimize ? Math.min(...outcomes) : Math.max(...outcomes);
+            const winners = outcomes.map((value, i) => (value === best ? i : -1)).filter(i => i >= 0);
+            winners.forEach(i => {
+                bestShare[i] += 1 / winners.length;
+            });
+        }
+
+        const sortedSamples = samples.map(sample => Array.from(sample).sort((a, b) => a - b));
+        const low = Math.min(...sortedSamples.map(sample => sample[0]));
+        const high = Math.max(...sortedSamples.map(sample => sample[sample.length - 1]));
+        const tail = 1 - this.confidence;
+
+        const strategies = sortedSamples.map((sorted, i) => {
+            const n = sorted.length;
+            const mean = sorted.reduce((a, b) => a + b, 0) / n;
+            const variance = sorted.reduce((sum, x) => sum + (x - mean) ** 2, 0) / (n > 1 ? n - 1 : 1);
+
+            // VaR - граница неблагоприятного хвоста, CVaR - среднее значение в хвосте
+            const valueAtRisk = this.quantile(sorted, minimize ? this.confidence : tail);
+            const tailValues = minimize ? sorted.filter(x => x >= valueAtRisk) : sorted.filter(x => x <= valueAtRisk);
+            const conditionalValueAtRisk = tailValues.reduce((a, b) => a + b, 0) / tailValues.length;
+
+            return {
+                strategy: matrix.strategies[i],
+                mean,
+                standardDeviation: Math.sqrt(variance),
+                min: sorted[0],
+                max: sorted[n - 1],
+                percentiles: [5, 25, 50, 75, 95].map(p => ({ level: p, value: this.quantile(sorted, p / 100) })),
+                valueAtRisk,
+                conditionalValueAtRisk,
+                probabilityBest: bestShare[i] / this.iterations,
+                histogram: this.histogram(sorted, low, high)
+            };
+        });
+
+        return {
+            iterations: this.iterations,
+            seed: this.seed,
+            confidence: this.confidence,
+            probabilities: [...probabilities],
+            range: { min: low, max: high },
+            strategies,
+            stochasticCells: matrix.getDistributionCount(),
+            orientation: matrix.orientation,
+            type: 'monteCarlo'
+        };
+    }
+
+    /**
+     * Построение гистограммы выборки на общем для всех стратегий диапазоне
+     * @param {Array} sorted - упорядоченная выборка
+     * @param {number} low - левая граница диапазона
+     * @param {number} high - правая граница диапазона
+     * @returns {Array} - доли наблюдений по интервалам
+     */
+    histogram(sorted, low, high) {
+        const counts = Array(this.bins).fill(0);
+        const width = (high - low) / this.bins;
+        sorted.forEach(x => {
+            const bin = width > 0 ? Math.min(this.bins - 1, Math.floor((x - low) / width)) : 0;
+            counts[bin]++;
+        });
+        return counts.map(count => count / sorted.length);
+    }
+}
\ No newline at end of file
@@ -3,10 +3,16 @@
  * Отвечает за агрегацию и анализ результатов всех критериев
  */
 class ResultsAnalyzer {
-    constructor() {
+    /**
+     * Конструктор анализатора
+     * @param {number} maxKemenyStrategies - наибольшее число стратегий для точного поиска ранжирования Кемени
+     */
+    constructor(maxKemenyStrategies = 12) {
         this.recommendations = [];
         this.timestamp = null;
         this.analysisType = '';
+        this.orientation = 'max';
+        this.maxKemenyStrategies = maxKemenyStrategies;
     }
 
     /**
@@ -29,24 +35,241 @@ class ResultsAnalyzer {
         this.recommendations.push(recommendation);
     }
 
+    /**
+     * Оптимальные стратегии рекомендации: все равноценные оптимумы критерия
+     * @param {object} rec - рекомендация
+     * @returns {Array} - названия стратегий
+     */
+    getOptimalStrategies(rec) {
+        if (!rec.strategy || rec.strategy === 'Не определено') return [];
+        return rec.details.hasTie ? rec.details.tiedStrategies : [rec.strategy];
+    }
+
     /**
      * Получение частотного анализа рекомендаций
+     * При ничьей в критерии засчитывается каждая из равноценных стратегий
      * @returns {object} - объект с частотами стратегий
      */
     getFrequencyAnalysis() {
         const frequency = {};
         
         this.recommendations.forEach(rec => {
-            if (rec.strategy && rec.strategy !== 'Не определено') {
-                frequency[rec.strategy] = (frequency[rec.strategy] || 0) + 1;
-            }
+            this.getOptimalStrategies(rec).forEach(strategy => {
+                frequency[strategy] = (frequency[strategy] || 0) + 1;
+            });
         });
         
         return frequency;
     }
 
     /**
-     * Получение итоговой рекомендации на основе частотного анализа
+     * Рекомендации критериев, у которых несколько равноценных оптимальных стратегий
+     * @returns {Array} - { criterion, type, strategies, tolerance }
+     */
+    getTiedRecommendations() {
+        return this.recommendations
+            .filter(rec => rec.details.hasTie)
+            .map(rec => ({
+                criterion: rec.criterion,
+                type: rec.type,
+                strategies: [...rec.details.tiedStrategies],
+                tolerance: rec.details.tolerance
+            }));
+    }
+
+    /**
+     * Полные ранжирования стратегий, полученные критериями
+     * Рекомендации с ошибкой расчета в агрегировании не участвуют
+     * @returns {Array} - { criterion, type, ranking }
+     */
+    getRankings() {
+        return this.recommendations
+            .filter(rec => Array.isArray(rec.details.ranking) && rec.details.ranking.length > 0)
+            .map(rec => ({ criterion: rec.criterion, type: rec.type, ranking: rec.details.ranking }));
+    }
+
+    /**
+     * Матрица попарных предпочтений: wins[a][b] - число критериев, ставящих a строго выше b
+     * @param {Array} rankings - ранжирования критериев
+     * @param {Array} strategies - названия стратегий
+     * @returns {Array} - квадратная матрица побед
+     */
+    getPairwiseWins(rankings, strategies) {
+        const wins = strategies.map(() => strategies.map(() => 0));
+        rankings.forEach(({ ranking }) => {
+            const rank = {};
+            ranking.forEach(item => { rank[item.strategy] = item.rank; });
+            strategies.forEach((a, i) => {
+                strategies.forEach((b, k) => {
+                    if (rank[a] < rank[b]) wins[i][k]++;
+                });
+            });
+        });
+        return wins;
+    }
+
+    /**
+     * Правило Борда: стратегия получает по баллу за каждую стратегию ниже нее
+     * и по половине балла за каждую стратегию с тем же рангом
+     * @param {Array} rankings - ранжирования критериев
+     * @param {Array} strategies - названия стратегий
+     * @returns {Array} - баллы Борда по стратегиям
+     */
+    bordaScores(rankings, strategies) {
+        const scores = strategies.map(() => 0);
+        rankings.forEach(({ ranking }) => {
+            ranking.forEach(item => {
+                const below = ranking.filter(other => other.rank > item.rank).length;
+                const tied = ranking.filter(other => other.rank === item.rank).length - 1;
+                scores[strategies.indexOf(item.strategy)] += below + tied / 2;
+            });
+        });
+        return scores;
+    }
+
+    /**
+     * Правило Копленда: число выигранных попарных сравнений минус число проигранных
+     * @param {Array} wins - матрица попарных предпочтений
+     * @returns {Array} - баллы Копленда по стратегиям
+     */
+    copelandScores(wins) {
+        return wins.map((row, i) => row.reduce((score, count, k) => {
+            if (count > wins[k][i]) return score + 1;
+            if (count < wins[k][i]) return score - 1;
+            return score;
+        }, 0));
+    }
+
+    /**
+     * Консенсусное ранжирование Кемени: порядок стратегий с наименьшей суммой
+     * расстояний Кендалла до ранжирований критериев
+     * Точный поиск динамическим программированием по подмножествам (O(2ⁿ·n²));
+     * при большем числе стратегий порядок Борда улучшается перестановками соседей
+     * @param {Array} wins - матрица попарных предпочтений
+     * @param {Array} bordaOrder - индексы стратегий в порядке Борда
+     * @returns {object} - { order, distance, leaders, exact }
+     */
+    kemenyRanking(wins, bordaOrder) {
+        const n = wins.length;
+        // Стоимость размещения x после множества mask: критерии, ставящие x выше уже размещенных
+        const placementCost = (x, mask) => {
+            let cost = 0;
+            for (let b = 0; b < n; b++) {
+                if (mask & (1 << b)) cost += wins[x][b];
+            }
+            return cost;
+        };
+
+        if (n > this.maxKemenyStrategies) {
+            const order = [...bordaOrder];
+            let improved = true;
+            while (improved) {
+                improved = false;
+                for (let idx = 0; idx < n - 1; idx++) {
+                    const [a, b] = [order[idx], order[idx + 1]];
+                    if (wins[b][a] > wins[a][b]) {
+                        [order[idx], order[idx + 1]] = [b, a];
+                        improved = true;
+                    }
+                }
+            }
+            // Расстояние: критерии, ставящие стратегию ниже по порядку выше предшествующей, по всем парам позиций
+            let distance = 0;
+            for (let k = 1; k < n; k++) {
+                for (let idx = 0; idx < k; idx++) {
+                    distance += wins[order[k]][order[idx]];
+                }
+            }
+            return { order, distance, leaders: [order[0]], exact: false };
+        }
+
+        const full = (1 << n) - 1;
+        const best = new Array(full + 1).fill(Infinity);
+        const last = new Array(full + 1).fill(-1);
+        best[0] = 0;
+        for (let mask = 0; mask < full; mask++) {
+            if (best[mask] === Infinity) continue;
+            for (let x = 0; x < n; x++) {
+                if (mask & (1 << x)) continue;
+                const next = mask | (1 << x);
+                const cost = best[mask] + placementCost(x, mask);
+                if (cost < best[next]) {
+                    best[next] = cost;
+                    last[next] = x;
+                }
+            }
+        }
+
+        const order = [];
+        for (let mask = full; mask > 0; mask &= ~(1 << last[mask])) {
+            order.unshift(last[mask]);
+        }
+
+        // Лидер x оптимален, если лучший порядок остальных с x во главе не хуже найденного
+        const leaders = [];
+        for (let x = 0; x < n; x++) {
+            const rest = full & ~(1 << x);
+            let cost = best[rest];
+            for (let b = 0; b < n; b++) {
+                if (b !== x) cost += wins[b][x];
+            }
+            if (cost === best[full]) leaders.push(x);
+        }
+
+        return { order, distance: best[full], leaders, exact: true };
+    }
+
+    /**
+     * Агрегирование ранжирований критериев правилами Борда, Копленда и Кемени
+     * @returns {object|null} - сводная таблица и победители методов или null, если ранжирований нет
+     */
+    getAggregatedRanking() {
+        const rankings = this.getRankings();
+        if (rankings.length === 0) return null;
+
+        const strategies = [];
+        rankings.forEach(({ ranking }) => ranking.forEach(item => {
+            if (!strategies.includes(item.strategy)) strategies.push(item.strategy);
+        }));
+
+        const frequency = this.getFrequencyAnalysis();
+        const wins = this.getPairwiseWins(rankings, strategies);
+        const borda = this.bordaScores(rankings, strategies);
+        const copeland = this.copelandScores(wins);
+        const rankBy = scores => scores.map(score => 1 + scores.filter(other => other > score).length);
+        const bordaRanks = rankBy(borda);
+        const copelandRanks = rankBy(copeland);
+        const bordaOrder = strategies.map((_, i) => i).sort((a, b) => borda[b] - borda[a] || a - b);
+        const kemeny = this.kemenyRanking(wins, bordaOrder);
+        const winners = ranks => strategies.filter((_, i) => ranks[i] === 1);
+
+        return {
+            criteriaCount: rankings.length,
+            strategies: strategies.map((strategy, i) => ({
+                strategy,
+                firstPlaces: frequency[strategy] || 0,
+                borda: borda[i],
+                bordaRank: bordaRanks[i],
+                copeland: copeland[i],
+                copelandRank: copelandRanks[i],
+                kemenyPosition: kemeny.order.indexOf(i) + 1
+            })).sort((a, b) => a.kemenyPosition - b.kemenyPosition),
+            pairwiseWins: wins,
+            borda: { winners: winners(bordaRanks) },
+            copeland: { winners: winners(copelandRanks) },
+            kemeny: {
+                order: kemeny.order.map(i => strategies[i]),
+                distance: kemeny.distance,
+                winners: kemeny.leaders.map(i => strategies[i]),
+                exact: kemeny.exact
+            }
+        };
+    }
+
+    /**
+     * Получение итоговой рекомендации
+     * Основной метод - консенсусное ранжирование Кемени по полным ранжированиям критериев;
+     * при большом числе стратегий - правило Борда, при отсутствии ранжирований - частота выбора
      * @returns {object} - объект с итоговой рекомендацией
      */
     getFinalRecommendation() {
@@ -59,14 +282,26 @@ class ResultsAnalyzer {
                 frequency: 0,
                 total: this.recommendations.length,
                 percentage: 0,
-                confidence: 'low'
+                confidence: 'low',
+                method: null,
+                aggregation: null
             };
         }
 
         // Сортировка по убыванию частоты
         entries.sort((a, b) => b[1] - a[1]);
         
-        const [strategy, count] = entries[0];
+        const aggregation = this.getAggregatedRanking();
+        let method = 'frequency';
+        let leaders = entries.filter(([_, freq]) => freq === entries[0][1]).map(([strat]) => strat);
+        if (aggregation) {
+            method = aggregation.kemeny.exact ? 'kemeny' : 'borda';
+            leaders = aggregation[method].winners;
+        }
+        
+        // Из равноценных лидеров выбирается чаще рекомендованный критериями
+        const strategy = [...leaders].sort((a, b) => (frequency[b] || 0) - (frequency[a] || 0))[0];
+        const count = frequency[strategy] || 0;
         const percentage = (count / this.recommendations.length * 100);
         
         // Определение уровня уверенности
@@ -75,7 +310,7 @@ class ResultsAnalyzer {
         if (percentage <= 30) confidence = 'low';
         
         // Проверка на ничью
-        const hasTie = entries.length > 1 && entries[1][1] === count;
+        const hasTie = leaders.length > 1;
         
         return {
             strategy,
@@ -84,7 +319,9 @@ class ResultsAnalyzer {
             percentage: Math.round(percentage),
             confidence,
             hasTie,
-            alternatives: hasTie ? entries.filter(([_, freq]) => freq === count).map(([strat]) => strat) : []
+            alternatives: hasTie ? leaders : [],
+            method,
+            aggregation
         };
     }
 
@@ -104,9 +341,11 @@ class ResultsAnalyzer {
             totalCriteria: this.recommendations.length,
             validRecommendations: validRecommendations.length,
             uniqueStrategies: uniqueStrategies.length,
+            tiedCriteria: this.getTiedRecommendations(),
             mostFrequent: this.getFinalRecommendation(),
             distribution: frequency,
             analysisType: this.analysisType,
+            orientation: this.orientation,
             timestamp: this.timestamp || new Date().toISOString()
         };
     }
@@ -114,9 +353,11 @@ class ResultsAnalyzer {
     /**
      * Установка типа анализа
      * @param {string} type - тип анализа (uncertainty/risk)
+     * @param {string} orientation - направление оптимизации матрицы (max/min)
      */
-    setAnalysisType(type) {
+    setAnalysisType(type, orientation = 'max') {
         this.analysisType = type;
+        this.orientation = orientation;
         this.timestamp = new Date().toISOString();
     }
 
@@ -157,6 +398,7 @@ class ResultsAnalyzer {
         this.recommendations = [];
         this.timestamp = null;
         this.analysisType = '';
+        this.orientation = 'max';
     }
 
     /**
@@ -168,7 +410,8 @@ class ResultsAnalyzer {
             statistics: this.getStatistics(),
             recommendations: this.recommendations,
             timestamp: this.timestamp,
-            analysisType: this.analysisType
+            analysisType: this.analysisType,
+            orientation: this.orientation
         };
         
         return JSON.stringify(data, null, 2);
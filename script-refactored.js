@@ -10,10 +10,31 @@ class DecisionAnalysisApp {
         this.currentStep = 1;
         this.selectedCondition = '';
         this.probabilities = [];
+        this.probabilityMode = 'exact';
+        this.probabilityIntervals = { lower: [], upper: [] };
+        this.probabilityRanks = [];
         this.alpha = 0.5;
+        this.lambda = 0.5;
+        this.riskAversion = 1;
+        this.owa = { mode: 'orness', orness: 0.5, weights: null };
+        this.utility = { type: 'linear', coefficient: null, points: null };
+        this.simulation = { enabled: false, iterations: 10000, seed: 12345 };
+        this.experiment = { enabled: false, cost: 0, signals: [], likelihoods: [] };
+        this.multiCriteria = { weights: [], directions: [], normalization: 'minmax', v: 0.5 };
+        this.ahp = { judgements: null, result: null };
+        this.gameMode = false;
+        this.dominanceMode = 'none';
+        this.analyses = {};
+        this.treeCriterion = 'expected';
+        this.importState = null;
         
         // Инициализация компонентов
         this.matrix = new DecisionMatrix();
+        this.decisionTree = new DecisionTree();
+        this.selectedTreeNode = this.decisionTree.rootId;
+        this.treeSolution = null;
+        this.reducedMatrix = null;
+        this.utilityMatrix = null;
         this.uiManager = new UIManager();
         this.resultsAnalyzer = new ResultsAnalyzer();
         
@@ -28,13 +49,19 @@ class DecisionAnalysisApp {
         // Добавление CSS анимаций
         this.uiManager.addCSSAnimations();
         
-        // Инициализация DOM элементов
-        document.addEventListener('DOMContentLoaded', () => {
+        // Инициализация DOM элементов; приложение создается в обработчике DOMContentLoaded,
+        // поэтому повторная подписка на это событие уже не сработала бы
+        const setup = () => {
             this.createMatrix();
             this.uiManager.updateStepIndicator(this.currentStep);
             this.bindEvents();
             this.setupGlobalEventListeners();
-        });
+        };
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', setup);
+        } else {
+            setup();
+        }
     }
 
     /**
@@ -49,6 +76,13 @@ class DecisionAnalysisApp {
         document.getElementById('alpha').addEventListener('input', (e) => {
             document.getElementById('alpha-value').textContent = e.target.value;
             this.alpha = parseFloat(e.target.value);
+            this.updateHurwitzSensitivity();
+        });
+        
+        // Обработчик для коэффициента доверия критерия Ходжа-Лемана
+        document.getElementById('lambda').addEventListener('input', (e) => {
+            document.getElementById('lambda-value').textContent = e.target.value;
+            this.lambda = parseFloat(e.target.value);
         });
         
         // Обработчик для обновления матрицы при вводе данных
@@ -68,6 +102,14 @@ class DecisionAnalysisApp {
                 this.uiManager.updateProbabilityVisualization();
             }
         });
+        
+        // Выбор узла на схеме дерева решений
+        document.getElementById('tree-chart').addEventListener('click', (e) => {
+            const node = e.target.closest('[data-node-id]');
+            if (node) {
+                this.selectTreeNode(node.dataset.nodeId);
+            }
+        });
     }
 
     /**
@@ -139,60 +181,261 @@ class DecisionAnalysisApp {
      * Создание матрицы ввода
      */
     createMatrix() {
-        const strategiesCount = parseInt(document.getElementById('strategies').value);
-        const statesCount = parseInt(document.getElementById('states').value);
+        const strategiesInput = document.getElementById('strategies');
+        const statesInput = document.getElementById('states');
+        const strategiesCount = parseInt(strategiesInput.value);
+        const statesCount = parseInt(statesInput.value);
         
-        this.matrix.updateDimensions(strategiesCount, statesCount);
-        
-        // Создание стратегий и состояний как в оригинальном script.js
-        const strategies = [];
-        const states = [];
-        
-        // Генерация названий стратегий и состояний как в script.js
-        for (let i = 0; i < strategiesCount; i++) {
-            strategies.push(`Регион ${String.fromCharCode(65 + i)}`);
+        if (!(strategiesCount >= 2 && statesCount >= 2)) {
+            strategiesInput.value = this.matrix.strategiesCount;
+            statesInput.value = this.matrix.statesCount;
+            this.uiManager.showError('Матрица должна содержать не менее двух стратегий и двух состояний', 'error');
+            return;
         }
         
-        for (let j = 0; j < statesCount; j++) {
-            states.push(`Показатель ${j + 1}`);
+        // Строки и столбцы добавляются или удаляются в конце, введенные данные сохраняются
+        this.syncStateInputs();
+        const previousStates = this.matrix.statesCount;
+        this.matrix.updateDimensions(strategiesCount, statesCount);
+        for (let j = previousStates; j < statesCount; j++) {
+            this.restructureStateData({ action: 'insert', index: j });
         }
-        
-        // Создание таблицы как в script.js
-        let html = '<thead><tr><th>Стратегии / Состояния</th>';
-        
-        // Заголовки состояний
-        for (let j = 0; j < statesCount; j++) {
-            html += `<th>${states[j]}</th>`;
+        for (let j = previousStates - 1; j >= statesCount; j--) {
+            this.restructureStateData({ action: 'remove', index: j });
+        }
+        this.renderMatrix();
+        this.refreshConditionInputs();
+    }
+
+    /**
+     * Отображение таблицы ввода по данным и названиям модели матрицы
+     */
+    renderMatrix() {
+        document.getElementById('matrix-table').innerHTML = this.uiManager.createMatrixHTML(this.matrix);
+        this.uiManager.updateDistributionEditor(this.matrix);
+    }
+
+    /**
+     * Переименование стратегии из заголовка строки
+     * @param {number} i - индекс стратегии
+     * @param {string} name - новое название
+     */
+    renameStrategy(i, name) {
+        const input = document.getElementById(`strategy-name-${i}`);
+        try {
+            input.value = this.matrix.setStrategyName(i, name);
+            this.uiManager.updateDistributionEditor(this.matrix);
+        } catch (error) {
+            input.value = this.matrix.strategies[i];
+            this.uiManager.showError('Название стратегии должно быть непустым и не совпадать с другими', 'error');
+        }
+    }
+
+    /**
+     * Переименование состояния природы из заголовка столбца
+     * @param {number} j - индекс состояния
+     * @param {string} name - новое название
+     */
+    renameState(j, name) {
+        const input = document.getElementById(`state-name-${j}`);
+        try {
+            input.value = this.matrix.setStateName(j, name);
+            this.refreshStateLabels();
+        } catch (error) {
+            input.value = this.matrix.states[j];
+            this.uiManager.showError('Название состояния должно быть непустым и не совпадать с другими', 'error');
+        }
+    }
+
+    /**
+     * Сохранение единицы измерения и описания состояния природы
+     * @param {number} j - индекс состояния
+     */
+    updateStateDetails(j) {
+        this.matrix.setStateDetails(j, {
+            unit: document.getElementById(`state-unit-${j}`).value,
+            description: document.getElementById(`state-description-${j}`).value
+        });
+        this.refreshStateLabels();
+    }
+
+    /**
+     * Структурное редактирование матрицы: вставка, дублирование, удаление и перемещение
+     * Значения, названия, распределения и параметры состояний (вероятности, веса, суждения МАИ)
+     * переносятся вместе со строкой или столбцом
+     * @param {string} kind - 'strategy' (строка) или 'state' (столбец)
+     * @param {string} action - 'insert', 'duplicate', 'remove' или 'move'
+     * @param {number} index - индекс строки или столбца
+     * @param {number} to - новая позиция при перемещении
+     */
+    editMatrixStructure(kind, action, index, to) {
+        const isStrategy = kind === 'strategy';
+        const count = isStrategy ? this.matrix.strategiesCount : this.matrix.statesCount;
+        if (action === 'remove' && count <= 2) {
+            this.uiManager.showError(
+                isStrategy ? 'Матрица должна содержать не менее двух стратегий' : 'Матрица должна содержать не менее двух состояний',
+                'error'
+            );
+            return;
         }
-        html += '</tr></thead><tbody>';
         
-        // Строки стратегий
-        for (let i = 0; i < strategiesCount; i++) {
-            html += `<tr><td><strong>${strategies[i]}</strong></td>`;
+        try {
+            this.syncStateInputs();
+            const operations = isStrategy
+                ? {
+                    insert: () => this.matrix.insertStrategy(index + 1),
+                    duplicate: () => this.matrix.duplicateStrategy(index),
+                    remove: () => this.matrix.removeStrategy(index),
+                    move: () => this.matrix.moveStrategy(index, to)
+                }
+                : {
+                    insert: () => this.matrix.insertState(index + 1),
+                    duplicate: () => this.matrix.duplicateState(index),
+                    remove: () => this.matrix.removeState(index),
+                    move: () => this.matrix.moveState(index, to)
+                };
+            operations[action]();
+            
+            if (!isStrategy) {
+                this.restructureStateData({ action, index: action === 'insert' ? index + 1 : index, to });
+            }
             
-            for (let j = 0; j < statesCount; j++) {
-                const value = this.matrix.data[i] && this.matrix.data[i][j] !== undefined 
-                    ? this.matrix.data[i][j] 
-                    : '';
-                html += `<td><input type="number" value="${value}" 
-                           data-row="${i}" data-col="${j}"
-                           placeholder="0"></td>`;
+            document.getElementById('strategies').value = this.matrix.strategiesCount;
+            document.getElementById('states').value = this.matrix.statesCount;
+            this.renderMatrix();
+            this.refreshConditionInputs();
+        } catch (error) {
+            this.uiManager.showError(`Ошибка изменения матрицы: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Начало перетаскивания строки или столбца за маркер
+     * @param {DragEvent} event - событие перетаскивания
+     * @param {string} kind - 'strategy' или 'state'
+     * @param {number} index - индекс строки или столбца
+     */
+    startMatrixDrag(event, kind, index) {
+        this.matrixDrag = { kind, index };
+        if (event.dataTransfer) {
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', `${kind}:${index}`);
+        }
+    }
+
+    /**
+     * Перемещение перетаскиваемой строки или столбца на место заголовка, над которым его отпустили
+     * @param {DragEvent} event - событие отпускания
+     * @param {string} kind - 'strategy' или 'state'
+     * @param {number} index - индекс целевой строки или столбца
+     */
+    dropMatrixItem(event, kind, index) {
+        event.preventDefault();
+        const drag = this.matrixDrag;
+        this.matrixDrag = null;
+        if (!drag || drag.kind !== kind || drag.index === index) return;
+        this.editMatrixStructure(kind, 'move', drag.index, index);
+    }
+
+    /**
+     * Сохранение введенных на шаге 2 значений, привязанных к состояниям, перед изменением матрицы
+     */
+    syncStateInputs() {
+        if (this.selectedCondition === 'risk') {
+            this.updateProbabilities();
+            if (this.probabilityMode === 'exact') {
+                this.updateLikelihoods();
+            }
+        } else if (this.selectedCondition === 'multicriteria') {
+            for (let j = 0; j < this.matrix.statesCount; j++) {
+                const weight = parseFloat(document.getElementById(`mc-weight-${j}`)?.value);
+                this.multiCriteria.weights[j] = isNaN(weight) ? 0 : weight;
+                this.multiCriteria.directions[j] = document.getElementById(`mc-direction-${j}`)?.value || 'benefit';
             }
-            html += '</tr>';
+            this.multiCriteria.weights.length = this.matrix.statesCount;
+            this.multiCriteria.directions.length = this.matrix.statesCount;
         }
-        html += '</tbody>';
+    }
+
+    /**
+     * Перестройка параметров, заданных по состояниям, после изменения столбцов матрицы
+     * Новые состояния получают нулевую вероятность и вес, копия - параметры исходного состояния
+     * (кроме вероятности, чтобы сумма вероятностей не изменилась)
+     * @param {object} change - { action, index, to }
+     */
+    restructureStateData(change) {
+        const { action, index, to } = change;
+        const apply = (list, fill, copy = true) => {
+            if (!Array.isArray(list) || list.length === 0) return list;
+            const result = [...list];
+            if (action === 'insert') result.splice(index, 0, fill);
+            if (action === 'duplicate') result.splice(index + 1, 0, copy ? result[index] : fill);
+            if (action === 'remove') result.splice(index, 1);
+            if (action === 'move') result.splice(to, 0, result.splice(index, 1)[0]);
+            return result;
+        };
+        
+        this.probabilities = apply(this.probabilities, 0, false);
+        this.probabilityIntervals = {
+            lower: apply(this.probabilityIntervals.lower, 0, false),
+            upper: apply(this.probabilityIntervals.upper, 1)
+        };
+        this.probabilityRanks = apply(this.probabilityRanks,
+            Math.max(0, ...this.probabilityRanks.filter(rank => !isNaN(rank))) + 1);
+        this.multiCriteria = {
+            ...this.multiCriteria,
+            weights: apply(this.multiCriteria.weights, 0),
+            directions: apply(this.multiCriteria.directions, this.matrix.isMinimization() ? 'cost' : 'benefit')
+        };
         
-        document.getElementById('matrix-table').innerHTML = html;
+        const signals = this.experiment.signals.length;
+        this.experiment = {
+            ...this.experiment,
+            likelihoods: apply(this.experiment.likelihoods, Array(signals).fill(signals ? 1 / signals : 0))
+                .map(row => [...row])
+        };
         
-        // Инициализация матрицы данных если нужно
-        if (this.matrix.data.length !== strategiesCount) {
-            this.matrix.data = new Array(strategiesCount);
-            for (let i = 0; i < strategiesCount; i++) {
-                this.matrix.data[i] = new Array(statesCount).fill(0);
+        // Суждения МАИ: новое состояние равноценно остальным, копия равноценна оригиналу
+        if (this.ahp.judgements) {
+            const rows = apply(this.ahp.judgements, null);
+            this.ahp.judgements = rows.map(row => apply(row || Array(this.ahp.judgements.length).fill(1), 1));
+            if (action === 'insert' || action === 'duplicate') {
+                const added = action === 'insert' ? index : index + 1;
+                this.ahp.judgements[added][added] = 1;
+                if (action === 'duplicate') {
+                    this.ahp.judgements[added][index] = 1;
+                    this.ahp.judgements[index][added] = 1;
+                }
             }
         }
     }
 
+    /**
+     * Перестроение полей шага 2 после изменения состава стратегий или состояний
+     */
+    refreshConditionInputs() {
+        if (this.selectedCondition === 'risk') {
+            this.createProbabilityInputs();
+        } else if (this.selectedCondition === 'multicriteria') {
+            this.createIndicatorInputs();
+        }
+        if (this.selectedCondition && this.selectedCondition !== 'uncertainty') {
+            this.createAhpInputs();
+        }
+        this.updateDominancePreview();
+    }
+
+    /**
+     * Обновление подписей состояний в полях вероятностей, весов и сравнений
+     */
+    refreshStateLabels() {
+        this.uiManager.updateStateLabels(this.matrix);
+        this.uiManager.updateDistributionEditor(this.matrix);
+        if (this.ahp.result) {
+            this.updateAhp();
+        }
+    }
+
     /**
      * Обновление значения в матрице
      * @param {number} i - индекс строки
@@ -200,7 +443,128 @@ class DecisionAnalysisApp {
      * @param {string} value - новое значение
      */
     updateMatrixValue(i, j, value) {
-        this.matrix.updateValue(i, j, value);
+        const stored = this.matrix.updateValue(i, j, value);
+        document.querySelector(`#matrix-table input[data-row="${i}"][data-col="${j}"]`)
+            ?.classList.toggle('invalid-cell', isNaN(stored));
+        
+        // Ввод числа вручную делает значение ячейки фиксированным
+        if (this.matrix.getDistribution(i, j)) {
+            this.matrix.setDistribution(i, j, null);
+            this.uiManager.updateDistributionEditor(this.matrix);
+        }
+    }
+
+    /**
+     * Смена типа распределения в редакторе ячеек
+     * @param {string} type - тип распределения
+     */
+    setDistributionType(type) {
+        const placeholders = {
+            uniform: 'например: 300; 500',
+            triangular: 'например: 300; 420; 500',
+            normal: 'например: 400; 50',
+            sample: 'например: 380; 410; 395; 450'
+        };
+        document.getElementById('dist-params').placeholder = placeholders[type] || '';
+    }
+
+    /**
+     * Чтение распределения из редактора ячеек
+     * @returns {object} - { spec } или { error } при некорректном вводе
+     */
+    readCellDistribution() {
+        const type = document.getElementById('dist-type').value;
+        const raw = document.getElementById('dist-params').value.trim();
+        const values = raw === '' ? [] : raw.split(/[;\s]+/).filter(Boolean).map(Number);
+        if (values.some(value => isNaN(value))) {
+            return { error: 'Параметры распределения должны быть числами, разделенными «;»' };
+        }
+        
+        const arity = { uniform: 2, triangular: 3, normal: 2 };
+        if (arity[type] && values.length !== arity[type]) {
+            return { error: `Для выбранного распределения нужно ${arity[type]} параметра` };
+        }
+        
+        const spec = {
+            uniform: () => ({ type, min: values[0], max: values[1] }),
+            triangular: () => ({ type, min: values[0], mode: values[1], max: values[2] }),
+            normal: () => ({ type, mean: values[0], sd: values[1] }),
+            sample: () => ({ type, values })
+        }[type]();
+        
+        try {
+            CellDistribution.validate(spec);
+        } catch (error) {
+            return { error: `Некорректное распределение: ${error.message}` };
+        }
+        return { spec };
+    }
+
+    /**
+     * Назначение распределения выбранной ячейке матрицы
+     * В ячейку записывается среднее значение распределения для детерминированных критериев
+     */
+    applyCellDistribution() {
+        const { spec, error } = this.readCellDistribution();
+        if (error) {
+            this.uiManager.showError(error, 'error');
+            return;
+        }
+        
+        const i = parseInt(document.getElementById('dist-strategy').value);
+        const j = parseInt(document.getElementById('dist-state').value);
+        const mean = this.matrix.updateValue(i, j, CellDistribution.mean(spec));
+        this.matrix.setDistribution(i, j, spec);
+        
+        const input = document.querySelector(`#matrix-table input[data-row="${i}"][data-col="${j}"]`);
+        if (input) input.value = Number(mean.toFixed(4));
+        document.getElementById('simulation-enabled').checked = true;
+        this.uiManager.updateDistributionEditor(this.matrix);
+    }
+
+    /**
+     * Возврат выбранной ячейки к фиксированному значению (среднему распределения)
+     */
+    removeCellDistribution() {
+        const i = parseInt(document.getElementById('dist-strategy').value);
+        const j = parseInt(document.getElementById('dist-state').value);
+        this.matrix.setDistribution(i, j, null);
+        this.uiManager.updateDistributionEditor(this.matrix);
+    }
+
+    /**
+     * Чтение параметров имитационного моделирования
+     * @returns {object} - { enabled, iterations, seed } или { error } при некорректном вводе
+     */
+    readSimulationParams() {
+        const enabled = document.getElementById('simulation-enabled').checked;
+        const iterations = Number(document.getElementById('simulation-iterations').value);
+        const seed = Number(document.getElementById('simulation-seed').value);
+        
+        if (!enabled) return { ...this.simulation, enabled };
+        if (!Number.isInteger(iterations) || iterations < 100 || iterations > 200000) {
+            return { error: 'Число испытаний должно быть целым числом от 100 до 200000' };
+        }
+        if (!Number.isInteger(seed) || seed < 0) {
+            return { error: 'Начальное значение генератора должно быть неотрицательным целым числом' };
+        }
+        return { enabled, iterations, seed };
+    }
+
+    /**
+     * Установка направления оптимизации матрицы
+     * @param {string} orientation - 'max' (выигрыши) или 'min' (затраты/потери)
+     */
+    setOrientation(orientation) {
+        try {
+            this.matrix.setOrientation(orientation);
+            this.uiManager.showError(
+                orientation === 'min' ? 'Матрица затрат: меньшие значения лучше' : 'Матрица выигрышей: большие значения лучше',
+                'info'
+            );
+        } catch (error) {
+            this.uiManager.showError(`Ошибка: ${error.message}`, 'error');
+        }
     }
 
     /**
@@ -212,8 +576,9 @@ class DecisionAnalysisApp {
             document.getElementById('strategies').value = 4;
             document.getElementById('states').value = 4;
             
-            // Создаем матрицу с новыми размерами
-            this.createMatrix();
+            // Демонстрационная матрица заменяет все введенные данные
+            this.matrix.updateDimensions(4, 4);
+            this.matrix.initialize();
             
             /*const exampleData = [
                 [713, 839, 1007, 1133], 
@@ -236,44 +601,11 @@ class DecisionAnalysisApp {
                 }
             }
             
-            // Обновление названий стратегий 
-            const regionNames = ['Регион1', 'Регион2', 'Регион3','Регион4'];
+            // Названия стратегий и состояний хранятся в модели матрицы
+            ['Регион1', 'Регион2', 'Регион3', 'Регион4'].forEach((name, i) => this.matrix.setStrategyName(i, name));
+            ['Индикатор1', 'Индикатор2', 'Индикатор3', 'Индикатор4'].forEach((name, j) => this.matrix.setStateName(j, name));
             
-            // Обновление названий состояний 
-            const indicatorNames = ['Индикатор1', 'Индикатор2', 'Индикатор3', 'Индикатор4'];
-            
-            // Обновление отображения таблицы с новыми названиями
-            setTimeout(() => {
-                const table = document.getElementById('matrix-table');
-                
-                // Обновляем заголовки столбцов
-                const headerCells = table.querySelectorAll('thead th');
-                headerCells[0].textContent = 'Стратегии / Состояния';
-                for (let j = 1; j < headerCells.length; j++) {
-                    if (indicatorNames[j-1]) {
-                        headerCells[j].textContent = indicatorNames[j-1];
-                    }
-                }
-                
-                // Обновляем названия стратегий
-                const strategyCells = table.querySelectorAll('tbody td:first-child strong');
-                strategyCells.forEach((cell, index) => {
-                    if (regionNames[index]) {
-                        cell.textContent = regionNames[index];
-                    }
-                });
-                
-                // Заполняем значениями
-                const inputs = table.querySelectorAll('input');
-                inputs.forEach((input, index) => {
-                    const row = Math.floor(index / exampleData[0].length);
-                    const col = index % exampleData[0].length;
-                    
-                    if (exampleData[row] && exampleData[row][col] !== undefined) {
-                        input.value = exampleData[row][col];
-                    }
-                });
-            }, 100);
+            this.renderMatrix();
             
             this.uiManager.showError('Демонстрационные данные загружены успешно!', 'success');
             
@@ -283,6 +615,166 @@ class DecisionAnalysisApp {
         }
     }
 
+    /**
+     * Открытие файла CSV или XLSX и показ диалога импорта
+     * @param {File} file - выбранный файл
+     */
+    async openImportFile(file) {
+        const input = document.getElementById('import-file');
+        if (input) input.value = '';
+        if (!file) return;
+        
+        const importer = new TableImporter();
+        const isXLSX = /\.xlsx$/i.test(file.name);
+        try {
+            let rows;
+            let detectedDelimiter = null;
+            let text = null;
+            if (isXLSX) {
+                rows = await importer.readXLSX(await file.arrayBuffer());
+            } else {
+                text = await file.text();
+                detectedDelimiter = TableImporter.detectDelimiter(text);
+                rows = importer.parseCSV(text, detectedDelimiter);
+            }
+            
+            if (rows.length === 0) {
+                this.uiManager.showError('Файл не содержит данных', 'error');
+                return;
+            }
+            
+            this.importState = {
+                fileName: file.name,
+                type: isXLSX ? 'xlsx' : 'csv',
+                text,
+                rows,
+                detectedDelimiter,
+                delimiter: 'auto',
+                decimalComma: isXLSX ? false : detectedDelimiter !== ',',
+                headerRow: true,
+                headerColumn: true,
+                skippedRows: [],
+                skippedColumns: []
+            };
+            this.showImportDialog();
+        } catch (error) {
+            this.uiManager.showError(`Не удалось прочитать файл «${file.name}»: ${error.message}`, 'error');
+            console.error('Error reading import file:', error);
+        }
+    }
+
+    /**
+     * Сопоставление разобранной таблицы с матрицей по текущим параметрам импорта
+     * @returns {object} - { strategies, states, data, errors }
+     */
+    buildImportTable() {
+        const state = this.importState;
+        return new TableImporter().buildTable(state.rows, {
+            headerRow: state.headerRow,
+            headerColumn: state.headerColumn,
+            decimalComma: state.decimalComma,
+            skippedRows: state.skippedRows,
+            skippedColumns: state.skippedColumns
+        });
+    }
+
+    /**
+     * Отображение диалога импорта с предпросмотром таблицы
+     */
+    showImportDialog() {
+        this.uiManager.showModal(
+            'Импорт матрицы из файла',
+            this.uiManager.createImportDialogHTML(this.importState, this.buildImportTable()),
+            true
+        );
+    }
+
+    /**
+     * Чтение параметров диалога импорта и обновление предпросмотра
+     */
+    updateImportOptions() {
+        const state = this.importState;
+        if (!state) return;
+        
+        const delimiterSelect = document.getElementById('import-delimiter');
+        if (delimiterSelect) {
+            const delimiter = delimiterSelect.value === 'tab' ? '\t' : delimiterSelect.value;
+            if (delimiter !== state.delimiter) {
+                state.delimiter = delimiter;
+                state.rows = new TableImporter().parseCSV(state.text, delimiter === 'auto' ? state.detectedDelimiter : delimiter);
+                state.skippedRows = [];
+                state.skippedColumns = [];
+                this.showImportDialog();
+                return;
+            }
+        }
+        
+        state.decimalComma = document.getElementById('import-decimal-comma').checked;
+        state.headerRow = document.getElementById('import-header-row').checked;
+        state.headerColumn = document.getElementById('import-header-column').checked;
+        const unchecked = (prefix, count) => Array.from({ length: count }, (_, idx) => idx)
+            .filter(idx => document.getElementById(`${prefix}-${idx}`)?.checked === false);
+        state.skippedRows = unchecked('import-row', state.rows.length);
+        state.skippedColumns = unchecked('import-col', state.rows[0].length);
+        this.showImportDialog();
+    }
+
+    /**
+     * Замена матрицы импортированной таблицей
+     * Параметры, заданные по состояниям (вероятности, веса, суждения МАИ), сбрасываются,
+     * непрочитанные ячейки остаются пустыми и отмечаются в таблице ввода
+     */
+    applyImport() {
+        if (!this.importState) return;
+        const table = this.buildImportTable();
+        if (table.strategies.length < 2 || table.states.length < 2) {
+            this.uiManager.showError('Матрица должна содержать не менее двух стратегий и двух состояний', 'error');
+            return;
+        }
+        
+        try {
+            this.matrix.loadTable(table);
+        } catch (error) {
+            this.uiManager.showError(`Ошибка импорта матрицы: ${error.message}`, 'error');
+            return;
+        }
+        
+        this.probabilities = [];
+        this.probabilityIntervals = { lower: [], upper: [] };
+        this.probabilityRanks = [];
+        this.multiCriteria = { ...this.multiCriteria, weights: [], directions: [] };
+        this.experiment = { ...this.experiment, likelihoods: [] };
+        this.ahp = { judgements: null, result: null };
+        
+        document.getElementById('strategies').value = this.matrix.strategiesCount;
+        document.getElementById('states').value = this.matrix.statesCount;
+        this.renderMatrix();
+        this.refreshConditionInputs();
+        this.cancelImport();
+        
+        if (table.errors.length > 0) {
+            this.uiManager.showError(
+                `Матрица импортирована, но ${table.errors.length} ячеек не удалось прочитать как числа ` +
+                `(${table.errors.slice(0, 5).map(error => error.cell).join(', ')}${table.errors.length > 5 ? ', ...' : ''}). ` +
+                'Заполните отмеченные ячейки перед анализом',
+                'warning'
+            );
+        } else {
+            this.uiManager.showError(
+                `Матрица ${this.matrix.strategiesCount} × ${this.matrix.statesCount} импортирована успешно!`,
+                'success'
+            );
+        }
+    }
+
+    /**
+     * Закрытие диалога импорта без изменения матрицы
+     */
+    cancelImport() {
+        this.importState = null;
+        this.uiManager.closeModal();
+    }
+
     /**
      * Выбор условий принятия решений
      * @param {string} condition - тип условий (uncertainty/risk)
@@ -304,87 +796,718 @@ class DecisionAnalysisApp {
         // Показать/скрыть соответствующие элементы
         const hurwitzParam = document.getElementById('hurwitz-param');
         const probInputs = document.getElementById('probability-inputs');
+        const multiCriteriaInputs = document.getElementById('multicriteria-inputs');
+        const ahpInputs = document.getElementById('ahp-inputs');
         
         if (condition === 'uncertainty') {
             hurwitzParam.style.display = 'block';
             probInputs.style.display = 'none';
+            multiCriteriaInputs.style.display = 'none';
+            this.updateOwaPreview();
+            this.updateHurwitzSensitivity();
         } else if (condition === 'risk') {
             hurwitzParam.style.display = 'none';
             probInputs.style.display = 'block';
+            multiCriteriaInputs.style.display = 'none';
             this.createProbabilityInputs();
+        } else if (condition === 'multicriteria') {
+            hurwitzParam.style.display = 'none';
+            probInputs.style.display = 'none';
+            multiCriteriaInputs.style.display = 'block';
+            this.createIndicatorInputs();
+        }
+        
+        // Попарные сравнения задают вероятности состояний или веса показателей
+        ahpInputs.style.display = condition === 'uncertainty' ? 'none' : 'block';
+        if (condition !== 'uncertainty') {
+            document.getElementById('ahp-to-probabilities').style.display = condition === 'risk' ? '' : 'none';
+            document.getElementById('ahp-to-weights').style.display = condition === 'multicriteria' ? '' : 'none';
+            this.createAhpInputs();
         }
         
-        this.uiManager.showError(`Выбраны условия: ${condition === 'uncertainty' ? 'Полная неопределенность' : 'Условия риска'}`, 'info');
+        // Игра с природой, доминирование по направлению матрицы и полезность не относятся к показателям
+        ['game-param', 'dominance-param', 'utility-param'].forEach(id => {
+            document.getElementById(id).style.display = condition === 'multicriteria' ? 'none' : 'block';
+        });
+        
+        this.updateDominancePreview();
+        const names = {
+            uncertainty: 'Полная неопределенность',
+            risk: 'Условия риска',
+            multicriteria: 'Многокритериальная оценка'
+        };
+        this.uiManager.showError(`Выбраны условия: ${names[condition]}`, 'info');
     }
 
     /**
-     * Создание полей для ввода вероятностей
+     * Создание полей для ввода весов и направлений показателей
      */
-    createProbabilityInputs() {
-        document.getElementById('prob-container').innerHTML = 
-            this.uiManager.createProbabilityInputs(this.matrix, this.probabilities);
-        this.updateProbabilities();
+    createIndicatorInputs() {
+        const { weights, directions } = this.multiCriteria;
+        const sameSize = weights.length === this.matrix.statesCount;
+        document.getElementById('mc-container').innerHTML = this.uiManager.createIndicatorInputs(
+            this.matrix,
+            sameSize ? weights : [],
+            sameSize ? directions : []
+        );
+        this.updateIndicatorWeights();
     }
 
     /**
-     * Обновление вероятностей состояний природы
+     * Обновление суммы весов показателей
      */
-    updateProbabilities() {
-        this.probabilities = [];
+    updateIndicatorWeights() {
         let sum = 0;
-        
         for (let j = 0; j < this.matrix.statesCount; j++) {
-            const probInput = document.getElementById(`prob-${j}`);
-            const value = parseFloat(probInput?.value) || 0;
-            this.probabilities.push(value);
-            sum += value;
+            sum += parseFloat(document.getElementById(`mc-weight-${j}`)?.value) || 0;
         }
-        
-        this.uiManager.updateProbabilitySum(sum);
+        this.uiManager.updateIndicatorWeightsSum(sum);
     }
 
     /**
-     * Переход между шагами анализа
-     * @param {number} step - номер шага (1, 2, 3)
+     * Создание матрицы попарных сравнений состояний (показателей) для МАИ
+     * Ранее введенные суждения сохраняются, если размер матрицы не изменился
      */
-    goToStep(step) {
-        // Валидация перед переходом на шаг 2
-        if (step === 2 && !this.matrix.validate()) {
-            this.uiManager.showError('Пожалуйста, заполните все значения матрицы корректными числами', 'error');
-            return;
+    createAhpInputs() {
+        const n = this.matrix.statesCount;
+        const analyzer = new AnalyticHierarchyProcess();
+        if (!this.ahp.judgements || this.ahp.judgements.length !== n) {
+            this.ahp.judgements = analyzer.createMatrix(n);
         }
+        document.getElementById('ahp-container').innerHTML =
+            this.uiManager.createAhpInputs(this.matrix.states, this.ahp.judgements);
+        this.updateAhp();
+    }
+
+    /**
+     * Пересчет вектора приоритетов и согласованности после изменения суждения
+     */
+    updateAhp() {
+        const n = this.matrix.statesCount;
+        const analyzer = new AnalyticHierarchyProcess();
+        const judgements = this.ahp.judgements;
         
-        // Валидация перед переходом на шаг 3
-        if (step === 3) {
-            if (!this.selectedCondition) {
-                this.uiManager.showError('Пожалуйста, выберите условия принятия решений', 'error');
-                return;
-            }
-            
-            if (this.selectedCondition === 'risk') {
-                this.updateProbabilities();
-                const sum = this.probabilities.reduce((a, b) => a + b, 0);
-                if (Math.abs(sum - 1) > 0.01) {
-                    this.uiManager.showError('Сумма вероятностей должна равняться 1. Текущая сумма: ' + sum.toFixed(3), 'error');
-                    return;
-                }
+        for (let i = 0; i < n; i++) {
+            for (let k = i + 1; k < n; k++) {
+                const select = document.getElementById(`ahp-${i}-${k}`);
+                if (!select) continue;
+                analyzer.setJudgement(judgements, i, k, parseFloat(select.value));
+                // Шкала симметрична: обратное значение стоит на зеркальной позиции списка
+                document.getElementById(`ahp-reciprocal-${k}-${i}`).textContent =
+                    select.selectedIndex >= 0 ? select.options[select.options.length - 1 - select.selectedIndex].text : '1';
             }
-            
-            this.alpha = parseFloat(document.getElementById('alpha').value);
-            this.calculateResults();
         }
         
-        // Анимация перехода между шагами
-        const currentStepElement = document.getElementById(`step${this.currentStep}`);
-        if (currentStepElement) {
-            currentStepElement.classList.add('fade-out');
-            
-            setTimeout(() => {
-                // Скрыть текущий шаг
-                document.querySelectorAll('.step').forEach(s => {
-                    s.classList.remove('active');
-                    s.classList.remove('fade-out');
-                });
+        this.ahp.result = analyzer.analyze(judgements, this.matrix.states);
+        document.getElementById('ahp-result').innerHTML = this.uiManager.generateAhpResultHTML(this.ahp.result);
+    }
+
+    /**
+     * Перенос вектора приоритетов МАИ в вероятности состояний природы
+     */
+    pushAhpToProbabilities() {
+        if (!this.ahp.result) return;
+        if (this.probabilityMode !== 'exact') {
+            document.getElementById('probability-mode').value = 'exact';
+            this.setProbabilityMode('exact');
+        }
+        
+        this.ahp.result.weights.forEach((w, j) => {
+            const input = document.getElementById(`prob-${j}`);
+            if (input) input.value = w.toFixed(4);
+        });
+        this.updateProbabilities();
+        this.showAhpTransferNotice('вероятности состояний');
+    }
+
+    /**
+     * Перенос вектора приоритетов МАИ в веса показателей
+     */
+    pushAhpToWeights() {
+        if (!this.ahp.result) return;
+        
+        this.ahp.result.weights.forEach((w, j) => {
+            const input = document.getElementById(`mc-weight-${j}`);
+            if (input) input.value = w.toFixed(4);
+        });
+        this.updateIndicatorWeights();
+        this.showAhpTransferNotice('веса показателей');
+    }
+
+    /**
+     * Сообщение о переносе приоритетов с предупреждением о несогласованных суждениях
+     * @param {string} target - куда перенесены приоритеты
+     */
+    showAhpTransferNotice(target) {
+        if (this.ahp.result.consistent) {
+            this.uiManager.showError(`Приоритеты МАИ перенесены в ${target}`, 'success');
+        } else {
+            this.uiManager.showError(
+                `Приоритеты перенесены в ${target}, но отношение согласованности ` +
+                `${this.ahp.result.consistencyRatio.toFixed(3)} превышает 0.1`, 'warning');
+        }
+    }
+
+    /**
+     * Чтение весов, направлений и параметров многокритериальной оценки
+     * @returns {object} - { weights, directions, normalization, v } или { error } при некорректном вводе
+     */
+    readMultiCriteriaParams() {
+        const weights = [];
+        const directions = [];
+        for (let j = 0; j < this.matrix.statesCount; j++) {
+            weights.push(parseFloat(document.getElementById(`mc-weight-${j}`)?.value));
+            directions.push(document.getElementById(`mc-direction-${j}`)?.value || 'benefit');
+        }
+        
+        const invalid = weights.findIndex(w => isNaN(w) || w < 0);
+        if (invalid >= 0) {
+            return { error: `Вес показателя ${this.matrix.states[invalid]} должен быть неотрицательным числом` };
+        }
+        const sum = weights.reduce((a, b) => a + b, 0);
+        if (sum <= 0) {
+            return { error: 'Хотя бы один показатель должен иметь положительный вес' };
+        }
+        
+        return {
+            weights: weights.map(w => w / sum),
+            directions,
+            normalization: document.getElementById('mc-normalization').value,
+            v: parseFloat(document.getElementById('vikor-v').value)
+        };
+    }
+
+    /**
+     * Считывание параметров обобщенного критерия Гурвица (OWA) из формы
+     * @returns {object} - { mode, orness, weights, error }
+     */
+    readOwaParams() {
+        const mode = document.getElementById('owa-mode').value;
+        const orness = parseFloat(document.getElementById('owa-orness').value);
+        
+        if (mode === 'orness') {
+            return { mode, orness, weights: null };
+        }
+        
+        const text = document.getElementById('owa-weights').value.trim();
+        const weights = text.split(/[;\s]+/).filter(Boolean).map(v => parseFloat(v.replace(',', '.')));
+        const statesCount = this.getAnalysisMatrix().statesCount;
+        
+        if (weights.length !== statesCount || weights.some(w => isNaN(w) || w < 0)) {
+            return {
+                mode, orness, weights: null,
+                error: `Введите ${statesCount} неотрицательных весов через точку с запятой`
+            };
+        }
+        
+        const total = weights.reduce((a, b) => a + b, 0);
+        if (total <= 0) {
+            return { mode, orness, weights: null, error: 'Сумма весов OWA должна быть положительной' };
+        }
+        
+        return { mode, orness, weights: weights.map(w => w / total) };
+    }
+
+    /**
+     * Обновление предпросмотра весов обобщенного критерия Гурвица
+     */
+    updateOwaPreview() {
+        const params = this.readOwaParams();
+        document.getElementById('owa-orness-value').textContent = params.orness;
+        
+        const preview = document.getElementById('owa-preview');
+        if (params.error) {
+            preview.textContent = params.error;
+            return;
+        }
+        
+        const weights = params.weights ||
+            OWACriterion.weightsFromOrness(this.getAnalysisMatrix().statesCount, params.orness);
+        preview.textContent = `w = (${weights.map(w => w.toFixed(3)).join('; ')}), ` +
+            `orness = ${OWACriterion.orness(weights).toFixed(3)}`;
+    }
+
+    /**
+     * Обновление графика чувствительности критерия Гурвица к коэффициенту α
+     */
+    updateHurwitzSensitivity() {
+        const container = document.getElementById('hurwitz-sensitivity');
+        if (!container) return;
+        if (!this.matrix.validate()) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const alpha = parseFloat(document.getElementById('alpha').value);
+        const sweep = new SensitivityAnalyzer().hurwitzSweep(this.getPreviewAnalysisMatrix());
+        container.innerHTML = this.uiManager.createHurwitzSensitivity(sweep, alpha);
+    }
+
+    /**
+     * Включение/выключение режима решения матричной игры
+     * @param {boolean} enabled - true если матрица решается как антагонистическая игра
+     */
+    toggleGameMode(enabled) {
+        this.gameMode = Boolean(enabled);
+        this.updateDominancePreview();
+        this.updateHurwitzSensitivity();
+    }
+
+    /**
+     * Выбор режима исключения доминируемых стратегий
+     * @param {string} mode - режим (none/strict/weak)
+     */
+    setDominanceMode(mode) {
+        this.dominanceMode = mode;
+        this.updateDominancePreview();
+        this.updateHurwitzSensitivity();
+    }
+
+    /**
+     * Параметры исключения доминируемых стратегий
+     * Состояния природы сокращаются только в игре с разумным противником:
+     * при игре с природой и в условиях риска удаление состояний искажает анализ
+     * @returns {object} - параметры для DominanceAnalyzer.reduce
+     */
+    getDominanceOptions() {
+        return {
+            includeWeak: this.dominanceMode === 'weak',
+            reduceStates: this.gameMode && this.selectedCondition !== 'risk'
+        };
+    }
+
+    /**
+     * Обновление предварительного списка доминируемых стратегий на шаге 2
+     */
+    updateDominancePreview() {
+        const preview = document.getElementById('dominance-preview');
+        if (!preview) return;
+        
+        const analyzer = new DominanceAnalyzer();
+        const options = this.getDominanceOptions();
+        const strategyRelations = analyzer.findDominatedStrategies(this.matrix);
+        const stateRelations = options.reduceStates ? analyzer.findRedundantStates(this.matrix) : [];
+        
+        preview.innerHTML = this.uiManager.createDominancePreview(
+            strategyRelations, stateRelations, this.dominanceMode
+        );
+    }
+
+    /**
+     * Матрица, по которой выполняются расчеты: матрица полезностей, если выбрана нелинейная
+     * функция полезности, иначе сокращенная (после исключения доминирования) или исходная
+     * @returns {DecisionMatrix} - матрица для анализа
+     */
+    getAnalysisMatrix() {
+        return this.utilityMatrix || this.reducedMatrix || this.matrix;
+    }
+
+    /**
+     * Матрица анализа по текущим настройкам шага 2 (до расчета результатов):
+     * исходная матрица после исключения доминирования и перехода к полезностям
+     * @returns {DecisionMatrix} - матрица, по которой будут рассчитаны критерии
+     */
+    getPreviewAnalysisMatrix() {
+        let matrix = this.matrix;
+        if (this.dominanceMode !== 'none') {
+            matrix = new DominanceAnalyzer().reduce(matrix, this.getDominanceOptions()).matrix;
+        }
+        
+        const params = this.readUtilityParams();
+        const utility = params.error ? null : new UtilityFunction(params);
+        return utility && !utility.isIdentity() ? utility.transform(matrix) : matrix;
+    }
+
+    /**
+     * Выбор вида функции полезности с подстановкой типичного значения коэффициента
+     * @param {string} type - вид функции полезности
+     */
+    setUtilityType(type) {
+        const defaults = { exponential: 2, power: 0.5 };
+        if (defaults[type] !== undefined) {
+            document.getElementById('utility-coefficient').value = defaults[type];
+        }
+        this.updateUtilityPreview();
+    }
+
+    /**
+     * Считывание параметров функции полезности из формы
+     * @returns {object} - { type, coefficient, points, error }
+     */
+    readUtilityParams() {
+        const type = document.getElementById('utility-type').value;
+        const params = { type, coefficient: null, points: null };
+        
+        if (type === 'exponential' || type === 'power') {
+            params.coefficient = parseFloat(document.getElementById('utility-coefficient').value);
+            if (isNaN(params.coefficient) || (type === 'power' && params.coefficient <= 0)) {
+                return {
+                    ...params,
+                    error: type === 'power'
+                        ? 'Показатель степенной функции полезности должен быть положительным'
+                        : 'Введите числовой коэффициент несклонности к риску'
+                };
+            }
+        }
+        
+        if (type === 'piecewise') {
+            const text = document.getElementById('utility-points').value.trim();
+            params.points = text.split(';').map(s => s.trim()).filter(Boolean)
+                .map(pair => pair.split(':').map(v => parseFloat(v.trim().replace(',', '.'))));
+            if (params.points.length < 2 || params.points.some(p => p.length !== 2 || p.some(isNaN))) {
+                return { ...params, error: 'Введите не менее двух узлов функции полезности в формате x:u через точку с запятой' };
+            }
+        }
+        
+        try {
+            new UtilityFunction(params).transform(this.reducedMatrix || this.matrix);
+        } catch (error) {
+            return { ...params, error: `Некорректная функция полезности: ${error.message}` };
+        }
+        
+        return params;
+    }
+
+    /**
+     * Обновление предпросмотра функции полезности на шаге 2
+     */
+    updateUtilityPreview() {
+        const preview = document.getElementById('utility-preview');
+        if (!preview) return;
+        this.updateHurwitzSensitivity();
+        
+        const type = document.getElementById('utility-type').value;
+        const labels = {
+            exponential: 'Несклонность к риску (r):',
+            power: 'Показатель степени (γ):'
+        };
+        document.getElementById('utility-coefficient-row').style.display = labels[type] ? 'flex' : 'none';
+        document.getElementById('utility-coefficient-label').textContent = labels[type] || 'Коэффициент:';
+        document.getElementById('utility-points-row').style.display = type === 'piecewise' ? 'flex' : 'none';
+        
+        const params = this.readUtilityParams();
+        if (params.error) {
+            preview.textContent = params.error;
+            return;
+        }
+        
+        const utility = new UtilityFunction(params);
+        if (utility.isIdentity()) {
+            preview.textContent = 'Критерии рассчитываются по исходным значениям матрицы.';
+            return;
+        }
+        
+        const utilities = utility.transform(this.matrix);
+        const sign = this.matrix.isMinimization() ? -1 : 1;
+        const middle = (utility.low + utility.high) / 2;
+        preview.textContent = `${utility.describe()}; ` +
+            `u(${sign * utility.low}) = ${utility.value(utility.low).toFixed(3)}, ` +
+            `u(${sign * middle}) = ${utility.value(middle).toFixed(3)}, ` +
+            `u(${sign * utility.high}) = ${utility.value(utility.high).toFixed(3)}. ` +
+            `Все критерии рассчитываются по полезностям (диапазон ${Math.min(...utilities.data.flat()).toFixed(3)} … ` +
+            `${Math.max(...utilities.data.flat()).toFixed(3)}).`;
+    }
+
+    /**
+     * Выбор способа задания вероятностей
+     * @param {string} mode - 'exact' (точные значения), 'interval' (интервалы) или 'ordinal' (ранги)
+     */
+    setProbabilityMode(mode) {
+        this.probabilityMode = mode;
+        
+        const hints = {
+            exact: 'Введите вероятности для каждого состояния природы (сумма должна равняться 1):',
+            interval: 'Введите нижнюю и верхнюю границы вероятности каждого состояния (Σ нижних ≤ 1 ≤ Σ верхних):',
+            ordinal: 'Укажите ранг правдоподобия каждого состояния (1 - наиболее вероятное, одинаковые ранги - равновероятные):'
+        };
+        document.getElementById('prob-hint').textContent = hints[mode];
+        // λ и k относятся к критериям, требующим точных вероятностей
+        document.getElementById('point-probability-params').style.display = mode === 'exact' ? 'block' : 'none';
+        
+        this.createProbabilityInputs();
+    }
+
+    /**
+     * Создание полей для ввода вероятностей
+     */
+    createProbabilityInputs() {
+        const container = document.getElementById('prob-container');
+        if (this.probabilityMode === 'interval') {
+            container.innerHTML = this.uiManager.createProbabilityIntervalInputs(this.matrix, this.probabilityIntervals);
+        } else if (this.probabilityMode === 'ordinal') {
+            container.innerHTML = this.uiManager.createProbabilityRankInputs(this.matrix, this.probabilityRanks);
+        } else {
+            container.innerHTML = this.uiManager.createProbabilityInputs(this.matrix, this.probabilities);
+            this.createLikelihoodInputs();
+        }
+        this.updateProbabilities();
+    }
+
+    /**
+     * Создание таблицы правдоподобия сигналов исследования
+     * Ранее введенные названия сигналов и значения сохраняются при изменении количества сигналов
+     */
+    createLikelihoodInputs() {
+        const count = Math.min(6, Math.max(2, parseInt(document.getElementById('experiment-signals').value) || 2));
+        document.getElementById('experiment-signals').value = count;
+        
+        const signals = Array.from({ length: count }, (_, k) => this.experiment.signals[k] || `Сигнал ${k + 1}`);
+        const likelihoods = this.experiment.likelihoods.length === this.matrix.statesCount &&
+            this.experiment.likelihoods[0].length === count ? this.experiment.likelihoods : [];
+        
+        document.getElementById('likelihood-container').innerHTML =
+            this.uiManager.createLikelihoodInputs(this.matrix, signals, likelihoods);
+        this.updateLikelihoods();
+    }
+
+    /**
+     * Обновление матрицы правдоподобия P(сигнал | состояние) из полей ввода
+     */
+    updateLikelihoods() {
+        const signals = [];
+        for (let k = 0; document.getElementById(`signal-name-${k}`); k++) {
+            signals.push(document.getElementById(`signal-name-${k}`).value.trim() || `Сигнал ${k + 1}`);
+        }
+        
+        const likelihoods = [];
+        for (let j = 0; j < this.matrix.statesCount; j++) {
+            likelihoods.push(signals.map((_, k) => parseFloat(document.getElementById(`likelihood-${j}-${k}`)?.value)));
+        }
+        
+        this.experiment = { ...this.experiment, signals, likelihoods };
+        this.uiManager.updateLikelihoodSums(likelihoods.map(row => row.reduce((a, b) => a + (b || 0), 0)));
+    }
+
+    /**
+     * Чтение параметров исследования
+     * @returns {object} - { enabled, cost, signals, likelihoods } или { error } при некорректном вводе
+     */
+    readExperimentParams() {
+        const enabled = document.getElementById('experiment-enabled').checked;
+        if (!enabled) return { ...this.experiment, enabled };
+        
+        this.updateLikelihoods();
+        const { signals, likelihoods } = this.experiment;
+        const invalid = likelihoods.findIndex(row =>
+            row.some(value => isNaN(value) || value < 0 || value > 1) ||
+            Math.abs(row.reduce((a, b) => a + b, 0) - 1) > 0.01);
+        if (invalid >= 0) {
+            return {
+                error: `Вероятности сигналов при состоянии ${this.matrix.states[invalid]} должны быть от 0 до 1 и в сумме равняться 1`
+            };
+        }
+        
+        const cost = parseFloat(document.getElementById('experiment-cost').value);
+        if (isNaN(cost) || cost < 0) {
+            return { error: 'Стоимость исследования должна быть неотрицательным числом' };
+        }
+        
+        // Строки нормируются так же, как вероятности состояний
+        return {
+            enabled,
+            cost,
+            signals,
+            likelihoods: likelihoods.map(row => {
+                const sum = row.reduce((a, b) => a + b, 0);
+                return row.map(value => value / sum);
+            })
+        };
+    }
+
+    /**
+     * Обновление вероятностей состояний природы
+     */
+    updateProbabilities() {
+        if (this.probabilityMode === 'interval') {
+            this.updateProbabilityIntervals();
+            return;
+        }
+        if (this.probabilityMode === 'ordinal') {
+            this.updateProbabilityRanks();
+            return;
+        }
+        
+        this.probabilities = [];
+        let sum = 0;
+        
+        for (let j = 0; j < this.matrix.statesCount; j++) {
+            const probInput = document.getElementById(`prob-${j}`);
+            const value = parseFloat(probInput?.value) || 0;
+            this.probabilities.push(value);
+            sum += value;
+        }
+        
+        this.uiManager.updateProbabilitySum(sum);
+    }
+
+    /**
+     * Обновление границ интервальных вероятностей
+     */
+    updateProbabilityIntervals() {
+        const lower = [];
+        const upper = [];
+        
+        for (let j = 0; j < this.matrix.statesCount; j++) {
+            lower.push(parseFloat(document.getElementById(`prob-lower-${j}`)?.value) || 0);
+            const upperValue = parseFloat(document.getElementById(`prob-upper-${j}`)?.value);
+            upper.push(isNaN(upperValue) ? 0 : upperValue);
+        }
+        
+        this.probabilityIntervals = { lower, upper };
+        this.uiManager.updateProbabilityBoundsSum(
+            lower.reduce((a, b) => a + b, 0),
+            upper.reduce((a, b) => a + b, 0)
+        );
+    }
+
+    /**
+     * Обновление рангов правдоподобия состояний
+     */
+    updateProbabilityRanks() {
+        this.probabilityRanks = [];
+        for (let j = 0; j < this.matrix.statesCount; j++) {
+            this.probabilityRanks.push(parseFloat(document.getElementById(`prob-rank-${j}`)?.value));
+        }
+        
+        if (this.probabilityRanks.every(rank => !isNaN(rank))) {
+            const levels = new OrdinalMaximinCriterion(this.probabilityRanks).getLevels();
+            this.uiManager.updateProbabilityOrder(levels.map(level => level.map(j => this.matrix.states[j])));
+        }
+    }
+
+    /**
+     * Проверка границ интервальных вероятностей
+     * @returns {string|null} - текст ошибки или null
+     */
+    validateProbabilityIntervals() {
+        const { lower, upper } = this.probabilityIntervals;
+        const invalid = lower.findIndex((l, j) => l < 0 || upper[j] > 1 || l > upper[j]);
+        if (invalid >= 0) {
+            return `Некорректный интервал для состояния ${this.matrix.states[invalid]}: требуется 0 ≤ нижняя ≤ верхняя ≤ 1`;
+        }
+        
+        const lowerSum = lower.reduce((a, b) => a + b, 0);
+        const upperSum = upper.reduce((a, b) => a + b, 0);
+        if (lowerSum > 1 + 0.001 || upperSum < 1 - 0.001) {
+            return `Интервалы несовместны: сумма нижних границ (${lowerSum.toFixed(3)}) должна быть не больше 1, ` +
+                `а сумма верхних (${upperSum.toFixed(3)}) - не меньше 1`;
+        }
+        return null;
+    }
+
+    /**
+     * Переход между шагами анализа
+     * @param {number} step - номер шага (1, 2, 3)
+     */
+    goToStep(step) {
+        // Валидация перед переходом на шаг 2
+        if (step === 2 && !this.matrix.validate()) {
+            this.uiManager.showError('Пожалуйста, заполните все значения матрицы корректными числами', 'error');
+            return;
+        }
+        
+        if (step === 2) {
+            this.updateDominancePreview();
+            this.updateHurwitzSensitivity();
+            this.updateUtilityPreview();
+        }
+        
+        // Валидация перед переходом на шаг 3
+        if (step === 3) {
+            if (!this.selectedCondition) {
+                this.uiManager.showError('Пожалуйста, выберите условия принятия решений', 'error');
+                return;
+            }
+            
+            if (this.selectedCondition === 'risk' && this.probabilityMode === 'interval') {
+                this.updateProbabilities();
+                const error = this.validateProbabilityIntervals();
+                if (error) {
+                    this.uiManager.showError(error, 'error');
+                    return;
+                }
+            } else if (this.selectedCondition === 'risk' && this.probabilityMode === 'ordinal') {
+                this.updateProbabilities();
+                if (this.probabilityRanks.some(rank => isNaN(rank))) {
+                    this.uiManager.showError('Укажите ранг правдоподобия для каждого состояния природы', 'error');
+                    return;
+                }
+            } else if (this.selectedCondition === 'risk') {
+                this.updateProbabilities();
+                const sum = this.probabilities.reduce((a, b) => a + b, 0);
+                if (Math.abs(sum - 1) > 0.01) {
+                    this.uiManager.showError('Сумма вероятностей должна равняться 1. Текущая сумма: ' + sum.toFixed(3), 'error');
+                    return;
+                }
+            }
+            
+            this.alpha = parseFloat(document.getElementById('alpha').value);
+            this.lambda = parseFloat(document.getElementById('lambda').value);
+            
+            if (this.selectedCondition === 'risk') {
+                const riskAversion = parseFloat(document.getElementById('risk-aversion').value);
+                if (isNaN(riskAversion) || riskAversion < 0) {
+                    this.uiManager.showError('Коэффициент несклонности к риску k должен быть неотрицательным числом', 'error');
+                    return;
+                }
+                this.riskAversion = riskAversion;
+                
+                if (this.probabilityMode === 'exact') {
+                    const simulation = this.readSimulationParams();
+                    if (simulation.error) {
+                        this.uiManager.showError(simulation.error, 'error');
+                        return;
+                    }
+                    this.simulation = simulation;
+                    
+                    const experiment = this.readExperimentParams();
+                    if (experiment.error) {
+                        this.uiManager.showError(experiment.error, 'error');
+                        return;
+                    }
+                    this.experiment = experiment;
+                }
+            }
+            
+            if (this.selectedCondition === 'multicriteria') {
+                const multiCriteria = this.readMultiCriteriaParams();
+                if (multiCriteria.error) {
+                    this.uiManager.showError(multiCriteria.error, 'error');
+                    return;
+                }
+                this.multiCriteria = multiCriteria;
+            }
+            
+            if (this.selectedCondition === 'uncertainty') {
+                const owa = this.readOwaParams();
+                if (owa.error) {
+                    this.uiManager.showError(owa.error, 'error');
+                    return;
+                }
+                this.owa = owa;
+            }
+            
+            const utility = this.readUtilityParams();
+            if (utility.error) {
+                this.uiManager.showError(utility.error, 'error');
+                return;
+            }
+            this.utility = utility;
+            
+            this.calculateResults();
+        }
+        
+        // Анимация перехода между шагами
+        const currentStepElement = document.getElementById(`step${this.currentStep}`);
+        if (currentStepElement) {
+            currentStepElement.classList.add('fade-out');
+            
+            setTimeout(() => {
+                // Скрыть текущий шаг
+                document.querySelectorAll('.step').forEach(s => {
+                    s.classList.remove('active');
+                    s.classList.remove('fade-out');
+                });
                 
                 // Показать выбранный шаг
                 const stepElement = document.getElementById(`step${step}`);
@@ -406,21 +1529,38 @@ class DecisionAnalysisApp {
     calculateResults() {
         try {
             this.resultsAnalyzer.clear();
-            this.resultsAnalyzer.setAnalysisType(this.selectedCondition);
+            this.analyses = {};
             
-            // Создание названий стратегий как в script.js
-            const strategiesCount = this.matrix.strategiesCount;
-            const strategies = [];
-            for (let i = 0; i < strategiesCount; i++) {
-                strategies.push(`Регион ${String.fromCharCode(65 + i)}`);
+            if (this.selectedCondition === 'multicriteria') {
+                // Столбцы - показатели со своими направлениями, поэтому седловые точки,
+                // доминирование по направлению матрицы и функция полезности не применяются
+                this.reducedMatrix = null;
+                this.utilityMatrix = null;
+                this.resultsAnalyzer.setAnalysisType('multicriteria', 'max');
+                this.calculateMultiCriteriaResults();
+                this.displayResults();
+                return;
             }
+
+            // Проверка седловой точки выполняется до расчета критериев
+            this.analyses.saddlePoints = new MatrixGameSolver().analyzeSaddlePoints(this.matrix);
+            
+            this.applyDominanceReduction();
+            this.applyUtility();
             
+            // Полезности всегда максимизируются, поэтому направление берется из матрицы анализа
+            this.resultsAnalyzer.setAnalysisType(this.selectedCondition, this.getAnalysisMatrix().orientation);
+
             if (this.selectedCondition === 'uncertainty') {
-                this.calculateUncertaintyResults(strategies);
+                this.calculateUncertaintyResults();
             } else {
-                this.calculateRiskResults(strategies);
+                this.calculateRiskResults();
             }
-            
+
+            if (this.gameMode) {
+                this.calculateGameSolution();
+            }
+
             this.displayResults();
             
         } catch (error) {
@@ -429,56 +1569,92 @@ class DecisionAnalysisApp {
         }
     }
 
+    /**
+     * Исключение доминируемых стратегий перед расчетом критериев
+     * Исходная матрица сохраняется, сокращенная копия хранится в reducedMatrix
+     */
+    applyDominanceReduction() {
+        this.reducedMatrix = null;
+        if (this.dominanceMode === 'none') return;
+        
+        const reduction = new DominanceAnalyzer().reduce(this.matrix, this.getDominanceOptions());
+        if (reduction.log.length > 0) {
+            this.reducedMatrix = reduction.matrix;
+        }
+        
+        this.analyses.dominance = {
+            ...reduction,
+            matrix: reduction.matrix.getMatrixData()
+        };
+    }
+
+    /**
+     * Преобразование результатов в полезности перед расчетом критериев
+     * Линейная функция не меняет матрицу; иначе все критерии рассчитываются по utilityMatrix
+     */
+    applyUtility() {
+        this.utilityMatrix = null;
+        const utility = new UtilityFunction(this.utility);
+        if (utility.isIdentity()) return;
+        
+        const base = this.reducedMatrix || this.matrix;
+        const pointProbabilities = this.selectedCondition === 'risk' && this.probabilityMode === 'exact';
+        const probabilities = pointProbabilities
+            ? this.getNormalizedProbabilities()
+            : Array(base.statesCount).fill(1 / base.statesCount);
+        
+        this.utilityMatrix = utility.transform(base);
+        this.analyses.utility = {
+            ...this.utility,
+            formula: utility.describe(),
+            matrix: this.utilityMatrix.getMatrixData(),
+            probabilities,
+            equalProbabilities: !pointProbabilities,
+            certaintyEquivalents: utility.certaintyEquivalents(base, probabilities),
+            orientation: base.orientation,
+            type: 'utility'
+        };
+    }
+
+    /**
+     * Нормированные вероятности состояний природы (сумма равна 1)
+     * @returns {Array} - вероятности
+     */
+    getNormalizedProbabilities() {
+        const sumProb = this.probabilities.reduce((a, b) => a + b, 0);
+        return this.probabilities.map(p => p / sumProb);
+    }
+
     /**
      * Расчет результатов для условий неопределенности
-     * @param {Array} strategies - названия стратегий
      */
-    calculateUncertaintyResults(strategies) {
+    calculateUncertaintyResults() {
         const criteriaConfig = [
             { type: 'wald', params: {} },
             { type: 'maximax', params: {} },
             { type: 'savage', params: {} },
-            { type: 'hurwitz', params: { alpha: this.alpha } }
+            { type: 'hurwitz', params: { alpha: this.alpha } },
+            { type: 'owa', params: this.owa.weights ? { weights: this.owa.weights } : { orness: this.owa.orness } },
+            { type: 'product', params: {} }
         ];
 
-        criteriaConfig.forEach(config => {
-            try {
-                const criterion = CriteriaFactory.createCriterion(config.type, config.params);
-                const result = criterion.calculate(this.matrix);
-                
-                // Используем стратегию из результата или получаем по индексу
-                let strategyName = result.strategy;
-                if (typeof result.strategyIndex === 'number' && strategies[result.strategyIndex]) {
-                    strategyName = strategies[result.strategyIndex];
-                }
-                
-                this.resultsAnalyzer.addRecommendation(
-                    result.name,
-                    strategyName,
-                    config.type,
-                    result
-                );
-                
-            } catch (error) {
-                console.error(`Error calculating ${config.type}:`, error);
-                this.resultsAnalyzer.addRecommendation(
-                    CriteriaInfo[config.type]?.name || config.type,
-                    'Не определено',
-                    config.type,
-                    { error: error.message }
-                );
-            }
-        });
+        this.addCriteriaRecommendations(criteriaConfig);
     }
 
     /**
      * Расчет результатов для условий риска
-     * @param {Array} strategies - названия стратегий
      */
-    calculateRiskResults(strategies) {
-        // Нормализация вероятностей
-        const sumProb = this.probabilities.reduce((a, b) => a + b, 0);
-        const normProbs = this.probabilities.map(p => p / sumProb);
+    calculateRiskResults() {
+        if (this.probabilityMode === 'interval') {
+            this.calculateIntervalResults();
+            return;
+        }
+        if (this.probabilityMode === 'ordinal') {
+            this.calculateOrdinalResults();
+            return;
+        }
+        
+        const normProbs = this.getNormalizedProbabilities();
 
         const criteriaConfig = [
             { 
@@ -488,27 +1664,128 @@ class DecisionAnalysisApp {
             { 
                 type: 'laplace', 
                 params: {} 
+            },
+            {
+                type: 'hodges',
+                params: { probabilities: normProbs, lambda: this.lambda }
+            },
+            {
+                type: 'germeyer',
+                params: { probabilities: normProbs }
+            },
+            {
+                type: 'meanVariance',
+                params: { probabilities: normProbs, riskAversion: this.riskAversion }
+            },
+            {
+                type: 'dispersion',
+                params: { probabilities: normProbs }
             }
         ];
 
+        this.addCriteriaRecommendations(criteriaConfig);
+
+        this.runAnalysis('riskMeasures', () => ({
+            riskAversion: this.riskAversion,
+            measures: new MeanVarianceCriterion(normProbs, this.riskAversion)
+                .calculate(this.getAnalysisMatrix()).calculations,
+            orientation: this.getAnalysisMatrix().orientation,
+            type: 'riskMeasures'
+        }));
+        if (this.simulation.enabled) {
+            // Моделирование выполняется в исходных единицах, без функции полезности
+            this.runAnalysis('monteCarlo', () =>
+                new MonteCarloSimulator(this.simulation).run(this.reducedMatrix || this.matrix, normProbs));
+        }
+        this.runAnalysis('perfectInformation', () =>
+            new InformationValueAnalyzer().perfectInformation(this.getAnalysisMatrix(), normProbs));
+        if (this.experiment.enabled) {
+            // Исходная матрица: EVSI сравнивается со стоимостью исследования в тех же единицах
+            this.runAnalysis('sampleInformation', () =>
+                new InformationValueAnalyzer().sampleInformation(this.matrix, normProbs, this.experiment.likelihoods, {
+                    cost: this.experiment.cost,
+                    signals: this.experiment.signals
+                }));
+        }
+        this.runAnalysis('bayesSensitivity', () =>
+            new SensitivityAnalyzer().bayesStability(this.getAnalysisMatrix(), normProbs));
+    }
+
+    /**
+     * Расчет результатов для интервальных вероятностей
+     * Критерии, требующие точного распределения, заменяются Γ-максиминным критерием
+     */
+    calculateIntervalResults() {
+        const { lower, upper } = this.probabilityIntervals;
+        this.addCriteriaRecommendations([
+            { type: 'gammaMaximin', params: { lowerProbabilities: lower, upperProbabilities: upper } },
+            { type: 'laplace', params: {} }
+        ]);
+        
+        this.runAnalysis('intervalProbabilities', () =>
+            new ImpreciseProbabilityAnalyzer().analyzeIntervals(this.getAnalysisMatrix(), lower, upper));
+    }
+
+    /**
+     * Расчет результатов для ранжированных вероятностей
+     */
+    calculateOrdinalResults() {
+        const ranks = this.probabilityRanks;
+        this.addCriteriaRecommendations([
+            { type: 'ordinalMaximin', params: { ranks } },
+            { type: 'laplace', params: {} }
+        ]);
+        
+        this.runAnalysis('ordinalProbabilities', () =>
+            new ImpreciseProbabilityAnalyzer().analyzeOrdinal(this.getAnalysisMatrix(), ranks));
+    }
+
+    /**
+     * Расчет многокритериальной оценки: взвешенная сумма, TOPSIS и VIKOR
+     */
+    calculateMultiCriteriaResults() {
+        const { weights, directions, normalization, v } = this.multiCriteria;
+        const params = { weights, directions, normalization };
+        const criteriaConfig = [
+            { type: 'weightedSum', params },
+            { type: 'topsis', params },
+            { type: 'vikor', params: { ...params, v } }
+        ];
+        
+        this.addCriteriaRecommendations(criteriaConfig);
+        
+        this.runAnalysis('multiCriteria', () => {
+            const [weightedSum, topsis, vikor] = criteriaConfig.map(config =>
+                this.resultsAnalyzer.getRecommendationsByType(config.type)[0].details);
+            const failed = [weightedSum, topsis, vikor].find(result => result.error);
+            if (failed) {
+                throw new Error(failed.error);
+            }
+            
+            return {
+                strategies: [...this.matrix.strategies],
+                indicators: [...this.matrix.states],
+                weights: weightedSum.weights,
+                directions,
+                normalization,
+                v,
+                normalized: weightedSum.normalized,
+                methods: { weightedSum, topsis, vikor },
+                type: 'multiCriteria'
+            };
+        });
+    }
+
+    /**
+     * Расчет набора критериев и добавление их рекомендаций
+     * @param {Array} criteriaConfig - типы критериев и их параметры
+     */
+    addCriteriaRecommendations(criteriaConfig) {
         criteriaConfig.forEach(config => {
             try {
                 const criterion = CriteriaFactory.createCriterion(config.type, config.params);
-                const result = criterion.calculate(this.matrix);
-                
-                // Используем стратегию из результата или получаем по индексу
-                let strategyName = result.strategy;
-                if (typeof result.strategyIndex === 'number' && strategies[result.strategyIndex]) {
-                    strategyName = strategies[result.strategyIndex];
-                }
-                
-                this.resultsAnalyzer.addRecommendation(
-                    result.name,
-                    strategyName,
-                    config.type,
-                    result
-                );
-                
+                const result = criterion.calculate(this.getAnalysisMatrix());
+                this.resultsAnalyzer.addRecommendation(result.name, result.strategy, config.type, result);
             } catch (error) {
                 console.error(`Error calculating ${config.type}:`, error);
                 this.resultsAnalyzer.addRecommendation(
@@ -521,6 +1798,34 @@ class DecisionAnalysisApp {
         });
     }
 
+    /**
+     * Выполнение дополнительного анализа с сохранением результата в analyses
+     * Ошибка анализа не прерывает расчет критериев и отображается в его разделе
+     * @param {string} type - тип анализа (ключ в analyses)
+     * @param {Function} calculate - функция расчета
+     */
+    runAnalysis(type, calculate) {
+        try {
+            this.analyses[type] = calculate();
+        } catch (error) {
+            console.error(`Error calculating ${type}:`, error);
+            this.analyses[type] = { type, error: error.message };
+        }
+    }
+
+    /**
+     * Решение матрицы как антагонистической игры двух лиц
+     */
+    calculateGameSolution() {
+        try {
+            const solver = new MatrixGameSolver();
+            this.analyses.game = solver.solve(this.getAnalysisMatrix());
+        } catch (error) {
+            console.error('Error solving matrix game:', error);
+            this.analyses.game = { type: 'game', error: error.message };
+        }
+    }
+
     /**
      * Отображение результатов анализа
      */
@@ -528,8 +1833,12 @@ class DecisionAnalysisApp {
         const recommendations = this.resultsAnalyzer.getAllRecommendations();
         const frequency = this.resultsAnalyzer.getFrequencyAnalysis();
         const final = this.resultsAnalyzer.getFinalRecommendation();
-        
-        this.uiManager.showResults(recommendations, frequency, final, this.selectedCondition);
+
+        // Методы многокритериальной оценки учитывают направление каждого показателя отдельно
+        const orientation = this.selectedCondition === 'multicriteria' ? 'max' : this.getAnalysisMatrix().orientation;
+        this.uiManager.showResults(
+            recommendations, frequency, final, this.selectedCondition, this.analyses, orientation
+        );
         
         // Привязываем обработчики для иконок информации (на всякий случай)
         setTimeout(() => {
@@ -542,6 +1851,7 @@ class DecisionAnalysisApp {
             recommendations,
             frequency,
             final,
+            analyses: this.analyses,
             analysisType: this.selectedCondition
         });
     }
@@ -579,10 +1889,175 @@ class DecisionAnalysisApp {
             return;
         }
         
-        const description = CriteriaInfoService.getFormattedDescription(criterionKey);
+        const description = CriteriaInfoService.getFormattedDescription(criterionKey, this.matrix.orientation);
         this.uiManager.showModal(info.name, description);
     }
 
+    /**
+     * Показ или скрытие редактора дерева решений
+     */
+    toggleDecisionTree() {
+        const editor = document.getElementById('tree-editor');
+        const visible = editor.style.display !== 'none';
+        editor.style.display = visible ? 'none' : 'block';
+        document.getElementById('tree-toggle').textContent = visible ? 'Открыть редактор дерева' : 'Скрыть редактор дерева';
+        if (!visible) this.renderDecisionTree();
+    }
+
+    /**
+     * Решение дерева и обновление схемы, формы узла и оптимальной политики
+     */
+    renderDecisionTree() {
+        try {
+            const solver = new DecisionTreeSolver({
+                criterion: this.treeCriterion,
+                alpha: parseFloat(document.getElementById('alpha').value)
+            });
+            this.treeSolution = solver.solve(this.decisionTree);
+        } catch (error) {
+            this.treeSolution = { type: 'decisionTree', error: error.message };
+        }
+        
+        const solution = this.treeSolution.error ? null : this.treeSolution;
+        document.getElementById('tree-chart').innerHTML =
+            this.uiManager.createDecisionTreeSVG(this.decisionTree, solution, this.selectedTreeNode);
+        document.getElementById('tree-node-editor').innerHTML =
+            this.uiManager.createTreeNodeEditor(this.decisionTree, this.selectedTreeNode);
+        document.getElementById('tree-solution').innerHTML =
+            this.uiManager.generateDecisionTreeHTML(this.treeSolution);
+    }
+
+    /**
+     * Выбор узла дерева для редактирования
+     * @param {string} id - идентификатор узла
+     */
+    selectTreeNode(id) {
+        this.selectedTreeNode = id;
+        this.renderDecisionTree();
+    }
+
+    /**
+     * Добавление ветви к выбранному узлу
+     * @param {string} type - тип нового узла
+     */
+    addTreeNode(type) {
+        try {
+            const node = this.decisionTree.addNode(this.selectedTreeNode, type);
+            this.selectedTreeNode = node.id;
+            this.renderDecisionTree();
+        } catch (error) {
+            this.uiManager.showError(`Ошибка дерева решений: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Применение изменений выбранного узла из формы
+     */
+    updateTreeNode() {
+        const payoff = parseFloat(document.getElementById('tree-node-payoff').value);
+        const probabilityInput = document.getElementById('tree-node-probability');
+        const probability = probabilityInput ? parseFloat(probabilityInput.value) : undefined;
+        
+        if (isNaN(payoff)) {
+            this.uiManager.showError('Результат узла должен быть числом', 'error');
+            return;
+        }
+        if (probabilityInput && (isNaN(probability) || probability < 0 || probability > 1)) {
+            this.uiManager.showError('Вероятность исхода должна быть числом от 0 до 1', 'error');
+            return;
+        }
+        
+        try {
+            this.decisionTree.updateNode(this.selectedTreeNode, {
+                name: document.getElementById('tree-node-name').value.trim(),
+                type: document.getElementById('tree-node-type').value,
+                payoff,
+                probability
+            });
+            this.renderDecisionTree();
+        } catch (error) {
+            this.uiManager.showError(`Ошибка дерева решений: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Удаление выбранного узла вместе с его поддеревом
+     */
+    removeTreeNode() {
+        try {
+            const parentId = this.decisionTree.getNode(this.selectedTreeNode).parentId;
+            this.decisionTree.removeNode(this.selectedTreeNode);
+            this.selectedTreeNode = parentId;
+            this.renderDecisionTree();
+        } catch (error) {
+            this.uiManager.showError(`Ошибка дерева решений: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Импорт матрицы шага 1 как одноэтапного поддерева выбранного узла
+     * Используются введенные вероятности состояний, при их отсутствии - равные
+     */
+    importMatrixToTree() {
+        if (!this.matrix.validate()) {
+            this.uiManager.showError('Пожалуйста, заполните все значения матрицы корректными числами', 'error');
+            return;
+        }
+        
+        const sum = this.probabilities.reduce((a, b) => a + b, 0);
+        const probabilities = this.probabilities.length === this.matrix.statesCount && sum > 0
+            ? this.getNormalizedProbabilities()
+            : Array(this.matrix.statesCount).fill(1 / this.matrix.statesCount);
+        
+        try {
+            this.decisionTree.importMatrix(this.selectedTreeNode, this.matrix, probabilities);
+            document.getElementById('tree-orientation').value = this.decisionTree.orientation;
+            this.renderDecisionTree();
+            this.uiManager.showError('Матрица решений добавлена в дерево', 'success');
+        } catch (error) {
+            this.uiManager.showError(`Ошибка импорта матрицы: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Выбор критерия свертки исходов в случайных узлах
+     * @param {string} criterion - тип критерия
+     */
+    setTreeCriterion(criterion) {
+        this.treeCriterion = criterion;
+        this.renderDecisionTree();
+    }
+
+    /**
+     * Установка направления оптимизации дерева
+     * @param {string} orientation - 'max' (выигрыши) или 'min' (затраты/потери)
+     */
+    setTreeOrientation(orientation) {
+        this.decisionTree.orientation = orientation;
+        this.renderDecisionTree();
+    }
+
+    /**
+     * Удаление всех ветвей дерева
+     */
+    resetDecisionTree() {
+        this.decisionTree = new DecisionTree(document.getElementById('tree-orientation').value);
+        this.selectedTreeNode = this.decisionTree.rootId;
+        this.renderDecisionTree();
+    }
+
+    /**
+     * Экспорт дерева решений в JSON файл (в той же структуре, что и экспорт результатов)
+     */
+    exportDecisionTree() {
+        try {
+            this.downloadJSON(this.createExportData(), 'decision-tree');
+            this.uiManager.showError('Дерево решений экспортировано в JSON файл', 'success');
+        } catch (error) {
+            this.uiManager.showError(`Ошибка экспорта: ${error.message}`, 'error');
+        }
+    }
+
     /**
      * Сброс анализа и возврат к началу
      */
@@ -596,10 +2071,30 @@ class DecisionAnalysisApp {
         this.currentStep = 1;
         this.selectedCondition = '';
         this.probabilities = [];
+        this.probabilityMode = 'exact';
+        this.probabilityIntervals = { lower: [], upper: [] };
+        this.probabilityRanks = [];
         this.alpha = 0.5;
-        
+        this.lambda = 0.5;
+        this.riskAversion = 1;
+        this.owa = { mode: 'orness', orness: 0.5, weights: null };
+        this.utility = { type: 'linear', coefficient: null, points: null };
+        this.simulation = { enabled: false, iterations: 10000, seed: 12345 };
+        this.experiment = { enabled: false, cost: 0, signals: [], likelihoods: [] };
+        this.multiCriteria = { weights: [], directions: [], normalization: 'minmax', v: 0.5 };
+        this.ahp = { judgements: null, result: null };
+        this.gameMode = false;
+        this.dominanceMode = 'none';
+        this.analyses = {};
+        this.treeCriterion = 'expected';
+
         // Сброс компонентов
         this.matrix = new DecisionMatrix();
+        this.decisionTree = new DecisionTree();
+        this.selectedTreeNode = this.decisionTree.rootId;
+        this.treeSolution = null;
+        this.reducedMatrix = null;
+        this.utilityMatrix = null;
         this.resultsAnalyzer.clear();
         
         // Сброс UI элементов
@@ -607,7 +2102,37 @@ class DecisionAnalysisApp {
         document.getElementById('states').value = 5;
         document.getElementById('alpha').value = 0.5;
         document.getElementById('alpha-value').textContent = '0.5';
-        
+        document.getElementById('lambda').value = 0.5;
+        document.getElementById('lambda-value').textContent = '0.5';
+        document.getElementById('risk-aversion').value = 1;
+        document.getElementById('simulation-enabled').checked = false;
+        document.getElementById('simulation-iterations').value = 10000;
+        document.getElementById('simulation-seed').value = 12345;
+        document.getElementById('dist-params').value = '';
+        document.getElementById('experiment-enabled').checked = false;
+        document.getElementById('experiment-signals').value = 2;
+        document.getElementById('experiment-cost').value = 0;
+        document.getElementById('mc-normalization').value = 'minmax';
+        document.getElementById('vikor-v').value = 0.5;
+        document.getElementById('vikor-v-value').textContent = '0.5';
+        document.getElementById('tree-criterion').value = 'expected';
+        document.getElementById('tree-orientation').value = 'max';
+        if (document.getElementById('tree-editor').style.display !== 'none') {
+            this.renderDecisionTree();
+        }
+        document.getElementById('probability-mode').value = 'exact';
+        this.setProbabilityMode('exact');
+        document.getElementById('owa-mode').value = 'orness';
+        document.getElementById('owa-orness').value = 0.5;
+        document.getElementById('owa-weights').value = '';
+        document.getElementById('orientation').value = 'max';
+        document.getElementById('game-mode').checked = false;
+        document.getElementById('dominance-mode').value = 'none';
+        document.getElementById('utility-type').value = 'linear';
+        document.getElementById('utility-coefficient').value = 1;
+        document.getElementById('utility-points').value = '';
+        this.updateUtilityPreview();
+
         this.createMatrix();
         
         document.querySelectorAll('.condition-card').forEach(card => {
@@ -616,6 +2141,10 @@ class DecisionAnalysisApp {
         
         document.getElementById('hurwitz-param').style.display = 'none';
         document.getElementById('probability-inputs').style.display = 'none';
+        document.getElementById('multicriteria-inputs').style.display = 'none';
+        ['game-param', 'dominance-param', 'utility-param'].forEach(id => {
+            document.getElementById(id).style.display = 'block';
+        });
         
         this.goToStep(1);
         
@@ -627,37 +2156,223 @@ class DecisionAnalysisApp {
      */
     exportResults() {
         try {
-            const data = {
-                matrix: this.matrix.getMatrixData(),
-                analysis: {
-                    type: this.selectedCondition,
-                    alpha: this.selectedCondition === 'uncertainty' ? this.alpha : null,
-                    probabilities: this.selectedCondition === 'risk' ? this.probabilities : null
-                },
-                results: JSON.parse(this.resultsAnalyzer.exportToJSON()),
-                timestamp: new Date().toISOString(),
-                version: '2.0.0'
-            };
-            
-            const jsonString = JSON.stringify(data, null, 2);
-            const blob = new Blob([jsonString], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `decision-analysis-${new Date().toISOString().slice(0, 10)}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
+            this.downloadJSON(this.createExportData(), 'decision-analysis');
             this.uiManager.showError('Результаты успешно экспортированы в JSON файл', 'success');
-            
         } catch (error) {
             this.uiManager.showError(`Ошибка экспорта: ${error.message}`, 'error');
         }
     }
 
+    /**
+     * Формирование данных для экспорта: матрица, параметры, результаты и дерево решений
+     * Сохраняются все параметры и текущий шаг, чтобы файл можно было открыть и продолжить анализ
+     * (формат описан схемой SessionImporter)
+     * @returns {object} - данные для JSON файла
+     */
+    createExportData() {
+        return {
+            session: { step: this.currentStep },
+            matrix: this.matrix.getMatrixData(),
+            analysis: {
+                type: this.selectedCondition,
+                alpha: this.alpha,
+                owa: this.owa,
+                probabilityMode: this.probabilityMode,
+                probabilities: this.probabilities,
+                probabilityIntervals: this.probabilityIntervals,
+                probabilityRanks: this.probabilityRanks,
+                lambda: this.lambda,
+                riskAversion: this.riskAversion,
+                simulation: this.simulation,
+                experiment: this.experiment,
+                multiCriteria: this.multiCriteria,
+                ahp: this.ahp.result,
+                utility: this.utility,
+                gameMode: this.gameMode,
+                dominanceMode: this.dominanceMode
+            },
+            results: JSON.parse(this.resultsAnalyzer.exportToJSON()),
+            analyses: this.analyses,
+            decisionTree: {
+                criterion: this.treeCriterion,
+                tree: this.decisionTree.toJSON(),
+                solution: this.treeSolution
+            },
+            timestamp: new Date().toISOString(),
+            version: new SessionImporter().currentVersion
+        };
+    }
+
+    /**
+     * Открытие сохраненного анализа из JSON файла экспорта
+     * @param {File} file - выбранный файл
+     */
+    async openSession(file) {
+        const input = document.getElementById('session-file');
+        if (input) input.value = '';
+        if (!file) return;
+        
+        try {
+            const { data, migratedFrom } = new SessionImporter().read(await file.text());
+            this.restoreSession(data);
+            
+            const migrationNote = migratedFrom ? ` (формат версии ${migratedFrom} обновлен)` : '';
+            if (!this.matrix.validate()) {
+                this.uiManager.showError(
+                    `Анализ открыт${migrationNote}, но в матрице есть незаполненные ячейки. Заполните их, чтобы продолжить`,
+                    'warning'
+                );
+            } else {
+                this.uiManager.showError(`Анализ «${file.name}» открыт${migrationNote}`, 'success');
+            }
+        } catch (error) {
+            this.uiManager.showError(`Не удалось открыть анализ «${file.name}»: ${error.message}`, 'error');
+            console.error('Error opening analysis:', error);
+        }
+    }
+
+    /**
+     * Восстановление матрицы, условий и параметров из проверенных данных файла
+     * Сохраненные результаты не переносятся: при открытии на шаге 3 расчет выполняется заново
+     * @param {object} data - данные текущей версии формата (после SessionImporter.read)
+     */
+    restoreSession(data) {
+        const { matrix: matrixData, analysis, decisionTree, session } = data;
+        
+        // Матрица и дерево собираются до изменения состояния, чтобы ошибка не оставила сессию наполовину открытой
+        const matrix = new DecisionMatrix();
+        matrix.loadMatrixData(matrixData);
+        const tree = decisionTree.tree ? DecisionTree.fromJSON(decisionTree.tree) : new DecisionTree();
+        const toNumbers = list => list.map(value => (value === null ? NaN : value));
+        
+        this.matrix = matrix;
+        this.selectedCondition = analysis.type;
+        this.probabilityMode = analysis.probabilityMode;
+        this.probabilities = [...analysis.probabilities];
+        this.probabilityIntervals = {
+            lower: [...analysis.probabilityIntervals.lower],
+            upper: [...analysis.probabilityIntervals.upper]
+        };
+        this.probabilityRanks = toNumbers(analysis.probabilityRanks);
+        this.alpha = analysis.alpha;
+        this.lambda = analysis.lambda;
+        this.riskAversion = analysis.riskAversion;
+        this.owa = { ...analysis.owa };
+        this.utility = { ...analysis.utility };
+        this.simulation = { ...analysis.simulation };
+        this.experiment = {
+            ...analysis.experiment,
+            signals: [...analysis.experiment.signals],
+            likelihoods: analysis.experiment.likelihoods.map(toNumbers)
+        };
+        this.multiCriteria = {
+            ...analysis.multiCriteria,
+            weights: [...analysis.multiCriteria.weights],
+            directions: [...analysis.multiCriteria.directions]
+        };
+        this.ahp = {
+            judgements: analysis.ahp && analysis.ahp.matrix ? analysis.ahp.matrix.map(row => [...row]) : null,
+            result: null
+        };
+        this.gameMode = analysis.gameMode;
+        this.dominanceMode = analysis.dominanceMode;
+        this.treeCriterion = decisionTree.criterion;
+        this.decisionTree = tree;
+        this.selectedTreeNode = tree.rootId;
+        this.treeSolution = null;
+        this.reducedMatrix = null;
+        this.utilityMatrix = null;
+        this.analyses = {};
+        this.resultsAnalyzer.clear();
+        
+        this.restoreParameterControls();
+        this.renderMatrix();
+        if (document.getElementById('tree-editor').style.display !== 'none') {
+            this.renderDecisionTree();
+        }
+        
+        document.querySelectorAll('.condition-card').forEach(card => {
+            card.classList.toggle('selected', card.getAttribute('onclick').includes(`'${analysis.type}'`));
+        });
+        if (analysis.type) {
+            this.selectCondition(analysis.type);
+        } else {
+            ['hurwitz-param', 'probability-inputs', 'multicriteria-inputs', 'ahp-inputs'].forEach(id => {
+                document.getElementById(id).style.display = 'none';
+            });
+        }
+        
+        const step = this.matrix.validate() ? session.step : 1;
+        this.goToStep(step === 3 && !analysis.type ? 2 : step);
+    }
+
+    /**
+     * Заполнение полей шагов 1 и 2 значениями восстановленных параметров
+     */
+    restoreParameterControls() {
+        const setValue = (id, value) => {
+            document.getElementById(id).value = value;
+        };
+        
+        setValue('strategies', this.matrix.strategiesCount);
+        setValue('states', this.matrix.statesCount);
+        setValue('orientation', this.matrix.orientation);
+        setValue('alpha', this.alpha);
+        document.getElementById('alpha-value').textContent = this.alpha;
+        setValue('lambda', this.lambda);
+        document.getElementById('lambda-value').textContent = this.lambda;
+        setValue('risk-aversion', this.riskAversion);
+        
+        setValue('owa-mode', this.owa.mode);
+        setValue('owa-orness', this.owa.orness);
+        setValue('owa-weights', this.owa.mode === 'manual' && this.owa.weights ? this.owa.weights.join('; ') : '');
+        
+        document.getElementById('simulation-enabled').checked = this.simulation.enabled;
+        setValue('simulation-iterations', this.simulation.iterations);
+        setValue('simulation-seed', this.simulation.seed);
+        document.getElementById('experiment-enabled').checked = this.experiment.enabled;
+        setValue('experiment-signals', Math.max(2, this.experiment.signals.length));
+        setValue('experiment-cost', this.experiment.cost);
+        
+        setValue('mc-normalization', this.multiCriteria.normalization);
+        setValue('vikor-v', this.multiCriteria.v);
+        document.getElementById('vikor-v-value').textContent = this.multiCriteria.v;
+        
+        document.getElementById('game-mode').checked = this.gameMode;
+        setValue('dominance-mode', this.dominanceMode);
+        setValue('utility-type', this.utility.type);
+        if (this.utility.coefficient !== null) {
+            setValue('utility-coefficient', this.utility.coefficient);
+        }
+        setValue('utility-points', this.utility.points ? this.utility.points.map(([x, u]) => `${x}:${u}`).join('; ') : '');
+        setValue('tree-criterion', this.treeCriterion);
+        setValue('tree-orientation', this.decisionTree.orientation);
+        
+        setValue('probability-mode', this.probabilityMode);
+        this.setProbabilityMode(this.probabilityMode);
+        this.updateOwaPreview();
+        this.updateUtilityPreview();
+    }
+
+    /**
+     * Сохранение данных в JSON файл
+     * @param {object} data - данные для сохранения
+     * @param {string} prefix - начало имени файла
+     */
+    downloadJSON(data, prefix) {
+        const jsonString = JSON.stringify(data, null, 2);
+        const blob = new Blob([jsonString], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${prefix}-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Получение текущего состояния приложения
      * @returns {object} - состояние приложения
@@ -667,8 +2382,39 @@ class DecisionAnalysisApp {
             currentStep: this.currentStep,
             selectedCondition: this.selectedCondition,
             alpha: this.alpha,
+            lambda: this.lambda,
+            riskAversion: this.riskAversion,
+            owa: { ...this.owa },
+            utility: { ...this.utility },
+            simulation: { ...this.simulation },
+            multiCriteria: {
+                ...this.multiCriteria,
+                weights: [...this.multiCriteria.weights],
+                directions: [...this.multiCriteria.directions]
+            },
+            ahp: {
+                judgements: this.ahp.judgements ? this.ahp.judgements.map(row => [...row]) : null,
+                result: this.ahp.result
+            },
+            experiment: {
+                ...this.experiment,
+                signals: [...this.experiment.signals],
+                likelihoods: this.experiment.likelihoods.map(row => [...row])
+            },
             probabilities: [...this.probabilities],
+            probabilityMode: this.probabilityMode,
+            probabilityIntervals: {
+                lower: [...this.probabilityIntervals.lower],
+                upper: [...this.probabilityIntervals.upper]
+            },
+            probabilityRanks: [...this.probabilityRanks],
+            gameMode: this.gameMode,
+            dominanceMode: this.dominanceMode,
+            treeCriterion: this.treeCriterion,
+            decisionTree: this.decisionTree.toJSON(),
             matrix: this.matrix.getMatrixData(),
+            reducedMatrix: this.reducedMatrix ? this.reducedMatrix.getMatrixData() : null,
+            utilityMatrix: this.utilityMatrix ? this.utilityMatrix.getMatrixData() : null,
             results: this.resultsAnalyzer.getStatistics()
         };
     }
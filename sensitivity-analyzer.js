@@ -0,0 +1,226 @@
+/**
+ * Анализатор чувствительности рекомендаций к параметрам критериев
+ */
+class SensitivityAnalyzer {
+    /**
+     * Конструктор анализатора
+     * @param {number} epsilon - точность сравнения значений
+     */
+    constructor(epsilon = 1e-9) {
+        this.epsilon = epsilon;
+    }
+
+    /**
+     * Разбиение отрезка [0, 1] на интервалы с постоянной рекомендацией
+     * Значения критерия для стратегий линейны по параметру t, поэтому выбор может меняться
+     * только в точках пересечения прямых; внутри интервала рекомендацию определяет сам критерий
+     * @param {Array} lines - прямые стратегий { at0, at1 } (значения при t = 0 и t = 1)
+     * @param {Function} choose - расчет критерия при заданном t
+     * @returns {Array} - интервалы { from, to, index, strategy }
+     */
+    splitUnitInterval(lines, choose) {
+        const breakpoints = [0, 1];
+        for (let i = 0; i < lines.length; i++) {
+            for (let k = i + 1; k < lines.length; k++) {
+                const slopeDiff = (lines[i].at1 - lines[i].at0) - (lines[k].at1 - lines[k].at0);
+                if (Math.abs(slopeDiff) <= this.epsilon) continue;
+                const t = (lines[k].at0 - lines[i].at0) / slopeDiff;
+                if (t > this.epsilon && t < 1 - this.epsilon) {
+                    breakpoints.push(t);
+                }
+            }
+        }
+        breakpoints.sort((a, b) => a - b);
+        const uniquePoints = breakpoints.filter((t, idx) =>
+            idx === 0 || t - breakpoints[idx - 1] > this.epsilon);
+
+        const intervals = [];
+        for (let idx = 0; idx < uniquePoints.length - 1; idx++) {
+            const from = uniquePoints[idx];
+            const to = uniquePoints[idx + 1];
+            const result = choose((from + to) / 2);
+            const last = intervals[intervals.length - 1];
+
+            if (last && last.index === result.optimalIndex) {
+                last.to = to;
+            } else {
+                intervals.push({ from, to, index: result.optimalIndex, strategy: result.strategy });
+            }
+        }
+        return intervals;
+    }
+
+    /**
+     * Анализ чувствительности критерия Гурвица к коэффициенту оптимизма α
+     * Значение критерия для каждой стратегии - прямая H_i(α) = worst_i + α·(best_i − worst_i)
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @returns {object} - прямые стратегий, интервалы α и точки переключения
+     */
+    hurwitzSweep(matrix) {
+        const lines = [];
+        for (let i = 0; i < matrix.strategiesCount; i++) {
+            lines.push({
+                strategy: matrix.strategies[i],
+                worst: matrix.getRowWorst(i),
+                best: matrix.getRowBest(i)
+            });
+        }
+
+        const intervals = this.splitUnitInterval(
+            lines.map(line => ({ at0: line.worst, at1: line.best })),
+            alpha => new HurwitzCriterion(alpha).calculate(matrix)
+        );
+
+        const switchPoints = intervals.slice(1).map((interval, idx) => {
+            const previous = intervals[idx];
+            const line = lines[interval.index];
+            return {
+                alpha: interval.from,
+                from: previous.strategy,
+                to: interval.strategy,
+                value: line.worst + interval.from * (line.best - line.worst)
+            };
+        });
+
+        return {
+            lines,
+            intervals,
+            switchPoints,
+            orientation: matrix.orientation,
+            type: 'hurwitzSensitivity'
+        };
+    }
+
+    /**
+     * Изменение вероятности одного состояния с пропорциональным пересчетом остальных
+     * Если остальные вероятности нулевые, остаток распределяется между ними поровну
+     * @param {Array} probabilities - исходные вероятности (сумма равна 1)
+     * @param {number} stateIndex - индекс изменяемого состояния
+     * @param {number} value - новая вероятность состояния
+     * @returns {Array} - пересчитанные вероятности
+     */
+    rescaleProbabilities(probabilities, stateIndex, value) {
+        const rest = 1 - probabilities[stateIndex];
+        const othersCount = probabilities.length - 1;
+
+        return probabilities.map((p, j) => {
+            if (j === stateIndex) return value;
+            return rest > this.epsilon ? p * (1 - value) / rest : (1 - value) / othersCount;
+        });
+    }
+
+    /**
+     * Интервалы устойчивости рекомендации критерия Байеса
+     * Для каждого состояния вероятность p_j изменяется от 0 до 1, остальные вероятности
+     * пересчитываются пропорционально; ожидаемые значения при этом линейны по p_j
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @param {Array} probabilities - нормированные вероятности состояний
+     * @returns {object} - текущая рекомендация и интервалы устойчивости по состояниям
+     */
+    bayesStability(matrix, probabilities) {
+        const current = new BayesCriterion(probabilities).calculate(matrix);
+        const expected = (p, i) => matrix.data[i].reduce((sum, value, j) => sum + value * p[j], 0);
+
+        const states = matrix.states.map((state, j) => {
+            const zero = this.rescaleProbabilities(probabilities, j, 0);
+            const lines = matrix.data.map((row, i) => ({ at0: expected(zero, i), at1: row[j] }));
+            const intervals = this.splitUnitInterval(
+                lines,
+                t => new BayesCriterion(this.rescaleProbabilities(probabilities, j, t)).calculate(matrix)
+            );
+
+            const p = probabilities[j];
+            const containing = intervals.filter(interval =>
+                p >= interval.from - this.epsilon && p <= interval.to + this.epsilon);
+            const stable = containing.find(interval => interval.index === current.optimalIndex) || containing[0];
+            const position = intervals.indexOf(stable);
+
+            return {
+                state,
+                index: j,
+                probability: p,
+                from: stable.from,
+                to: stable.to,
+                strategy: stable.strategy,
+                lowerStrategy: position > 0 ? intervals[position - 1].strategy : null,
+                upperStrategy: position < intervals.length - 1 ? intervals[position + 1].strategy : null,
+                intervals
+            };
+        });
+
+        return {
+            strategy: current.strategy,
+            optimalIndex: current.optimalIndex,
+            probabilities: [...probabilities],
+            states,
+            simplex: matrix.statesCount === 3 ? this.bayesSimplexRegions(matrix, probabilities) : null,
+            orientation: matrix.orientation,
+            type: 'bayesSensitivity'
+        };
+    }
+
+    /**
+     * Области оптимальности стратегий на симплексе вероятностей для трех состояний
+     * Область стратегии i - выпуклый многоугольник {p : E_i(p) не хуже E_k(p) для всех k},
+     * получаемый отсечением треугольника полуплоскостями
+     * @param {DecisionMatrix} matrix - матрица решений с тремя состояниями
+     * @param {Array} probabilities - текущие вероятности (точка на симплексе)
+     * @returns {object} - многоугольники областей в барицентрических координатах
+     */
+    bayesSimplexRegions(matrix, probabilities) {
+        if (matrix.statesCount !== 3) {
+            throw new Error('Probability simplex is available for exactly 3 states');
+        }
+
+        const sign = matrix.isMinimization() ? -1 : 1;
+        // E_i(p) = a_i3 + p1·(a_i1 − a_i3) + p2·(a_i2 − a_i3), точка симплекса задается (p1, p2)
+        const planes = matrix.data.map(row => [row[0] - row[2], row[1] - row[2], row[2]]);
+
+        const regions = [];
+        planes.forEach((plane, i) => {
+            let polygon = [[1, 0], [0, 1], [0, 0]];
+            for (let k = 0; k < planes.length && polygon.length > 0; k++) {
+                if (k === i) continue;
+                const diff = plane.map((c, idx) => sign * (c - planes[k][idx]));
+                polygon = this.clipPolygon(polygon, ([p1, p2]) => diff[0] * p1 + diff[1] * p2 + diff[2]);
+            }
+
+            if (polygon.length >= 3) {
+                regions.push({
+                    index: i,
+                    strategy: matrix.strategies[i],
+                    polygon: polygon.map(([p1, p2]) => [p1, p2, 1 - p1 - p2])
+                });
+            }
+        });
+
+        return {
+            states: [...matrix.states],
+            current: [...probabilities],
+            regions
+        };
+    }
+
+    /**
+     * Отсечение выпуклого многоугольника полуплоскостью f(p) ≥ 0 (алгоритм Сазерленда-Ходжмана)
+     * @param {Array} polygon - вершины многоугольника [[x, y], ...]
+     * @param {Function} f - линейная функция полуплоскости
+     * @returns {Array} - вершины отсеченного многоугольника
+     */
+    clipPolygon(polygon, f) {
+        const result = [];
+        for (let idx = 0; idx < polygon.length; idx++) {
+            const a = polygon[idx];
+            const b = polygon[(idx + 1) % polygon.length];
+            const fa = f(a);
+            const fb = f(b);
+
+            if (fa >= -this.epsilon) result.push(a);
+            if ((fa > this.epsilon && fb < -this.epsilon) || (fa < -this.epsilon && fb > this.epsilon)) {
+                const t = fa / (fa - fb);
+                result.push([a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])]);
+            }
+        }
+        return result;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,344 @@
+/**
+ * Чтение сохраненного анализа (JSON файла экспорта) для восстановления сессии
+ * Проверяет файл по схеме текущей версии формата и переводит старые версии в текущую
+ */
+class SessionImporter {
+    /**
+     * Конструктор импортера
+     */
+    constructor() {
+        this.currentVersion = '2.1.0';
+
+        // Миграции применяются последовательно, пока версия файла не станет текущей
+        this.migrations = [
+            { from: '2.0.0', to: '2.1.0', migrate: data => this.migrateFrom200(data) }
+        ];
+
+        const number = { type: 'number' };
+        const nullableNumber = { type: 'number', nullable: true };
+        const numbers = { type: 'array', items: number };
+        this.schema = {
+            type: 'object',
+            properties: {
+                version: { type: 'string' },
+                timestamp: { type: 'string', nullable: true, optional: true },
+                session: {
+                    type: 'object',
+                    properties: { step: { type: 'number', enum: [1, 2, 3] } }
+                },
+                matrix: {
+                    type: 'object',
+                    properties: {
+                        strategies: { type: 'array', items: { type: 'string' } },
+                        states: { type: 'array', items: { type: 'string' } },
+                        units: { type: 'array', items: { type: 'string' } },
+                        descriptions: { type: 'array', items: { type: 'string' } },
+                        // Непрочитанные ячейки (NaN) сохраняются в JSON как null
+                        data: { type: 'array', items: { type: 'array', items: nullableNumber } },
+                        distributions: { type: 'array', items: { type: 'array', items: { type: 'object', nullable: true } } },
+                        orientation: { type: 'string', enum: ['max', 'min'] }
+                    }
+                },
+                analysis: {
+                    type: 'object',
+                    properties: {
+                        type: { type: 'string', enum: ['', 'uncertainty', 'risk', 'multicriteria'] },
+                        alpha: number,
+                        owa: {
+                            type: 'object',
+                            properties: {
+                                mode: { type: 'string', enum: ['orness', 'manual'] },
+                                orness: number,
+                                weights: { ...numbers, nullable: true }
+                            }
+                        },
+                        probabilityMode: { type: 'string', enum: ['exact', 'interval', 'ordinal'] },
+                        probabilities: numbers,
+                        probabilityIntervals: {
+                            type: 'object',
+                            properties: { lower: numbers, upper: numbers }
+                        },
+                        probabilityRanks: { type: 'array', items: nullableNumber },
+                        lambda: number,
+                        riskAversion: number,
+                        simulation: {
+                            type: 'object',
+                            properties: { enabled: { type: 'boolean' }, iterations: number, seed: number }
+                        },
+                        experiment: {
+                            type: 'object',
+                            properties: {
+                                enabled: { type: 'boolean' },
+                                cost: number,
+                                signals: { type: 'array', items: { type: 'string' } },
+                                likelihoods: { type: 'array', items: { type: 'array', items: nullableNumber } }
+                            }
+                        },
+                        multiCriteria: {
+                            type: 'object',
+                            properties: {
+                                weights: numbers,
+                                directions: { type: 'array', items: { type: 'string', enum: ['benefit', 'cost'] } },
+                                normalization: { type: 'string', enum: ['minmax', 'vector', 'zscore'] },
+                                v: number
+                            }
+                        },
+                        ahp: {
+                            type: 'object',
+                            nullable: true,
+                            properties: { matrix: { type: 'array', items: numbers } }
+                        },
+                        utility: {
+                            type: 'object',
+                            properties: {
+                                type: { type: 'string', enum: ['linear', 'exponential', 'logarithmic', 'power', 'piecewise'] },
+                                coefficient: nullableNumber,
+                                points: { type: 'array', nullable: true, items: numbers }
+                            }
+                        },
+                        gameMode: { type: 'boolean' },
+                        dominanceMode: { type: 'string', enum: ['none', 'strict', 'weak'] }
+                    }
+                },
+                decisionTree: {
+                    type: 'object',
+                    properties: {
+                        criterion: { type: 'string', enum: ['expected', 'laplace', 'wald', 'maximax', 'hurwitz'] },
+                        tree: { type: 'object', nullable: true }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Сравнение номеров версий вида «major.minor.patch»
+     * @param {string} a - первая версия
+     * @param {string} b - вторая версия
+     * @returns {number} - отрицательное, ноль или положительное число
+     */
+    static compareVersions(a, b) {
+        const pa = String(a).split('.').map(Number);
+        const pb = String(b).split('.').map(Number);
+        for (let idx = 0; idx < 3; idx++) {
+            const diff = (pa[idx] || 0) - (pb[idx] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    /**
+     * Чтение файла анализа: разбор JSON, миграция и проверка по схеме
+     * @param {string} text - содержимое файла
+     * @returns {object} - { data, migratedFrom } - данные текущей версии и исходная версия файла
+     */
+    read(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('File does not contain an exported analysis');
+        }
+
+        const originalVersion = data.version;
+        const migrated = this.migrate(data);
+        const errors = this.validate(migrated);
+        if (errors.length > 0) {
+            const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+            throw new Error(`Invalid analysis file: ${errors.slice(0, 5).join('; ')}${more}`);
+        }
+
+        return {
+            data: migrated,
+            migratedFrom: originalVersion !== this.currentVersion ? originalVersion : null
+        };
+    }
+
+    /**
+     * Перевод данных файла в текущую версию формата
+     * @param {object} data - данные файла
+     * @returns {object} - данные текущей версии
+     */
+    migrate(data) {
+        if (typeof data.version !== 'string' || !/^\d+\.\d+\.\d+$/.test(data.version)) {
+            throw new Error('File does not specify a format version');
+        }
+        if (SessionImporter.compareVersions(data.version, this.currentVersion) > 0) {
+            throw new Error(`File version ${data.version} is newer than supported ${this.currentVersion}`);
+        }
+
+        let result = data;
+        while (result.version !== this.currentVersion) {
+            const migration = this.migrations.find(m => m.from === result.version);
+            if (!migration) {
+                throw new Error(`Unsupported file version ${result.version}`);
+            }
+            result = { ...migration.migrate(result), version: migration.to };
+        }
+        return result;
+    }
+
+    /**
+     * Миграция 2.0.0 → 2.1.0
+     * Под версией 2.0.0 сохранялись и ранние файлы (только тип условий, α и вероятности),
+     * поэтому отсутствующие поля заполняются значениями по умолчанию; шаг анализа, который
+     * в 2.0.0 не сохранялся, определяется по наличию условий и результатов
+     * @param {object} data - данные версии 2.0.0
+     * @returns {object} - данные версии 2.1.0
+     */
+    migrateFrom200(data) {
+        const matrix = data.matrix || {};
+        const states = Array.isArray(matrix.states) ? matrix.states : [];
+        const strategies = Array.isArray(matrix.strategies) ? matrix.strategies : [];
+        const analysis = data.analysis || {};
+        const pick = (value, fallback) => (value === undefined || value === null ? fallback : value);
+        const type = pick(analysis.type, '');
+        const hasResults = Boolean(data.results && Array.isArray(data.results.recommendations) &&
+            data.results.recommendations.length > 0);
+
+        return {
+            ...data,
+            session: { step: type ? (hasResults ? 3 : 2) : 1 },
+            matrix: {
+                ...matrix,
+                units: pick(matrix.units, states.map(() => '')),
+                descriptions: pick(matrix.descriptions, states.map(() => '')),
+                distributions: pick(matrix.distributions, strategies.map(() => states.map(() => null))),
+                orientation: pick(matrix.orientation, 'max')
+            },
+            analysis: {
+                type,
+                alpha: pick(analysis.alpha, 0.5),
+                owa: pick(analysis.owa, { mode: 'orness', orness: 0.5, weights: null }),
+                probabilityMode: pick(analysis.probabilityMode, 'exact'),
+                probabilities: pick(analysis.probabilities, []),
+                probabilityIntervals: pick(analysis.probabilityIntervals, { lower: [], upper: [] }),
+                probabilityRanks: pick(analysis.probabilityRanks, []),
+                lambda: pick(analysis.lambda, 0.5),
+                riskAversion: pick(analysis.riskAversion, 1),
+                simulation: pick(analysis.simulation, { enabled: false, iterations: 10000, seed: 12345 }),
+                experiment: pick(analysis.experiment, { enabled: false, cost: 0, signals: [], likelihoods: [] }),
+                multiCriteria: pick(analysis.multiCriteria, { weights: [], directions: [], normalization: 'minmax', v: 0.5 }),
+                ahp: pick(analysis.ahp, null),
+                utility: pick(analysis.utility, { type: 'linear', coefficient: null, points: null }),
+                gameMode: pick(analysis.gameMode, false),
+                dominanceMode: pick(analysis.dominanceMode, 'none')
+            },
+            decisionTree: {
+                criterion: pick(data.decisionTree && data.decisionTree.criterion, 'expected'),
+                tree: pick(data.decisionTree && data.decisionTree.tree, null)
+            }
+        };
+    }
+
+    /**
+     * Проверка данных текущей версии по схеме и согласованности размеров
+     * @param {object} data - данные файла
+     * @returns {Array} - список ошибок с путями к полям (пустой, если файл корректен)
+     */
+    validate(data) {
+        const errors = [];
+        this.checkNode(data, this.schema, 'file', errors);
+        if (errors.length > 0) return errors;
+
+        const { matrix, analysis } = data;
+        const m = matrix.strategies.length;
+        const n = matrix.states.length;
+        if (m < 2 || n < 2) {
+            errors.push('matrix: at least 2 strategies and 2 states are required');
+        }
+        ['strategies', 'states'].forEach(key => {
+            if (new Set(matrix[key].map(name => name.trim())).size !== matrix[key].length ||
+                matrix[key].some(name => name.trim() === '')) {
+                errors.push(`matrix.${key}: names must be non-empty and unique`);
+            }
+        });
+
+        const checkLength = (list, expected, path) => {
+            if (list.length !== expected) {
+                errors.push(`${path}: expected ${expected} items, got ${list.length}`);
+            }
+        };
+        checkLength(matrix.units, n, 'matrix.units');
+        checkLength(matrix.descriptions, n, 'matrix.descriptions');
+        checkLength(matrix.data, m, 'matrix.data');
+        matrix.data.forEach((row, i) => checkLength(row, n, `matrix.data[${i}]`));
+        checkLength(matrix.distributions, m, 'matrix.distributions');
+        matrix.distributions.forEach((row, i) => {
+            checkLength(row, n, `matrix.distributions[${i}]`);
+            row.forEach((spec, j) => {
+                if (!spec) return;
+                try {
+                    CellDistribution.validate(spec);
+                } catch (error) {
+                    errors.push(`matrix.distributions[${i}][${j}]: ${error.message}`);
+                }
+            });
+        });
+
+        // Параметры по состояниям сохраняются только для выбранных условий; пустой список допустим
+        const checkStateList = (list, path) => {
+            if (list.length > 0) checkLength(list, n, path);
+        };
+        checkStateList(analysis.probabilities, 'analysis.probabilities');
+        checkStateList(analysis.probabilityIntervals.lower, 'analysis.probabilityIntervals.lower');
+        checkStateList(analysis.probabilityIntervals.upper, 'analysis.probabilityIntervals.upper');
+        checkStateList(analysis.probabilityRanks, 'analysis.probabilityRanks');
+        checkStateList(analysis.multiCriteria.weights, 'analysis.multiCriteria.weights');
+        checkStateList(analysis.multiCriteria.directions, 'analysis.multiCriteria.directions');
+        checkStateList(analysis.experiment.likelihoods, 'analysis.experiment.likelihoods');
+        analysis.experiment.likelihoods.forEach((row, j) =>
+            checkLength(row, analysis.experiment.signals.length, `analysis.experiment.likelihoods[${j}]`));
+        if (analysis.ahp && analysis.ahp.matrix) {
+            checkLength(analysis.ahp.matrix, n, 'analysis.ahp.matrix');
+            analysis.ahp.matrix.forEach((row, j) => checkLength(row, n, `analysis.ahp.matrix[${j}]`));
+        }
+
+        if (data.decisionTree.tree) {
+            try {
+                DecisionTree.fromJSON(data.decisionTree.tree);
+            } catch (error) {
+                errors.push(`decisionTree.tree: ${error.message}`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Рекурсивная проверка значения по узлу схемы
+     * Все перечисленные свойства объекта обязательны, если не отмечены optional
+     * @param {*} value - проверяемое значение
+     * @param {object} node - узел схемы { type, nullable, optional, enum, properties, items }
+     * @param {string} path - путь к значению для сообщения об ошибке
+     * @param {Array} errors - накопитель ошибок
+     */
+    checkNode(value, node, path, errors) {
+        if (value === null || value === undefined) {
+            if (!node.nullable) errors.push(`${path}: value is required`);
+            return;
+        }
+
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (actual !== node.type || (node.type === 'number' && !Number.isFinite(value))) {
+            errors.push(`${path}: expected ${node.type}, got ${actual}`);
+            return;
+        }
+        if (node.enum && !node.enum.includes(value)) {
+            errors.push(`${path}: unexpected value ${JSON.stringify(value)}`);
+            return;
+        }
+
+        if (node.type === 'object' && node.properties) {
+            Object.entries(node.properties).forEach(([key, child]) => {
+                if (child.optional && value[key] === undefined) return;
+                this.checkNode(value[key], child, `${path === 'file' ? '' : `${path}.`}${key}`, errors);
+            });
+        }
+        if (node.type === 'array' && node.items) {
+            value.forEach((item, idx) => this.checkNode(item, node.items, `${path}[${idx}]`, errors));
+        }
+    }
+}
\ No newline at end of file
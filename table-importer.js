@@ -0,0 +1,331 @@
+/**
+ * Импорт матрицы решений из таблиц CSV и XLSX
+ * Разбирает файл в прямоугольную таблицу строк, сопоставляет ее с матрицей
+ * и сообщает о ячейках, которые не удалось прочитать как числа
+ */
+class TableImporter {
+    /**
+     * Определение разделителя CSV по первым строкам файла
+     * Выбирается разделитель, дающий одинаковое и наибольшее число полей в строках
+     * @param {string} text - содержимое файла
+     * @returns {string} - ';', ',' или '\t'
+     */
+    static detectDelimiter(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 10);
+        let best = { delimiter: ';', score: -1 };
+        [';', '\t', ','].forEach(delimiter => {
+            const counts = lines.map(line => line.split(delimiter).length);
+            const consistent = counts.every(count => count === counts[0]);
+            const score = counts.length > 0 && counts[0] > 1 ? counts[0] + (consistent ? 100 : 0) : 0;
+            if (score > best.score) best = { delimiter, score };
+        });
+        return best.delimiter;
+    }
+
+    /**
+     * Обозначение столбца электронной таблицы (A, B, ..., Z, AA, ...)
+     * @param {number} index - индекс столбца с нуля
+     * @returns {string} - буквенное обозначение
+     */
+    static columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    /**
+     * Индекс столбца по ссылке на ячейку (например, «AB12»)
+     * @param {string} reference - ссылка на ячейку
+     * @returns {number} - индекс столбца с нуля
+     */
+    static columnIndex(reference) {
+        const letters = reference.match(/^[A-Z]+/i)[0].toUpperCase();
+        return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    }
+
+    /**
+     * Разбор текста CSV с учетом кавычек (RFC 4180)
+     * @param {string} text - содержимое файла
+     * @param {string} delimiter - разделитель полей
+     * @returns {Array} - строки таблицы (массивы строк)
+     */
+    parseCSV(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+        for (let idx = 0; idx < source.length; idx++) {
+            const char = source[idx];
+            if (quoted) {
+                if (char === '"' && source[idx + 1] === '"') {
+                    field += '"';
+                    idx++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[idx + 1] === '\n') idx++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return this.normalizeRows(rows);
+    }
+
+    /**
+     * Приведение таблицы к прямоугольному виду без пустых строк и столбцов в конце
+     * @param {Array} rows - строки таблицы
+     * @returns {Array} - строки одинаковой длины
+     */
+    normalizeRows(rows) {
+        const isEmpty = value => value === undefined || value === null || String(value).trim() === '';
+        const trimmed = [...rows];
+        while (trimmed.length > 0 && trimmed[trimmed.length - 1].every(isEmpty)) {
+            trimmed.pop();
+        }
+
+        let width = 0;
+        trimmed.forEach(row => {
+            for (let col = row.length - 1; col >= width; col--) {
+                if (!isEmpty(row[col])) {
+                    width = col + 1;
+                    break;
+                }
+            }
+        });
+
+        return trimmed.map(row => Array.from({ length: width }, (_, col) => (isEmpty(row[col]) ? '' : row[col])));
+    }
+
+    /**
+     * Разбор числа из ячейки таблицы
+     * Пробелы (в том числе неразрывные) считаются разделителями разрядов; при десятичной запятой
+     * точка не допускается, без нее не допускается запятая, чтобы «12,5» не превратилось в 125
+     * @param {string|number} value - значение ячейки
+     * @param {boolean} decimalComma - true если дробная часть отделяется запятой
+     * @returns {number} - число или NaN, если ячейку прочитать не удалось
+     */
+    parseNumber(value, decimalComma) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : NaN;
+        }
+        let text = String(value).replace(/\s/g, '').replace(/^−/, '-');
+        if (decimalComma) {
+            if (text.includes('.')) return NaN;
+            text = text.replace(',', '.');
+        }
+        if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text)) {
+            return NaN;
+        }
+        return Number(text);
+    }
+
+    /**
+     * Сопоставление таблицы с матрицей решений
+     * @param {Array} rows - строки таблицы
+     * @param {object} options - { headerRow, headerColumn, decimalComma, skippedRows, skippedColumns }
+     * @returns {object} - { strategies, states, data, errors }; ошибки содержат адрес ячейки в таблице
+     */
+    buildTable(rows, options = {}) {
+        const {
+            headerRow = true,
+            headerColumn = true,
+            decimalComma = true,
+            skippedRows = [],
+            skippedColumns = []
+        } = options;
+        const width = rows.length > 0 ? rows[0].length : 0;
+        const dataRows = rows.map((_, r) => r).filter(r => !(headerRow && r === 0) && !skippedRows.includes(r));
+        const dataColumns = Array.from({ length: width }, (_, c) => c)
+            .filter(c => !(headerColumn && c === 0) && !skippedColumns.includes(c));
+
+        const strategies = [];
+        dataRows.forEach((r, i) => {
+            const name = headerColumn ? String(rows[r][0]).trim() : '';
+            strategies.push(DecisionMatrix.uniqueName(strategies, name || DecisionMatrix.defaultStrategyName(i)));
+        });
+        const states = [];
+        dataColumns.forEach((c, j) => {
+            const name = headerRow ? String(rows[0][c]).trim() : '';
+            states.push(DecisionMatrix.uniqueName(states, name || DecisionMatrix.defaultStateName(j)));
+        });
+
+        const errors = [];
+        const data = dataRows.map((r, i) => dataColumns.map((c, j) => {
+            const number = this.parseNumber(rows[r][c], decimalComma);
+            if (isNaN(number)) {
+                errors.push({
+                    cell: `${TableImporter.columnName(c)}${r + 1}`,
+                    row: r,
+                    col: c,
+                    value: rows[r][c],
+                    strategy: strategies[i],
+                    state: states[j]
+                });
+            }
+            return number;
+        }));
+
+        return { strategies, states, data, errors };
+    }
+
+    /**
+     * Чтение первого листа книги XLSX
+     * @param {ArrayBuffer} buffer - содержимое файла
+     * @returns {Promise<Array>} - строки таблицы; числовые ячейки возвращаются числами
+     */
+    async readXLSX(buffer) {
+        const entries = this.readZipDirectory(buffer);
+        const readXml = async path => {
+            if (!entries.has(path)) return null;
+            const text = new TextDecoder('utf-8').decode(await this.extractZipEntry(buffer, entries.get(path)));
+            return new DOMParser().parseFromString(text, 'application/xml');
+        };
+        const elements = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
+        const textOf = node => elements(node, 't').map(t => t.textContent).join('');
+
+        const sharedStrings = [];
+        const stringsXml = await readXml('xl/sharedStrings.xml');
+        if (stringsXml) {
+            elements(stringsXml, 'si').forEach(item => sharedStrings.push(textOf(item)));
+        }
+
+        const sheetXml = await readXml(await this.findFirstSheet(readXml, elements));
+        if (!sheetXml) {
+            throw new Error('Workbook does not contain a worksheet');
+        }
+
+        const rows = [];
+        elements(sheetXml, 'row').forEach((rowNode, position) => {
+            const r = parseInt(rowNode.getAttribute('r')) - 1;
+            const rowIndex = isNaN(r) ? position : r;
+            const row = rows[rowIndex] || (rows[rowIndex] = []);
+            elements(rowNode, 'c').forEach((cell, cellPosition) => {
+                const reference = cell.getAttribute('r');
+                const col = reference ? TableImporter.columnIndex(reference) : cellPosition;
+                const type = cell.getAttribute('t');
+                const valueNode = elements(cell, 'v')[0];
+                const raw = valueNode ? valueNode.textContent : '';
+                if (type === 's') {
+                    row[col] = sharedStrings[parseInt(raw)] ?? '';
+                } else if (type === 'inlineStr') {
+                    row[col] = textOf(cell);
+                } else if (type === 'str' || type === 'e' || type === 'b') {
+                    row[col] = raw;
+                } else {
+                    row[col] = raw === '' ? '' : Number(raw);
+                }
+            });
+        });
+
+        return this.normalizeRows(Array.from(rows, row => row || []));
+    }
+
+    /**
+     * Путь к первому листу книги по описанию книги и ее связям
+     * @param {Function} readXml - чтение XML файла архива
+     * @param {Function} elements - поиск элементов по локальному имени
+     * @returns {Promise<string>} - путь к XML листа внутри архива
+     */
+    async findFirstSheet(readXml, elements) {
+        const fallback = 'xl/worksheets/sheet1.xml';
+        const workbook = await readXml('xl/workbook.xml');
+        const relations = await readXml('xl/_rels/workbook.xml.rels');
+        if (!workbook || !relations) return fallback;
+
+        const sheet = elements(workbook, 'sheet')[0];
+        const id = sheet && Array.from(sheet.attributes).find(attr => attr.localName === 'id')?.value;
+        const relation = elements(relations, 'Relationship').find(rel => rel.getAttribute('Id') === id);
+        if (!relation) return fallback;
+
+        const target = relation.getAttribute('Target');
+        return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+
+    /**
+     * Чтение центрального каталога ZIP-архива
+     * @param {ArrayBuffer} buffer - содержимое архива
+     * @returns {Map} - имя файла → { offset, method, compressedSize }
+     */
+    readZipDirectory(buffer) {
+        const view = new DataView(buffer);
+        let end = -1;
+        for (let offset = buffer.byteLength - 22; offset >= Math.max(0, buffer.byteLength - 65557); offset--) {
+            if (view.getUint32(offset, true) === 0x06054b50) {
+                end = offset;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('File is not a ZIP archive (XLSX)');
+        }
+
+        const entries = new Map();
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const decoder = new TextDecoder('utf-8');
+        for (let idx = 0; idx < count; idx++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupted ZIP central directory');
+            }
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+            entries.set(name, {
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                offset: view.getUint32(offset + 42, true)
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    /**
+     * Извлечение файла из ZIP-архива (без сжатия или deflate)
+     * @param {ArrayBuffer} buffer - содержимое архива
+     * @param {object} entry - запись центрального каталога
+     * @returns {Promise<Uint8Array>} - содержимое файла
+     */
+    async extractZipEntry(buffer, entry) {
+        const view = new DataView(buffer);
+        const nameLength = view.getUint16(entry.offset + 26, true);
+        const extraLength = view.getUint16(entry.offset + 28, true);
+        const bytes = new Uint8Array(buffer, entry.offset + 30 + nameLength + extraLength, entry.compressedSize);
+
+        if (entry.method === 0) {
+            return bytes;
+        }
+        if (entry.method !== 8) {
+            throw new Error(`Unsupported ZIP compression method: ${entry.method}`);
+        }
+        const stream = new ReadableStream({
+            start(controller) {
+                controller.enqueue(bytes);
+                controller.close();
+            }
+        }).pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+}
\ No newline at end of file
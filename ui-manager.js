@@ -45,8 +45,92 @@ class UIManager {
         });
     }
 
+    /**
+     * Экранирование текста для вставки в HTML и значения атрибутов
+     * @param {string} text - исходный текст
+     * @returns {string} - экранированный текст
+     */
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Подпись состояния природы с единицей измерения и описанием во всплывающей подсказке
+     * Атрибут data-state-label позволяет обновить подпись после переименования без перерисовки полей
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @param {number} j - индекс состояния
+     * @returns {string} - HTML код подписи
+     */
+    stateLabelHTML(matrix, j) {
+        const title = matrix.descriptions[j] || matrix.states[j];
+        return `<span data-state-label="${j}" title="${this.escapeHTML(title)}">${this.escapeHTML(matrix.getStateLabel(j))}</span>`;
+    }
+
+    /**
+     * Обновление подписей состояний во всех созданных полях ввода
+     * @param {DecisionMatrix} matrix - матрица решений
+     */
+    updateStateLabels(matrix) {
+        document.querySelectorAll('[data-state-label]').forEach(element => {
+            const j = parseInt(element.dataset.stateLabel);
+            if (j >= matrix.statesCount) return;
+            element.textContent = element.tagName === 'SPAN' ? matrix.getStateLabel(j) : matrix.states[j];
+            element.title = matrix.descriptions[j] || matrix.states[j];
+        });
+    }
+
+    /**
+     * Кнопки структурного редактирования строки или столбца матрицы
+     * @param {string} kind - 'strategy' (строка) или 'state' (столбец)
+     * @param {number} index - индекс строки или столбца
+     * @returns {string} - HTML код кнопок
+     */
+    createStructureButtonsHTML(kind, index) {
+        const titles = kind === 'strategy'
+            ? { insert: 'Вставить стратегию ниже', duplicate: 'Дублировать стратегию', remove: 'Удалить стратегию' }
+            : { insert: 'Вставить состояние справа', duplicate: 'Дублировать состояние', remove: 'Удалить состояние' };
+        const icons = { insert: 'fa-plus', duplicate: 'fa-copy', remove: 'fa-trash' };
+        
+        return `<span class="structure-buttons">${Object.keys(icons).map(action => `
+            <button type="button" class="structure-btn" title="${titles[action]}" 
+                    onclick="app.editMatrixStructure('${kind}', '${action}', ${index})">
+                <i class="fas ${icons[action]}"></i>
+            </button>`).join('')}</span>`;
+    }
+
+    /**
+     * Маркер перетаскивания строки или столбца
+     * Перетаскивается только маркер, чтобы поле названия оставалось доступным для выделения текста
+     * @param {string} kind - 'strategy' или 'state'
+     * @param {number} index - индекс строки или столбца
+     * @returns {string} - HTML код маркера
+     */
+    createDragHandleHTML(kind, index) {
+        const [icon, title] = kind === 'strategy'
+            ? ['fa-grip-vertical', 'Перетащите, чтобы переместить строку']
+            : ['fa-grip-horizontal', 'Перетащите, чтобы переместить столбец'];
+        return `<i class="fas ${icon} drag-handle" title="${title}" draggable="true" 
+                   ondragstart="app.startMatrixDrag(event, '${kind}', ${index})"></i>`;
+    }
+
+    /**
+     * Атрибуты заголовка, принимающего перетаскиваемую строку или столбец
+     * @param {string} kind - 'strategy' или 'state'
+     * @param {number} index - индекс строки или столбца
+     * @returns {string} - атрибуты HTML
+     */
+    createDropAttributes(kind, index) {
+        return `ondragover="event.preventDefault()" ondrop="app.dropMatrixItem(event, '${kind}', ${index})"`;
+    }
+
     /**
      * Создание HTML для матрицы
+     * Названия стратегий и состояний, единицы измерения и описания состояний редактируются в заголовках;
+     * строки и столбцы вставляются, дублируются, удаляются и перетаскиваются за заголовок
      * @param {DecisionMatrix} matrix - матрица решений
      * @returns {string} - HTML код таблицы
      */
@@ -55,18 +139,44 @@ class UIManager {
         
         // Заголовки состояний природы
         for (let j = 0; j < matrix.statesCount; j++) {
-            html += `<th title="${matrix.states[j]}">${matrix.states[j]}</th>`;
+            html += `<th class="draggable-header" ${this.createDropAttributes('state', j)}>
+                        ${this.createDragHandleHTML('state', j)}
+                        <input type="text" class="header-input" id="state-name-${j}" 
+                           value="${this.escapeHTML(matrix.states[j])}" 
+                           onchange="app.renameState(${j}, this.value)"></th>`;
+        }
+        html += '</tr><tr><th>Единица измерения</th>';
+        for (let j = 0; j < matrix.statesCount; j++) {
+            html += `<th><input type="text" class="header-input header-detail" id="state-unit-${j}" 
+                           value="${this.escapeHTML(matrix.units[j])}" placeholder="необязательно" 
+                           onchange="app.updateStateDetails(${j})"></th>`;
+        }
+        html += '</tr><tr><th>Описание</th>';
+        for (let j = 0; j < matrix.statesCount; j++) {
+            html += `<th><input type="text" class="header-input header-detail" id="state-description-${j}" 
+                           value="${this.escapeHTML(matrix.descriptions[j])}" placeholder="необязательно" 
+                           onchange="app.updateStateDetails(${j})"></th>`;
+        }
+        html += '</tr><tr><th></th>';
+        for (let j = 0; j < matrix.statesCount; j++) {
+            html += `<th>${this.createStructureButtonsHTML('state', j)}</th>`;
         }
         html += '</tr></thead><tbody>';
         
         // Строки стратегий
         for (let i = 0; i < matrix.strategiesCount; i++) {
-            html += `<tr><td><strong title="${matrix.strategies[i]}">${matrix.strategies[i]}</strong></td>`;
+            html += `<tr><td class="draggable-header" ${this.createDropAttributes('strategy', i)}>
+                        ${this.createDragHandleHTML('strategy', i)}
+                        <input type="text" class="header-input" id="strategy-name-${i}" 
+                           value="${this.escapeHTML(matrix.strategies[i])}" 
+                           onchange="app.renameStrategy(${i}, this.value)">
+                        ${this.createStructureButtonsHTML('strategy', i)}</td>`;
             
             for (let j = 0; j < matrix.statesCount; j++) {
                 const value = matrix.data[i] && matrix.data[i][j] !== undefined ? matrix.data[i][j] : '';
-                html += `<td><input type="number" value="${value}" 
-                           data-row="${i}" data-col="${j}"
+                const invalid = typeof value === 'number' && isNaN(value);
+                html += `<td><input type="number" value="${invalid ? '' : value}" 
+                           data-row="${i}" data-col="${j}"${invalid ? ' class="invalid-cell"' : ''}
                            placeholder="0" step="0.01"></td>`;
             }
             html += '</tr>';
@@ -76,6 +186,47 @@ class UIManager {
         return html;
     }
 
+    /**
+     * Обновление редактора распределений ячеек
+     * Заполняет списки выбора ячейки, выводит назначенные распределения и отмечает случайные ячейки в таблице
+     * @param {DecisionMatrix} matrix - матрица решений
+     */
+    updateDistributionEditor(matrix) {
+        const fillSelect = (id, names) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const selected = parseInt(select.value);
+            select.innerHTML = names.map((name, idx) => `<option value="${idx}">${this.escapeHTML(name)}</option>`).join('');
+            select.value = selected < names.length ? selected : 0;
+        };
+        fillSelect('dist-strategy', matrix.strategies);
+        fillSelect('dist-state', matrix.states);
+        
+        const cells = [];
+        document.querySelectorAll('#matrix-table input[data-row]').forEach(input => {
+            const spec = matrix.getDistribution(parseInt(input.dataset.row), parseInt(input.dataset.col));
+            input.classList.toggle('stochastic-cell', Boolean(spec));
+            input.title = spec ? `${CellDistribution.describe(spec)}, среднее ${input.value}` : '';
+        });
+        
+        for (let i = 0; i < matrix.strategiesCount; i++) {
+            for (let j = 0; j < matrix.statesCount; j++) {
+                const spec = matrix.getDistribution(i, j);
+                if (spec) {
+                    cells.push(`${this.escapeHTML(matrix.strategies[i])} / ${this.escapeHTML(matrix.states[j])}: ` +
+                        `<span class="formula-inline">${CellDistribution.describe(spec)}</span>`);
+                }
+            }
+        }
+        
+        const list = document.getElementById('distribution-list');
+        if (list) {
+            list.innerHTML = cells.length === 0
+                ? 'Все значения матрицы фиксированы.'
+                : `Случайные ячейки (${cells.length}); в таблице показаны их средние значения:<br>${cells.join('<br>')}`;
+        }
+    }
+
     /**
      * Создание полей для ввода вероятностей
      * @param {DecisionMatrix} matrix - матрица решений
@@ -90,8 +241,8 @@ class UIManager {
             
             html += `
                 <div class="prob-row">
-                    <label for="prob-${j}" title="${matrix.states[j]}">
-                        ${matrix.states[j]}:
+                    <label for="prob-${j}">
+                        ${this.stateLabelHTML(matrix, j)}:
                     </label>
                     <input type="number" id="prob-${j}" 
                            min="0" max="1" step="0.01" 
@@ -117,6 +268,97 @@ class UIManager {
         return html;
     }
 
+    /**
+     * Создание полей для ввода интервальных вероятностей
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @param {object} intervals - текущие границы { lower, upper }
+     * @returns {string} - HTML код полей ввода
+     */
+    createProbabilityIntervalInputs(matrix, intervals) {
+        let html = '';
+        for (let j = 0; j < matrix.statesCount; j++) {
+            const lower = intervals.lower[j] !== undefined ? intervals.lower[j] : 0;
+            const upper = intervals.upper[j] !== undefined ? intervals.upper[j] : 1;
+            
+            html += `
+                <div class="prob-row">
+                    <label for="prob-lower-${j}">
+                        ${this.stateLabelHTML(matrix, j)}:
+                    </label>
+                    <input type="number" id="prob-lower-${j}" 
+                           min="0" max="1" step="0.01" 
+                           value="${lower}"
+                           data-state="${j}" data-bound="lower">
+                    <span class="prob-interval-separator">—</span>
+                    <input type="number" id="prob-upper-${j}" 
+                           min="0" max="1" step="0.01" 
+                           value="${upper}"
+                           data-state="${j}" data-bound="upper">
+                </div>
+            `;
+        }
+        return html;
+    }
+
+    /**
+     * Создание полей для ввода рангов правдоподобия состояний
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @param {Array} ranks - текущие ранги
+     * @returns {string} - HTML код полей ввода
+     */
+    createProbabilityRankInputs(matrix, ranks) {
+        let html = '';
+        for (let j = 0; j < matrix.statesCount; j++) {
+            const rank = ranks[j] !== undefined ? ranks[j] : j + 1;
+            
+            html += `
+                <div class="prob-row">
+                    <label for="prob-rank-${j}">
+                        ${this.stateLabelHTML(matrix, j)}:
+                    </label>
+                    <input type="number" id="prob-rank-${j}" 
+                           min="1" step="1" 
+                           value="${rank}"
+                           data-state="${j}">
+                </div>
+            `;
+        }
+        return html;
+    }
+
+    /**
+     * Отображение порядка состояний по правдоподобию
+     * @param {Array} levels - уровни правдоподобия (названия состояний) от наиболее вероятного
+     */
+    updateProbabilityOrder(levels) {
+        const probSumElement = document.getElementById('prob-sum');
+        if (probSumElement) {
+            probSumElement.textContent = `Порядок: ${levels.map(level => level.join(' ~ ')).join(' ≻ ')}`;
+            probSumElement.style.color = '#4a5568';
+        }
+    }
+
+    /**
+     * Обновление отображения сумм границ интервальных вероятностей
+     * Множество распределений непусто, если Σ нижних ≤ 1 ≤ Σ верхних
+     * @param {number} lowerSum - сумма нижних границ
+     * @param {number} upperSum - сумма верхних границ
+     */
+    updateProbabilityBoundsSum(lowerSum, upperSum) {
+        const probSumElement = document.getElementById('prob-sum');
+        if (probSumElement) {
+            const round = value => Math.round(value * 1000) / 1000;
+            probSumElement.textContent = `Σ нижних: ${round(lowerSum)}, Σ верхних: ${round(upperSum)}`;
+            
+            if (lowerSum <= 1 + 0.001 && upperSum >= 1 - 0.001) {
+                probSumElement.style.color = '#38a169';
+                probSumElement.innerHTML += ' ✓';
+            } else {
+                probSumElement.style.color = '#e53e3e';
+            }
+        }
+    }
+
     /**
      * Обновление отображения суммы вероятностей
      * @param {number} sum - текущая сумма вероятностей
@@ -138,12 +380,172 @@ class UIManager {
         }
     }
 
+    /**
+     * Создание полей для ввода весов и направлений показателей (многокритериальная оценка)
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @param {Array} weights - текущие веса
+     * @param {Array} directions - текущие направления ('benefit' или 'cost')
+     * @returns {string} - HTML код полей ввода
+     */
+    createIndicatorInputs(matrix, weights, directions) {
+        let html = '';
+        for (let j = 0; j < matrix.statesCount; j++) {
+            const weight = weights[j] !== undefined ? weights[j] : Number((1 / matrix.statesCount).toFixed(3));
+            const direction = directions[j] || (matrix.isMinimization() ? 'cost' : 'benefit');
+            
+            html += `
+                <div class="prob-row">
+                    <label for="mc-weight-${j}">
+                        ${this.stateLabelHTML(matrix, j)}:
+                    </label>
+                    <input type="number" id="mc-weight-${j}" 
+                           min="0" step="0.01" 
+                           value="${weight}"
+                           oninput="app.updateIndicatorWeights()">
+                    <select id="mc-direction-${j}" class="param-select" style="margin-left: 10px;">
+                        <option value="benefit"${direction === 'benefit' ? ' selected' : ''}>больше - лучше</option>
+                        <option value="cost"${direction === 'cost' ? ' selected' : ''}>меньше - лучше</option>
+                    </select>
+                </div>
+            `;
+        }
+        return html;
+    }
+
+    /**
+     * Отображение суммы весов показателей
+     * Веса нормируются перед расчетом, поэтому сумма, отличная от 1, допустима
+     * @param {number} sum - сумма весов
+     */
+    updateIndicatorWeightsSum(sum) {
+        const sumElement = document.getElementById('mc-weights-sum');
+        if (sumElement) {
+            const roundedSum = Math.round(sum * 1000) / 1000;
+            sumElement.textContent = Math.abs(sum - 1) < 0.001
+                ? `Сумма весов: ${roundedSum} ✓`
+                : `Сумма весов: ${roundedSum} (веса будут нормированы к сумме 1)`;
+            sumElement.style.color = sum > 0 ? '#4a5568' : '#e53e3e';
+        }
+    }
+
+    /**
+     * Создание таблицы попарных сравнений МАИ
+     * Суждения вводятся над диагональю по шкале Саати, под диагональю показываются обратные значения
+     * @param {Array} names - названия сравниваемых элементов
+     * @param {Array} matrix - текущая матрица попарных сравнений
+     * @returns {string} - HTML код таблицы
+     */
+    createAhpInputs(names, matrix) {
+        const scale = AnalyticHierarchyProcess.getScale();
+        const label = value => scale.reduce((closest, item) =>
+            Math.abs(item.value - value) < Math.abs(closest.value - value) ? item : closest).label;
+        
+        let html = '<table class="matrix-table analysis-table"><thead><tr><th>Строка важнее столбца в</th>';
+        names.forEach((name, k) => {
+            html += `<th data-state-label="${k}">${this.escapeHTML(name)}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+        
+        names.forEach((name, i) => {
+            html += `<tr><td data-state-label="${i}">${this.escapeHTML(name)}</td>`;
+            names.forEach((_, k) => {
+                if (i === k) {
+                    html += '<td>1</td>';
+                } else if (k > i) {
+                    const current = label(matrix[i][k]);
+                    html += `<td><select id="ahp-${i}-${k}" class="param-select" onchange="app.updateAhp()">
+                        ${scale.map(item => `<option value="${item.value}"${item.label === current ? ' selected' : ''}>${item.label}</option>`).join('')}
+                    </select></td>`;
+                } else {
+                    html += `<td id="ahp-reciprocal-${i}-${k}">${label(matrix[i][k])}</td>`;
+                }
+            });
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        
+        return html;
+    }
+
+    /**
+     * Генерация HTML для результата МАИ: вектор приоритетов и согласованность
+     * @param {object} result - результат AnalyticHierarchyProcess.analyze
+     * @returns {string} - HTML код результата
+     */
+    generateAhpResultHTML(result) {
+        let html = '<table class="matrix-table analysis-table"><thead><tr><th>Элемент</th><th>Приоритет</th></tr></thead><tbody>';
+        result.names.forEach((name, i) => {
+            html += `<tr><td>${this.escapeHTML(name)}</td><td>${result.weights[i].toFixed(4)}</td></tr>`;
+        });
+        html += '</tbody></table>';
+        
+        html += `
+            <p class="analysis-note${result.consistent ? '' : ' warning'}">
+                <span class="formula-inline">λmax = ${result.lambdaMax.toFixed(4)}, 
+                ИС = ${result.consistencyIndex.toFixed(4)}, СИ = ${result.randomIndex.toFixed(2)}, 
+                ОС = ${result.consistencyRatio.toFixed(4)}</span><br>
+                ${result.consistent
+                    ? 'Суждения согласованы (ОС ≤ 0.1).'
+                    : 'Отношение согласованности превышает 0.1: рекомендуется пересмотреть суждения.'}
+            </p>
+        `;
+        
+        return html;
+    }
+
+    /**
+     * Создание таблицы ввода матрицы правдоподобия исследования P(сигнал | состояние)
+     * @param {DecisionMatrix} matrix - матрица решений
+     * @param {Array} signals - названия сигналов
+     * @param {Array} likelihoods - текущие значения [состояние][сигнал]
+     * @returns {string} - HTML код таблицы
+     */
+    createLikelihoodInputs(matrix, signals, likelihoods) {
+        let html = '<table class="matrix-table analysis-table"><thead><tr><th>Состояние / Сигнал</th>';
+        signals.forEach((signal, k) => {
+            html += `<th><input type="text" id="signal-name-${k}" value="${this.escapeHTML(signal)}" 
+                           oninput="app.updateLikelihoods()"></th>`;
+        });
+        html += '<th>Сумма</th></tr></thead><tbody>';
+        
+        for (let j = 0; j < matrix.statesCount; j++) {
+            html += `<tr><td>${this.stateLabelHTML(matrix, j)}</td>`;
+            signals.forEach((_, k) => {
+                const value = likelihoods[j] && likelihoods[j][k] !== undefined
+                    ? likelihoods[j][k]
+                    : Number((1 / signals.length).toFixed(3));
+                html += `<td><input type="number" id="likelihood-${j}-${k}" 
+                           min="0" max="1" step="0.05" value="${value}"
+                           oninput="app.updateLikelihoods()"></td>`;
+            });
+            html += `<td id="likelihood-sum-${j}"></td></tr>`;
+        }
+        html += '</tbody></table>';
+        
+        return html;
+    }
+
+    /**
+     * Отображение сумм строк матрицы правдоподобия (каждая должна равняться 1)
+     * @param {Array} sums - суммы по состояниям
+     */
+    updateLikelihoodSums(sums) {
+        sums.forEach((sum, j) => {
+            const cell = document.getElementById(`likelihood-sum-${j}`);
+            if (cell) {
+                cell.textContent = Math.round(sum * 1000) / 1000;
+                cell.style.color = Math.abs(sum - 1) < 0.01 ? '#38a169' : '#e53e3e';
+            }
+        });
+    }
+
     /**
      * Отображение модального окна с информацией
      * @param {string} title - заголовок модального окна
      * @param {string} content - содержимое модального окна
+     * @param {boolean} wide - широкое окно (для таблиц)
      */
-    showModal(title, content) {
+    showModal(title, content, wide = false) {
         const modal = document.getElementById('criteria-modal');
         const titleElement = document.getElementById('modal-criterion-name');
         const contentElement = document.getElementById('modal-criterion-description');
@@ -151,11 +553,95 @@ class UIManager {
         if (modal && titleElement && contentElement) {
             titleElement.textContent = title;
             contentElement.innerHTML = content;
+            modal.querySelector('.modal-content')?.classList.toggle('modal-wide', wide);
             modal.style.display = 'flex';
             document.body.style.overflow = 'hidden';
         }
     }
 
+    /**
+     * Создание HTML диалога импорта таблицы
+     * Параметры разбора, предпросмотр с выбором строк и столбцов и список непрочитанных ячеек
+     * @param {object} state - состояние импорта (файл, строки таблицы и выбранные параметры)
+     * @param {object} table - результат сопоставления таблицы с матрицей
+     * @returns {string} - HTML код диалога
+     */
+    createImportDialogHTML(state, table) {
+        const invalid = new Set(table.errors.map(error => `${error.row}:${error.col}`));
+        const width = state.rows.length > 0 ? state.rows[0].length : 0;
+        const checked = flag => (flag ? 'checked' : '');
+        
+        let html = `<p><strong>Файл:</strong> ${this.escapeHTML(state.fileName)}</p>
+            <div class="param-row">`;
+        if (state.type === 'csv') {
+            html += `<label for="import-delimiter">Разделитель:</label>
+                <select id="import-delimiter" class="param-select" onchange="app.updateImportOptions()">
+                    ${[['auto', `Автоматически («${state.detectedDelimiter === '\t' ? 'табуляция' : state.detectedDelimiter}»)`],
+                        [';', 'Точка с запятой'], [',', 'Запятая'], ['\t', 'Табуляция']]
+                        .map(([value, label]) => `<option value="${value === '\t' ? 'tab' : value}" 
+                            ${(state.delimiter === value) ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>`;
+        }
+        html += `</div>
+            <div class="param-row">
+                <label for="import-decimal-comma">Десятичная запятая (12,5):</label>
+                <input type="checkbox" id="import-decimal-comma" class="param-checkbox" ${checked(state.decimalComma)} 
+                    onchange="app.updateImportOptions()">
+            </div>
+            <div class="param-row">
+                <label for="import-header-row">Первая строка - названия состояний:</label>
+                <input type="checkbox" id="import-header-row" class="param-checkbox" ${checked(state.headerRow)} 
+                    onchange="app.updateImportOptions()">
+            </div>
+            <div class="param-row">
+                <label for="import-header-column">Первый столбец - названия стратегий:</label>
+                <input type="checkbox" id="import-header-column" class="param-checkbox" ${checked(state.headerColumn)} 
+                    onchange="app.updateImportOptions()">
+            </div>`;
+        
+        html += `<div class="matrix-input-container"><table class="matrix-table analysis-table import-preview">
+            <thead><tr><th></th>`;
+        for (let c = 0; c < width; c++) {
+            const isHeader = state.headerColumn && c === 0;
+            html += `<th>${TableImporter.columnName(c)}${isHeader ? '' : `<br>
+                <input type="checkbox" id="import-col-${c}" ${checked(!state.skippedColumns.includes(c))} 
+                    onchange="app.updateImportOptions()" title="Импортировать столбец">`}</th>`;
+        }
+        html += '</tr></thead><tbody>';
+        state.rows.forEach((row, r) => {
+            const isHeaderRow = state.headerRow && r === 0;
+            html += `<tr><th>${r + 1}${isHeaderRow ? '' : ` 
+                <input type="checkbox" id="import-row-${r}" ${checked(!state.skippedRows.includes(r))} 
+                    onchange="app.updateImportOptions()" title="Импортировать строку">`}</th>`;
+            row.forEach((value, c) => {
+                const skipped = state.skippedRows.includes(r) || state.skippedColumns.includes(c);
+                const isName = isHeaderRow || (state.headerColumn && c === 0);
+                const cls = isName ? 'import-name-cell' : skipped ? 'import-skipped-cell' : invalid.has(`${r}:${c}`) ? 'invalid-cell' : '';
+                html += `<td class="${cls}">${this.escapeHTML(String(value))}</td>`;
+            });
+            html += '</tr>';
+        });
+        html += '</tbody></table></div>';
+        
+        html += `<p>Будет импортировано: <strong>${table.strategies.length}</strong> стратегий × 
+            <strong>${table.states.length}</strong> состояний.</p>`;
+        if (table.errors.length > 0) {
+            html += `<div class="analysis-note warning">Не удалось прочитать как число ${table.errors.length} ячеек. 
+                Они будут оставлены пустыми и отмечены в матрице, вместо того чтобы стать нулями:
+                <ul class="calculation-steps">
+                    ${table.errors.slice(0, 20).map(error => `<li>${error.cell} (${this.escapeHTML(error.strategy)} / 
+                        ${this.escapeHTML(error.state)}): «${this.escapeHTML(String(error.value))}»</li>`).join('')}
+                    ${table.errors.length > 20 ? `<li>... и еще ${table.errors.length - 20}</li>` : ''}
+                </ul></div>`;
+        }
+        
+        html += `<div class="param-row">
+                <button class="btn" onclick="app.applyImport()">Импортировать</button>
+                <button class="btn btn-secondary" onclick="app.cancelImport()">Отмена</button>
+            </div>`;
+        return html;
+    }
+
     /**
      * Закрытие модального окна
      */
@@ -179,7 +665,7 @@ class UIManager {
         notification.innerHTML = `
             <div class="notification-content">
                 <i class="fas ${this.getIconForType(type)}"></i>
-                <span>${message}</span>
+                <span>${this.escapeHTML(message)}</span>
             </div>
         `;
         
@@ -245,9 +731,11 @@ class UIManager {
      * @param {object} frequency - частотный анализ
      * @param {object} final - итоговая рекомендация
      * @param {string} analysisType - тип анализа
+     * @param {object} analyses - дополнительные аналитические разделы
+     * @param {string} orientation - направление оптимизации матрицы (max/min)
      */
-    showResults(recommendations, frequency, final, analysisType) {
-        let html = this.generateResultsHTML(recommendations, frequency, final, analysisType);
+    showResults(recommendations, frequency, final, analysisType, analyses = {}, orientation = 'max') {
+        let html = this.generateResultsHTML(recommendations, frequency, final, analysisType, analyses, orientation);
         document.getElementById('results-container').innerHTML = html;
     }
 
@@ -257,83 +745,1400 @@ class UIManager {
      * @param {object} frequency - частотный анализ
      * @param {object} final - итоговая рекомендация
      * @param {string} analysisType - тип анализа
+     * @param {object} analyses - дополнительные аналитические разделы
+     * @param {string} orientation - направление оптимизации матрицы (max/min)
      * @returns {string} - HTML код результатов
      */
-    generateResultsHTML(recommendations, frequency, final, analysisType) {
-    let html = '<div class="results-container">';
+    generateResultsHTML(recommendations, frequency, final, analysisType, analyses = {}, orientation = 'max') {
+    let html = '';
+    
+    if (analyses.saddlePoints) {
+        html += this.generateSaddlePointHTML(analyses.saddlePoints);
+    }
+    
+    if (analyses.dominance) {
+        html += this.generateDominanceHTML(analyses.dominance);
+    }
+    
+    if (analyses.utility) {
+        html += this.generateUtilityHTML(analyses.utility);
+    }
+    
+    html += '<div class="results-container">';
     
     // Отображение рекомендаций по каждому критерию
     recommendations.forEach(rec => {
         const isUndefined = rec.strategy === 'Не определено';
+        const tieNotice = rec.details.hasTie
+            ? `Несколько равноценных оптимальных стратегий (допуск ${rec.details.tolerance})`
+            : '';
         html += `
             <div class="criterion-result ${isUndefined ? 'undefined-result' : ''}">
                 <div class="criterion-info">
-                    <div class="criterion-name">${rec.criterion}</div>
+                    <div class="criterion-name">
+                        ${rec.criterion}
+                        ${rec.details.notice ? `<div class="criterion-notice">${rec.details.notice}</div>` : ''}
+                        ${tieNotice ? `<div class="criterion-notice">${tieNotice}</div>` : ''}
+                    </div>
                     <div class="info-icon" data-criterion="${rec.type}" 
                          title="Информация о методе расчета">
                         <i class="fas fa-info-circle"></i>
                     </div>
                 </div>
                 <div class="recommended-strategy ${isUndefined ? 'undefined' : ''}">
-                    ${rec.strategy}
+                    ${this.escapeHTML(rec.details.hasTie ? rec.details.tiedStrategies.join(', ') : rec.strategy)}
                 </div>
             </div>
         `;
     });
     
     html += '</div>';
+    html += this.generateAnalysesHTML(analyses);
     html += this.generateFrequencyHTML(frequency);
-    html += this.generateFinalHTML(final, analysisType);
+    if (final.aggregation) {
+        html += this.generateAggregationHTML(final);
+    }
+    html += this.generateFinalHTML(final, analysisType, orientation);
     
     return html;
 }
     /**
-     * Генерация HTML для частотного анализа
-     * @param {object} frequency - частотный анализ
-     * @returns {string} - HTML код частотного анализа
+     * Генерация HTML для дополнительных аналитических разделов
+     * @param {object} analyses - результаты дополнительных анализов
+     * @returns {string} - HTML код разделов
      */
-    generateFrequencyHTML(frequency) {
-        let html = '<div class="summary-box">';
-        html += '<div class="summary-title">Частотный анализ рекомендаций</div>';
+    generateAnalysesHTML(analyses) {
+        let html = '';
         
-        if (Object.keys(frequency).length === 0) {
-            html += '<p style="text-align: center; color: #718096; padding: 20px;">Не удалось определить рекомендации по критериям</p>';
-        } else {
-            html += '<div class="strategy-frequency">';
-            const entries = Object.entries(frequency);
-            entries.sort((a, b) => b[1] - a[1]);
-            
-            entries.forEach(([strategy, count]) => {
-                const percentage = (count / entries.reduce((sum, [_, c]) => sum + c, 0) * 100).toFixed(1);
-                html += `
-                    <div class="frequency-item">
-                        <div class="strategy-name">${strategy}</div>
-                        <div class="frequency-count">${count}</div>
-                        <div style="font-size: 0.8rem; color: #718096;">
-                            ${percentage}% рекомендаций
-                        </div>
-                    </div>
-                `;
-            });
-            html += '</div>';
+        if (analyses.multiCriteria) {
+            html += this.generateMultiCriteriaHTML(analyses.multiCriteria);
         }
-        html += '</div>';
+        
+        if (analyses.intervalProbabilities) {
+            html += this.generateIntervalProbabilitiesHTML(analyses.intervalProbabilities);
+        }
+        
+        if (analyses.ordinalProbabilities) {
+            html += this.generateOrdinalProbabilitiesHTML(analyses.ordinalProbabilities);
+        }
+        
+        if (analyses.riskMeasures) {
+            html += this.generateRiskMeasuresHTML(analyses.riskMeasures);
+        }
+        
+        if (analyses.monteCarlo) {
+            html += this.generateMonteCarloHTML(analyses.monteCarlo);
+        }
+        
+        if (analyses.perfectInformation) {
+            html += this.generatePerfectInformationHTML(analyses.perfectInformation);
+        }
+        
+        if (analyses.sampleInformation) {
+            html += this.generateSampleInformationHTML(analyses.sampleInformation);
+        }
+        
+        if (analyses.bayesSensitivity) {
+            html += this.generateBayesSensitivityHTML(analyses.bayesSensitivity);
+        }
+        
+        if (analyses.game) {
+            html += this.generateGameSolutionHTML(analyses.game);
+        }
+        
         return html;
     }
 
     /**
-     * Генерация HTML для итоговой рекомендации
-     * @param {object} final - итоговая рекомендация
-     * @param {string} analysisType - тип анализа
-     * @returns {string} - HTML код итоговой рекомендации
+     * Генерация HTML для матрицы полезностей и детерминированных эквивалентов
+     * @param {object} report - результат преобразования матрицы функцией полезности
+     * @returns {string} - HTML код раздела
      */
-    generateFinalHTML(final, analysisType) {
-        let html = '<div class="final-recommendation">';
+    generateUtilityHTML(report) {
+        let html = '<div class="summary-box analysis-section">';
+        html += `
+            <div class="summary-title">
+                Функция полезности
+                <span class="info-icon" data-criterion="utility" title="Информация о методе расчета">
+                    <i class="fas fa-info-circle"></i>
+                </span>
+            </div>
+            <p class="analysis-note">
+                <span class="formula-inline">${report.formula}</span><br>
+                Все критерии рассчитаны по полезностям${report.orientation === 'min' ? ' (затраты взяты с обратным знаком)' : ''}.
+            </p>
+        `;
         
-        if (final.strategy) {
-            const confidenceColor = {
-                'high': '#38a169',
-                'medium': '#d69e2e',
+        const matrix = report.matrix;
+        html += '<div class="section-title">Матрица полезностей:</div>';
+        html += '<table class="matrix-table analysis-table"><thead><tr><th>Стратегия</th>';
+        matrix.states.forEach(state => {
+            html += `<th>${this.escapeHTML(state)}</th>`;
+        });
+        html += '<th>E[u]</th><th>Детерминированный эквивалент</th><th>Ожидаемое значение</th><th>Премия за риск</th>';
+        html += '</tr></thead><tbody>';
+        matrix.data.forEach((row, i) => {
+            const ce = report.certaintyEquivalents[i];
+            html += `<tr><td>${this.escapeHTML(matrix.strategies[i])}</td>`;
+            row.forEach(u => {
+                html += `<td>${u.toFixed(4)}</td>`;
+            });
+            html += `<td>${ce.expectedUtility.toFixed(4)}</td>
+                <td>${ce.certaintyEquivalent.toFixed(2)}</td>
+                <td>${ce.expectedValue.toFixed(2)}</td>
+                <td>${ce.riskPremium.toFixed(2)}</td></tr>`;
+        });
+        html += '</tbody></table>';
+        
+        html += `
+            <p class="analysis-note">
+                Детерминированный эквивалент CE = u⁻¹(E[u]) - гарантированный результат, равноценный стратегии
+                ${report.equalProbabilities ? '(при равновероятных состояниях природы)' : ''}.
+                Премия за риск - разница между ожидаемым значением и CE.
+            </p>
+        `;
+        
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Генерация HTML для анализа при интервальных вероятностях
+     * @param {object} report - результат ImpreciseProbabilityAnalyzer.analyzeIntervals
+     * @returns {string} - HTML код раздела
+     */
+    generateIntervalProbabilitiesHTML(report) {
+        let html = '<div class="summary-box analysis-section">';
+        html += `
+            <div class="summary-title">
+                Интервальные вероятности
+                <span class="info-icon" data-criterion="intervalProbabilities" title="Информация о методе расчета">
+                    <i class="fas fa-info-circle"></i>
+                </span>
+            </div>
+        `;
+        
+        if (report.error) {
+            html += `<p class="analysis-note warning">Не удалось выполнить анализ: ${report.error}</p></div>`;
+            return html;
+        }
+        
+        html += '<p class="analysis-note">';
+        html += report.states.map((state, j) =>
+            `${this.escapeHTML(state)}: [${report.lower[j]}; ${report.upper[j]}]`).join('; ');
+        html += '</p>';
+        
+        html += '<table class="matrix-table analysis-table"><thead><tr>';
+        html += '<th>Стратегия</th><th>Наихудшее ожидание</th><th>Наилучшее ожидание</th><th>E-допустима</th>';
+        html += '</tr></thead><tbody>';
+        report.rows.forEach((row, i) => {
+            const distribution = row.supportingDistribution
+                ? `<br><small>при p = (${row.supportingDistribution.map(p => p.toFixed(3)).join('; ')})</small>`
+                : '';
+            html += `<tr${i === report.gammaMaximin.index ? ' class="current-interval"' : ''}>
+                <td>${this.escapeHTML(row.strategy)}</td>
+                <td>${row.worstExpected.toFixed(2)}</td>
+                <td>${row.bestExpected.toFixed(2)}</td>
+                <td>${row.eAdmissible ? 'да' : 'нет'}${distribution}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        
+        const isCost = report.orientation === 'min';
+        html += `
+            <ul class="calculation-steps">
+                <li><strong>${isCost ? 'Γ-минимакс' : 'Γ-максимин'}:</strong> ${this.escapeHTML(report.gammaMaximin.strategy)}
+                    (гарантированное ожидание ${report.gammaMaximin.value.toFixed(2)})</li>
+                <li><strong>${isCost ? 'Γ-минимин' : 'Γ-максимакс'}:</strong> ${this.escapeHTML(report.gammaMaximax.strategy)}
+                    (наилучшее ожидание ${report.gammaMaximax.value.toFixed(2)})</li>
+                <li><strong>E-допустимые стратегии:</strong> ${this.escapeHTML(report.eAdmissible.join(', ')) || '—'}</li>
+            </ul>
+            <p class="analysis-note">
+                E-допустимая стратегия оптимальна по критерию Байеса хотя бы при одном распределении из заданных интервалов.
+                Стратегии, не являющиеся E-допустимыми, можно исключить из рассмотрения.
+            </p>
+        `;
+        
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Генерация HTML для анализа при ранжированных вероятностях
+     * @param {object} report - результат ImpreciseProbabilityAnalyzer.analyzeOrdinal
+     * @returns {string} - HTML код раздела
+     */
+    generateOrdinalProbabilitiesHTML(report) {
+        let html = '<div class="summary-box analysis-section">';
+        html += `
+            <div class="summary-title">
+                Ранжированные вероятности
+                <span class="info-icon" data-criterion="ordinalProbabilities" title="Информация о методе расчета">
+                    <i class="fas fa-info-circle"></i>
+                </span>
+            </div>
+        `;
+        
+        if (report.error) {
+            html += `<p class="analysis-note warning">Не удалось выполнить анализ: ${report.error}</p></div>`;
+            return html;
+        }
+        
+        html += `<p class="analysis-note">Порядок состояний: ${this.escapeHTML(report.levels.map(level => level.join(' ~ ')).join(' ≻ '))}</p>`;
+        
+        html += '<div class="section-title">Математические ожидания в крайних точках:</div>';
+        html += '<table class="matrix-table analysis-table"><thead><tr><th>Стратегия</th>';
+        report.extremePoints.forEach((point, k) => {
+            html += `<th>p<sup>(${k + 1})</sup><br><small>(${point.map(p => Number(p.toFixed(3))).join('; ')})</small></th>`;
+        });
+        html += '<th>Наихудшее</th><th>Наилучшее</th><th>E-допустима</th></tr></thead><tbody>';
+        report.rows.forEach((row, i) => {
+            html += `<tr${row.robust ? ' class="current-interval"' : ''}><td>${this.escapeHTML(row.strategy)}</td>`;
+            row.expectations.forEach(e => {
+                html += `<td>${e.toFixed(2)}</td>`;
+            });
+            html += `<td>${row.worstExpected.toFixed(2)}</td>
+                <td>${row.bestExpected.toFixed(2)}</td>
+                <td>${row.eAdmissible ? 'да' : 'нет'}</td></tr>`;
+        });
+        html += '</tbody></table>';
+        
+        html += '<ul class="calculation-steps">';
+        html += `<li><strong>Оптимальны при любом согласованном распределении:</strong> ${this.escapeHTML(report.robustlyOptimal.join(', ')) || 'нет'}</li>`;
+        html += `<li><strong>E-допустимые стратегии:</strong> ${this.escapeHTML(report.eAdmissible.join(', ')) || '—'}</li>`;
+        html += `<li><strong>${report.orientation === 'min' ? 'Γ-минимакс' : 'Γ-максимин'}:</strong> ` +
+            `${this.escapeHTML(report.ordinalMaximin.strategy)} (${report.ordinalMaximin.value.toFixed(2)})</li>`;
+        report.dominance.forEach(rel => {
+            html += `<li>${this.escapeHTML(rel.dominating)} не хуже ${this.escapeHTML(rel.dominated)} при любом согласованном распределении</li>`;
+        });
+        html += '</ul>';
+        
+        if (report.robustlyOptimal.length === 0) {
+            html += `
+                <p class="analysis-note warning">
+                    Порядка состояний недостаточно для однозначного выбора: выбор зависит от конкретных значений вероятностей.
+                </p>
+            `;
+        }
+        
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Генерация HTML таблицы показателей риска стратегий
+     * @param {object} report - показатели риска (E, σ², σ, CV, E ∓ k·σ) по стратегиям
+     * @returns {string} - HTML код раздела
+     */
+    generateRiskMeasuresHTML(report) {
+        let html = '<div class="summary-box analysis-section">';
+        html += `
+            <div class="summary-title">
+                Показатели риска стратегий
+                <span class="info-icon" data-criterion="meanVariance" title="Информация о методе расчета">
+                    <i class="fas fa-info-circle"></i>
+                </span>
+            </div>
+        `;
+        
+        if (report.error) {
+            html += `<p class="analysis-note warning">Не удалось выполнить расчет: ${report.error}</p></div>`;
+            return html;
+        }
+        
+        const sign = report.orientation === 'min' ? '+' : '−';
+        html += '<table class="matrix-table analysis-table"><thead><tr>';
+        html += '<th>Стратегия</th><th>E</th><th>σ²</th><th>σ</th><th>CV</th>';
+        html += `<th>E ${sign} ${report.riskAversion}·σ</th>`;
+        html += '</tr></thead><tbody>';
+        report.measures.forEach(row => {
+            const cv = row.coefficientOfVariation === null ? '—' : `${(row.coefficientOfVariation * 100).toFixed(1)}%`;
+            html += `<tr>
+                <td>${this.escapeHTML(row.strategy)}</td>
+                <td>${row.expectedValue.toFixed(2)}</td>
+                <td>${row.variance.toFixed(2)}</td>
+                <td>${row.standardDeviation.toFixed(2)}</td>
+                <td>${cv}</td>
+                <td>${row.meanVarianceValue.toFixed(2)}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        
+        html += `
+            <p class="analysis-note">
+                Коэффициент вариации CV = σ / |E| показывает риск на единицу ожидаемого результата.
+            </p>
+        `;
+        
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Генерация HTML для ожидаемой ценности совершенной информации
+     * @param {object} report - результат InformationValueAnalyzer.perfectInformation
+     * @returns {string} - HTML код раздела
+     */
+    generatePerfectInformationHTML(report) {
+        let html = '<div class="summary-box analysis-section">';
+        html += `
+            <div class="summary-title">
+                Ценность совершенной информации (EVPI)
+                <span class="info-icon" data-criterion="evpi" title="Информация о методе расчета">
+                    <i class="fas fa-info-circle"></i>
+                </span>
+            </div>
+        `;
+        
+        if (report.error) {
+            html += `<p class="analysis-note warning">Не удалось выполнить расчет: ${report.error}</p></div>`;
+            return html;
+        }
+        
+        html += `
+            <div class="strategy-frequency">
+                <div class="frequency-item">
+                    <div class="strategy-name">EV при совершенной информации</div>
+                    <div class="frequency-count">${report.evwpi.toFixed(2)}</div>
+                </div>
+                <div class="frequency-item">
+                    <div class="strategy-name">Наилучшее ожидаемое значение</div>
+                    <div class="frequency-count">${report.bestExpectedValue.toFixed(2)}</div>
+                </div>
+                <div class="frequency-item">
+                    <div class="strategy-name">EVPI</div>
+                    <div class="frequency-count">${report.evpi.toFixed(2)}</div>
+                    <div style="font-size: 0.8rem; color: #718096;">предел цены прогноза</div>
+                </div>
+            </div>
+        `;
+        
+        html += '<div class="section-title">Матрица сожалений и ожидаемые потери:</div>';
+        html += '<table class="matrix-table analysis-table"><thead><tr><th>Стратегия</th>';
+        report.states.forEach((state, j) => {
+            html += `<th>${this.escapeHTML(state)}<br><small>p = ${report.probabilities[j].toFixed(3)}</small></th>`;
+        });
+        html += '<th>Ожидаемое значение</th><th>Ожидаемое сожаление (EOL)</th></tr></thead><tbody>';
+        report.strategies.forEach((strategy, i) => {
+            html += `<tr${i === report.optimalIndex ? ' class="current-interval"' : ''}><td>${this.escapeHTML(strategy)}</td>`;
+            report.regrets[i].forEach(regret => {
+                html += `<td>${regret}</td>`;
+            });
+            html += `<td>${report.expectedValues[i].toFixed(2)}</td><td>${report.expectedRegrets[i].toFixed(2)}</td></tr>`;
+        });
+        html += '</tbody></table>';
+        
+        html += '<ol class="calculation-steps">';
+        report.calculations.forEach(calc => {
+            html += `<li><strong>${calc.step}:</strong> <span class="formula-inline">${this.escapeHTML(calc.formula)}</span></li>`;
+        });
+        html += '</ol>';
+        
+        html += `
+            <p class="analysis-note">
+                Покупка прогноза состояний природы оправдана, только если его стоимость меньше EVPI = ${report.evpi.toFixed(2)}.
+            </p>
+        `;
+        
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Генерация HTML для байесовского пересмотра вероятностей и ценности выборочной информации
+     * @param {object} report - результат InformationValueAnalyzer.sampleInformation
+     * @returns {string} - HTML код раздела
+     */
+    generateSampleInformationHTML(report) {
+        let html = '<div class="summary-box analysis-section">';
+        html += `
+            <div class="summary-title">
+                Исследование: апостериорные вероятности и ценность выборочной информации (EVSI)
+                <span class="info-icon" data-criterion="evsi" title="Информация о методе расчета">
+                    <i class="fas fa-info-circle"></i>
+                </span>
+            </div>
+        `;
+        
+        if (report.error) {
+            html += `<p class="analysis-note warning">Не удалось выполнить расчет: ${report.error}</p></div>`;
+            return html;
+        }
+        
+        const efficiency = report.efficiency === null ? '—' : `${(report.efficiency * 100).toFixed(1)}%`;
+        html += `
+            <div class="strategy-frequency">
+                <div class="frequency-item">
+                    <div class="strategy-name">EVSI</div>
+                    <div class="frequency-count">${report.evsi.toFixed(2)}</div>
+                    <div style="font-size: 0.8rem; color: #718096;">эффективность ${efficiency} от EVPI</div>
+                </div>
+                <div class="frequency-item">
+                    <div class="strategy-name">Стоимость исследования</div>
+                    <div class="frequency-count">${report.cost}</div>
+                </div>
+                <div class="frequency-item">
+                    <div class="strategy-name">Чистая выгода (ENGS)</div>
+                    <div class="frequency-count">${report.netGain.toFixed(2)}</div>
+                </div>
+            </div>
+        `;
+        
+        html += '<div class="section-title">Апостериорные вероятности и решения по сигналам:</div>';
+        html += '<table class="matrix-table analysis-table"><thead><tr><th>Сигнал</th><th>P(сигнал)</th>';
+        report.states.forEach(state => {
+            html += `<th>P(${this.escapeHTML(state)} | сигнал)</th>`;
+        });
+        html += '<th>Оптимальная стратегия</th><th>Ожидаемое значение</th></tr></thead><tbody>';
+        report.signals.forEach(result => {
+            if (!result.posterior) {
+                html += `<tr><td>${this.escapeHTML(result.signal)}</td><td>0</td>` +
+                    `<td colspan="${report.states.length + 2}">сигнал невозможен при заданных вероятностях</td></tr>`;
+                return;
+            }
+            html += `<tr><td>${this.escapeHTML(result.signal)}</td><td>${result.probability.toFixed(3)}</td>`;
+            result.posterior.forEach(p => {
+                html += `<td>${p.toFixed(3)}</td>`;
+            });
+            html += `<td>${this.escapeHTML(result.strategy)}</td><td>${result.expectedValue.toFixed(2)}</td></tr>`;
+        });
+        html += '</tbody></table>';
+        
+        html += '<ol class="calculation-steps">';
+        report.calculations.forEach(calc => {
+            html += `<li><strong>${calc.step}:</strong> <span class="formula-inline">${this.escapeHTML(calc.formula)}</span></li>`;
+        });
+        html += '</ol>';
+        
+        let conclusion;
+        if (!report.decisionChanges) {
+            conclusion = `Ни один сигнал не меняет решение (${this.escapeHTML(report.priorStrategy)}), поэтому исследование не имеет ценности.`;
+        } else if (report.worthwhile) {
+            conclusion = `Исследование оправдано: EVSI = ${report.evsi.toFixed(2)} превышает стоимость ${report.cost}. ` +
+                'Окончательный выбор стратегии следует делать по полученному сигналу.';
+        } else {
+            conclusion = `Исследование не окупается: EVSI = ${report.evsi.toFixed(2)} не превышает стоимость ${report.cost}. ` +
+                `Без исследования выбирается ${this.escapeHTML(report.priorStrategy)}.`;
+        }
+        html += `<p class="analysis-note${report.worthwhile ? '' : ' warning'}">${conclusion}</p>`;
+        
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Генерация HTML для анализа чувствительности критерия Байеса к вероятностям
+     * @param {object} report - результат SensitivityAnalyzer.bayesStability
+     * @returns {string} - HTML код раздела
+     */
+    generateBayesSensitivityHTML(report) {
+        let html = '<div class="summary-box analysis-section">';
+        html += `
+            <div class="summary-title">
+                Чувствительность критерия Байеса к вероятностям
+                <span class="info-icon" data-criterion="bayesSensitivity" title="Информация о методе расчета">
+                    <i class="fas fa-info-circle"></i>
+                </span>
+            </div>
+        `;
+        
+        if (report.error) {
+            html += `<p class="analysis-note warning">Не удалось выполнить анализ: ${report.error}</p></div>`;
+            return html;
+        }
+        
+        html += `
+            <p class="analysis-note">
+                Рекомендация по критерию Байеса: <strong>${this.escapeHTML(report.strategy)}</strong>.
+                При изменении вероятности одного состояния остальные пересчитываются пропорционально.
+            </p>
+        `;
+        
+        html += '<table class="matrix-table analysis-table"><thead><tr>';
+        html += '<th>Состояние</th><th>p<sub>j</sub></th><th>Интервал устойчивости</th>';
+        html += '<th>При меньшей p<sub>j</sub></th><th>При большей p<sub>j</sub></th>';
+        html += '</tr></thead><tbody>';
+        report.states.forEach(state => {
+            html += `<tr>
+                <td>${this.escapeHTML(state.state)}</td>
+                <td>${state.probability.toFixed(3)}</td>
+                <td>[${state.from.toFixed(4)}; ${state.to.toFixed(4)}]</td>
+                <td>${this.escapeHTML(state.lowerStrategy || '—')}</td>
+                <td>${this.escapeHTML(state.upperStrategy || '—')}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        
+        if (report.simplex) {
+            html += '<div class="section-title">Области оптимальности на симплексе вероятностей</div>';
+            html += this.createProbabilitySimplex(report.simplex);
+        }
+        
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Создание SVG симплекса вероятностей для трех состояний
+     * @param {object} simplex - результат SensitivityAnalyzer.bayesSimplexRegions
+     * @returns {string} - HTML код диаграммы
+     */
+    createProbabilitySimplex(simplex) {
+        const vertices = [[40, 250], [340, 250], [190, 30]];
+        const point = p => [0, 1].map(axis =>
+            p.reduce((sum, weight, k) => sum + weight * vertices[k][axis], 0).toFixed(1));
+        
+        let svg = '<svg class="sensitivity-chart simplex-chart" viewBox="0 0 380 280" role="img">';
+        simplex.regions.forEach(region => {
+            const points = region.polygon.map(p => point(p).join(',')).join(' ');
+            svg += `<polygon points="${points}" fill="${this.getChartColor(region.index)}" ` +
+                `fill-opacity="0.55" class="simplex-region"><title>${this.escapeHTML(region.strategy)}</title></polygon>`;
+        });
+        svg += `<polygon points="${vertices.map(v => v.join(',')).join(' ')}" class="simplex-border"/>`;
+        
+        const labels = [[-8, 18, 'start'], [8, 18, 'end'], [0, -10, 'middle']];
+        simplex.states.forEach((state, k) => {
+            const [dx, dy, anchor] = labels[k];
+            svg += `<text x="${vertices[k][0] + dx}" y="${vertices[k][1] + dy}" class="chart-label" ` +
+                `text-anchor="${anchor}">${this.escapeHTML(state)} (p = 1)</text>`;
+        });
+        
+        const [cx, cy] = point(simplex.current);
+        svg += `<circle cx="${cx}" cy="${cy}" r="5" class="simplex-current">` +
+            `<title>(${simplex.current.map(p => p.toFixed(3)).join('; ')})</title></circle>`;
+        svg += '</svg>';
+        
+        return svg + this.createChartLegend(
+            simplex.regions.map(region => ({ name: region.strategy, index: region.index }))
+        ) + '<p class="analysis-note">Точкой отмечены текущие вероятности.</p>';
+    }
+
+    /**
+     * Создание предварительного списка доминируемых стратегий для шага 2
+     * @param {Array} strategyRelations - отношения доминирования между стратегиями
+     * @param {Array} stateRelations - отношения доминирования между состояниями
+     * @param {string} mode - выбранный режим исключения (none/strict/weak)
+     * @returns {string} - HTML код списка
+     */
+    createDominancePreview(strategyRelations, stateRelations, mode) {
+        const relations = [...strategyRelations, ...stateRelations];
+        if (relations.length === 0) {
+            return 'Доминируемых стратегий не обнаружено.';
+        }
+        
+        const relationText = {
+            'strict': 'строго',
+            'weak': 'слабо'
+        };
+        
+        let html = '<ul class="calculation-steps">';
+        strategyRelations.forEach(rel => {
+            html += `<li>Стратегия ${this.escapeHTML(rel.dominatedName)} ${relationText[rel.relation]} доминируется стратегией ${this.escapeHTML(rel.dominatingName)}</li>`;
+        });
+        stateRelations.forEach(rel => {
+            html += `<li>Состояние ${this.escapeHTML(rel.dominatedName)} ${relationText[rel.relation]} невыгодно противнику по сравнению с ${this.escapeHTML(rel.dominatingName)}</li>`;
+        });
+        html += '</ul>';
+        
+        if (mode === 'none') {
+            html += '<p>Выберите режим исключения, чтобы удалить доминируемые стратегии перед расчетом критериев.</p>';
+        }
+        
+        return html;
+    }
+
+    /**
+     * Генерация HTML для многокритериальной оценки (полное ранжирование стратегий)
+     * @param {object} report - веса, нормализованная матрица и результаты методов
+     * @returns {string} - HTML код раздела
+     */
+    generateMultiCriteriaHTML(report) {
+        let html = '<div class="summary-box analysis-section">';
+        html += `
+            <div class="summary-title">
+                Многокритериальная оценка: ранжирование стратегий
+                <span class="info-icon" data-criterion="multiCriteria" title="Информация о методе расчета">
+                    <i class="fas fa-info-circle"></i>
+                </span>
+            </div>
+        `;
+        
+        if (report.error) {
+            html += `<p class="analysis-note warning">Не удалось выполнить расчет: ${report.error}</p></div>`;
+            return html;
+        }
+        
+        const normalizations = { minmax: 'min-max', vector: 'векторная', zscore: 'z-оценка' };
+        html += `<p class="analysis-note">Нормализация: ${normalizations[report.normalization]}; VIKOR: v = ${report.v}.</p>`;
+        
+        html += '<table class="matrix-table analysis-table"><thead><tr><th>Показатель</th>';
+        report.indicators.forEach((indicator, j) => {
+            html += `<th>${this.escapeHTML(indicator)}<br><small>${report.directions[j] === 'cost' ? '↓' : '↑'} w = ${report.weights[j].toFixed(3)}</small></th>`;
+        });
+        html += '</tr></thead><tbody>';
+        report.strategies.forEach((strategy, i) => {
+            html += `<tr><td>${this.escapeHTML(strategy)}</td>${report.normalized[i].map(r => `<td>${r.toFixed(3)}</td>`).join('')}</tr>`;
+        });
+        html += '</tbody></table>';
+        
+        const { weightedSum, topsis, vikor } = report.methods;
+        const rankOf = (method, i) => method.ranking.find(item => item.index === i).rank;
+        
+        html += '<div class="section-title" style="margin-top: 16px;">Полное ранжирование:</div>';
+        html += '<table class="matrix-table analysis-table"><thead><tr>';
+        html += '<th>Стратегия</th><th>WS</th><th>Ранг WS</th><th>TOPSIS C</th><th>Ранг TOPSIS</th>';
+        html += '<th>VIKOR S</th><th>VIKOR R</th><th>VIKOR Q</th><th>Ранг VIKOR</th><th>Средний ранг</th>';
+        html += '</tr></thead><tbody>';
+        report.strategies
+            .map((strategy, i) => ({
+                strategy,
+                i,
+                ranks: [rankOf(weightedSum, i), rankOf(topsis, i), rankOf(vikor, i)]
+            }))
+            .map(row => ({ ...row, average: row.ranks.reduce((a, b) => a + b, 0) / row.ranks.length }))
+            .sort((a, b) => a.average - b.average || a.i - b.i)
+            .forEach(row => {
+                html += `<tr${row.ranks.every(rank => rank === 1) ? ' class="current-interval"' : ''}>
+                    <td>${this.escapeHTML(row.strategy)}</td>
+                    <td>${weightedSum.values[row.i].toFixed(4)}</td><td>${row.ranks[0]}</td>
+                    <td>${topsis.values[row.i].toFixed(4)}</td><td>${row.ranks[1]}</td>
+                    <td>${vikor.S[row.i].toFixed(4)}</td><td>${vikor.R[row.i].toFixed(4)}</td>
+                    <td>${vikor.values[row.i].toFixed(4)}</td><td>${row.ranks[2]}</td>
+                    <td>${row.average.toFixed(2)}</td>
+                </tr>`;
+            });
+        html += '</tbody></table>';
+        
+        if (!vikor.acceptableAdvantage || !vikor.acceptableStability) {
+            html += `<p class="analysis-note warning">${vikor.notice}.</p>`;
+        }
+        
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Генерация HTML для результатов имитационного моделирования
+     * @param {object} report - результат MonteCarloSimulator.run
+     * @returns {string} - HTML код раздела
+     */
+    generateMonteCarloHTML(report) {
+        let html = '<div class="summary-box analysis-section">';
+        html += `
+            <div class="summary-title">
+                Имитационное моделирование (Монте-Карло)
+                <span class="info-icon" data-criterion="monteCarlo" title="Информация о методе расчета">
+                    <i class="fas fa-info-circle"></i>
+                </span>
+            </div>
+        `;
+        
+        if (report.error) {
+            html += `<p class="analysis-note warning">Не удалось выполнить моделирование: ${report.error}</p></div>`;
+            return html;
+        }
+        
+        const level = Math.round(report.confidence * 100);
+        html += `
+            <p class="analysis-note">
+                Испытаний: ${report.iterations}, начальное значение генератора: ${report.seed},
+                случайных ячеек: ${report.stochasticCells}. Результаты приведены в исходных единицах матрицы.
+            </p>
+        `;
+        
+        html += '<table class="matrix-table analysis-table"><thead><tr>';
+        html += '<th>Стратегия</th><th>Среднее</th><th>σ</th>';
+        report.strategies[0].percentiles.forEach(p => {
+            html += `<th>P${p.level}</th>`;
+        });
+        html += `<th>VaR ${level}%</th><th>CVaR ${level}%</th><th>P(лучшая)</th>`;
+        html += '</tr></thead><tbody>';
+        
+        const bestShare = Math.max(...report.strategies.map(row => row.probabilityBest));
+        report.strategies.forEach(row => {
+            html += `<tr${row.probabilityBest === bestShare ? ' class="current-interval"' : ''}>
+                <td>${this.escapeHTML(row.strategy)}</td>
+                <td>${row.mean.toFixed(2)}</td>
+                <td>${row.standardDeviation.toFixed(2)}</td>
+                ${row.percentiles.map(p => `<td>${p.value.toFixed(2)}</td>`).join('')}
+                <td>${row.valueAtRisk.toFixed(2)}</td>
+                <td>${row.conditionalValueAtRisk.toFixed(2)}</td>
+                <td>${(row.probabilityBest * 100).toFixed(1)}%</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        
+        const tail = report.orientation === 'min'
+            ? `VaR - уровень затрат, превышаемый с вероятностью ${100 - level}%; CVaR - средние затраты в этих ${100 - level}% худших исходов.`
+            : `VaR - уровень результата, ниже которого он оказывается с вероятностью ${100 - level}%; CVaR - средний результат в этих ${100 - level}% худших исходов.`;
+        html += `<p class="analysis-note">${tail} P(лучшая) - доля испытаний, в которых стратегия дала наилучший результат.</p>`;
+        
+        html += '<div class="section-title" style="margin-top: 16px;">Распределения результатов стратегий</div>';
+        report.strategies.forEach((row, i) => {
+            html += this.createHistogram(row, i, report.range);
+        });
+        
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Создание гистограммы результатов стратегии
+     * @param {object} row - статистики стратегии с гистограммой
+     * @param {number} index - индекс стратегии (цвет графика)
+     * @param {object} range - общий диапазон значений { min, max }
+     * @returns {string} - SVG код гистограммы
+     */
+    createHistogram(row, index, range) {
+        const width = 560;
+        const height = 110;
+        const pad = { left: 15, right: 15, top: 20, bottom: 22 };
+        const span = range.max - range.min || 1;
+        const peak = Math.max(...row.histogram) || 1;
+        const barWidth = (width - pad.left - pad.right) / row.histogram.length;
+        
+        const x = v => pad.left + (v - range.min) / span * (width - pad.left - pad.right);
+        const y = share => height - pad.bottom - share / peak * (height - pad.top - pad.bottom);
+        
+        let svg = `<svg class="sensitivity-chart histogram-chart" viewBox="0 0 ${width} ${height}" role="img">`;
+        svg += `<text x="${pad.left}" y="12" class="chart-label">${this.escapeHTML(row.strategy)}</text>`;
+        svg += `<line x1="${pad.left}" y1="${y(0)}" x2="${width - pad.right}" y2="${y(0)}" class="chart-axis"/>`;
+        
+        row.histogram.forEach((share, bin) => {
+            if (share === 0) return;
+            svg += `<rect x="${pad.left + bin * barWidth}" y="${y(share)}" width="${Math.max(barWidth - 1, 1)}" ` +
+                `height="${y(0) - y(share)}" fill="${this.getChartColor(index)}">` +
+                `<title>${(share * 100).toFixed(1)}%</title></rect>`;
+        });
+        
+        // Среднее значение и граница VaR
+        svg += `<line x1="${x(row.mean)}" y1="${y(0)}" x2="${x(row.mean)}" y2="${pad.top}" class="chart-current">` +
+            `<title>Среднее ${row.mean.toFixed(2)}</title></line>`;
+        svg += `<line x1="${x(row.valueAtRisk)}" y1="${y(0)}" x2="${x(row.valueAtRisk)}" y2="${pad.top}" class="chart-switch">` +
+            `<title>VaR ${row.valueAtRisk.toFixed(2)}</title></line>`;
+        
+        [range.min, (range.min + range.max) / 2, range.max].forEach((value, idx) => {
+            const anchor = ['start', 'middle', 'end'][idx];
+            svg += `<text x="${x(value)}" y="${height - 6}" class="chart-label" text-anchor="${anchor}">${Number(value.toFixed(2))}</text>`;
+        });
+        svg += '</svg>';
+        
+        return svg;
+    }
+
+    /**
+     * Создание интерактивной схемы дерева решений
+     * Узлы решений - квадраты, случайные узлы - круги, конечные узлы - треугольники;
+     * ветви оптимальной политики выделяются, щелчок по узлу выбирает его для редактирования
+     * @param {DecisionTree} tree - дерево решений
+     * @param {object|null} solution - результат DecisionTreeSolver.solve
+     * @param {string} selectedId - идентификатор выбранного узла
+     * @returns {string} - SVG код схемы
+     */
+    createDecisionTreeSVG(tree, solution, selectedId) {
+        const dx = 190;
+        const dy = 58;
+        const pad = { left: 30, top: 30 };
+        const positions = {};
+        let leaf = 0;
+        
+        // Листья размещаются по порядку обхода, родитель - посередине между дочерними узлами
+        const place = (id, depth) => {
+            const children = tree.getNode(id).children;
+            if (children.length === 0) {
+                positions[id] = { x: pad.left + depth * dx, y: pad.top + leaf++ * dy };
+            } else {
+                children.forEach(childId => place(childId, depth + 1));
+                const ys = children.map(childId => positions[childId].y);
+                positions[id] = { x: pad.left + depth * dx, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+            }
+        };
+        place(tree.rootId, 0);
+        
+        const width = pad.left + (tree.getDepth() - 1) * dx + 150;
+        const height = pad.top + Math.max(leaf - 1, 0) * dy + 30;
+        const optimal = new Set(solution ? solution.optimalNodes : []);
+        const format = value => Number(value.toFixed(2));
+        
+        let svg = `<svg class="tree-chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">`;
+        
+        Object.values(tree.nodes).forEach(node => {
+            if (node.parentId === null) return;
+            const from = positions[node.parentId];
+            const to = positions[node.id];
+            const onPath = optimal.has(node.id) && optimal.has(node.parentId);
+            const midX = from.x + 40;
+            svg += `<polyline points="${from.x + 12},${from.y} ${midX},${to.y} ${to.x - 12},${to.y}" ` +
+                `class="tree-edge${onPath ? ' tree-edge-optimal' : ''}"/>`;
+            
+            let label = node.name;
+            if (node.probability !== null) label += ` (p = ${format(node.probability)})`;
+            svg += `<text x="${midX + 4}" y="${to.y - 6}" class="chart-label">${this.escapeHTML(label)}</text>`;
+            if (node.payoff !== 0 && node.type !== 'terminal') {
+                svg += `<text x="${midX + 4}" y="${to.y + 14}" class="chart-label">${format(node.payoff)}</text>`;
+            }
+        });
+        
+        Object.values(tree.nodes).forEach(node => {
+            const { x, y } = positions[node.id];
+            const classes = `tree-node${node.id === selectedId ? ' tree-node-selected' : ''}` +
+                `${optimal.has(node.id) ? ' tree-node-optimal' : ''}`;
+            svg += `<g class="${classes}" data-node-id="${this.escapeHTML(node.id)}">`;
+            if (node.type === 'decision') {
+                svg += `<rect x="${x - 11}" y="${y - 11}" width="22" height="22"/>`;
+            } else if (node.type === 'chance') {
+                svg += `<circle cx="${x}" cy="${y}" r="12"/>`;
+            } else {
+                svg += `<polygon points="${x - 12},${y} ${x + 8},${y - 10} ${x + 8},${y + 10}"/>`;
+            }
+            svg += `<title>${this.escapeHTML(node.name)}</title></g>`;
+            
+            if (solution && solution.values[node.id] !== undefined) {
+                const anchor = node.type === 'terminal' ? 'start' : 'end';
+                const labelX = node.type === 'terminal' ? x + 14 : x - 14;
+                svg += `<text x="${labelX}" y="${node.type === 'terminal' ? y + 4 : y - 14}" ` +
+                    `class="chart-label tree-value" text-anchor="${anchor}">${format(solution.values[node.id])}</text>`;
+            }
+        });
+        
+        svg += '</svg>';
+        return svg;
+    }
+
+    /**
+     * Создание формы редактирования выбранного узла дерева
+     * @param {DecisionTree} tree - дерево решений
+     * @param {string} nodeId - идентификатор выбранного узла
+     * @returns {string} - HTML код формы
+     */
+    createTreeNodeEditor(tree, nodeId) {
+        const node = tree.getNode(nodeId);
+        const isRoot = node.id === tree.rootId;
+        const types = { decision: 'узел решения', chance: 'случайный узел', terminal: 'конечный узел' };
+        
+        let html = `
+            <div class="param-row">
+                <label for="tree-node-name">Название:</label>
+                <input type="text" id="tree-node-name" value="${this.escapeHTML(node.name)}">
+            </div>
+            <div class="param-row">
+                <label for="tree-node-type">Тип узла:</label>
+                <select id="tree-node-type" class="param-select">
+                    ${Object.entries(types).map(([value, label]) =>
+                        `<option value="${value}"${value === node.type ? ' selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="param-row">
+                <label for="tree-node-payoff">${node.type === 'terminal' ? 'Результат исхода:' : 'Результат ветви (затраты со знаком минус):'}</label>
+                <input type="number" id="tree-node-payoff" step="any" value="${node.payoff}">
+            </div>
+        `;
+        if (node.probability !== null) {
+            html += `
+                <div class="param-row">
+                    <label for="tree-node-probability">Вероятность исхода:</label>
+                    <input type="number" id="tree-node-probability" min="0" max="1" step="0.05" value="${node.probability}">
+                </div>
+            `;
+        }
+        
+        html += '<div class="param-row">';
+        html += '<button class="btn btn-secondary" onclick="app.updateTreeNode()">Применить</button>';
+        if (node.type !== 'terminal') {
+            html += `
+                <button class="btn btn-secondary" onclick="app.addTreeNode('decision')">+ решение</button>
+                <button class="btn btn-secondary" onclick="app.addTreeNode('chance')">+ событие</button>
+                <button class="btn btn-secondary" onclick="app.addTreeNode('terminal')">+ исход</button>
+                <button class="btn btn-secondary" onclick="app.importMatrixToTree()">Импорт матрицы</button>
+            `;
+        }
+        if (!isRoot) {
+            html += '<button class="btn btn-secondary" onclick="app.removeTreeNode()">Удалить</button>';
+        }
+        html += '</div>';
+        
+        return html;
+    }
+
+    /**
+     * Генерация HTML для решения дерева (оптимальная политика)
+     * @param {object} solution - результат DecisionTreeSolver.solve или { error }
+     * @returns {string} - HTML код раздела
+     */
+    generateDecisionTreeHTML(solution) {
+        if (solution.error) {
+            return `<p class="analysis-note warning">Дерево не может быть решено: ${this.escapeHTML(solution.error)}</p>`;
+        }
+        
+        const criteria = {
+            expected: 'математическое ожидание',
+            laplace: 'равновероятные исходы (Лаплас)',
+            wald: 'наихудший исход (Вальд)',
+            maximax: 'наилучший исход (максимакс)',
+            hurwitz: `критерий Гурвица, α = ${solution.alpha}`
+        };
+        
+        let html = `
+            <div class="strategy-frequency">
+                <div class="frequency-item">
+                    <div class="strategy-name">Значение дерева</div>
+                    <div class="frequency-count">${solution.rootValue.toFixed(2)}</div>
+                    <div style="font-size: 0.8rem; color: #718096;">${criteria[solution.criterion]}</div>
+                </div>
+            </div>
+        `;
+        
+        html += '<div class="section-title">Оптимальная политика:</div><ol class="calculation-steps">';
+        solution.policy.forEach(step => {
+            html += `<li><strong>${this.escapeHTML(step.node)}:</strong> ${this.escapeHTML(step.choice)} ` +
+                `<span class="formula-inline">(${step.value.toFixed(2)})</span></li>`;
+        });
+        html += '</ol>';
+        
+        return html;
+    }
+
+    /**
+     * Цвет стратегии на графиках
+     * @param {number} index - индекс стратегии
+     * @returns {string} - цвет в формате HEX
+     */
+    getChartColor(index) {
+        const colors = ['#3182ce', '#e53e3e', '#38a169', '#d69e2e', '#805ad5',
+            '#dd6b20', '#319795', '#d53f8c', '#2c5282', '#718096'];
+        return colors[index % colors.length];
+    }
+
+    /**
+     * Создание легенды графика
+     * @param {Array} items - элементы легенды { name, index }
+     * @returns {string} - HTML код легенды
+     */
+    createChartLegend(items) {
+        let html = '<div class="chart-legend">';
+        items.forEach(item => {
+            html += `<span><i style="background: ${this.getChartColor(item.index)};"></i>${this.escapeHTML(item.name)}</span>`;
+        });
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Создание графика чувствительности критерия Гурвица к коэффициенту α
+     * @param {object} sweep - результат SensitivityAnalyzer.hurwitzSweep
+     * @param {number} alpha - текущее значение α
+     * @returns {string} - HTML код графика и таблицы интервалов
+     */
+    createHurwitzSensitivity(sweep, alpha) {
+        const width = 560;
+        const height = 240;
+        const pad = { left: 50, right: 15, top: 15, bottom: 30 };
+        
+        const values = sweep.lines.flatMap(line => [line.worst, line.best]);
+        let minValue = Math.min(...values);
+        let maxValue = Math.max(...values);
+        if (maxValue === minValue) {
+            minValue -= 1;
+            maxValue += 1;
+        }
+        
+        const x = a => pad.left + a * (width - pad.left - pad.right);
+        const y = v => pad.top + (maxValue - v) / (maxValue - minValue) * (height - pad.top - pad.bottom);
+        
+        let svg = `<svg class="sensitivity-chart" viewBox="0 0 ${width} ${height}" role="img">`;
+        
+        // Оси и подписи
+        svg += `<line x1="${x(0)}" y1="${y(minValue)}" x2="${x(1)}" y2="${y(minValue)}" class="chart-axis"/>`;
+        svg += `<line x1="${x(0)}" y1="${y(minValue)}" x2="${x(0)}" y2="${y(maxValue)}" class="chart-axis"/>`;
+        for (let tick = 0; tick <= 10; tick += 2) {
+            svg += `<text x="${x(tick / 10)}" y="${height - 10}" class="chart-label" text-anchor="middle">${tick / 10}</text>`;
+        }
+        [minValue, (minValue + maxValue) / 2, maxValue].forEach(value => {
+            svg += `<text x="${pad.left - 6}" y="${y(value) + 4}" class="chart-label" text-anchor="end">${Number(value.toFixed(2))}</text>`;
+        });
+        
+        // Точки переключения и текущее значение α
+        sweep.switchPoints.forEach(point => {
+            svg += `<line x1="${x(point.alpha)}" y1="${y(minValue)}" x2="${x(point.alpha)}" y2="${y(maxValue)}" class="chart-switch"/>`;
+        });
+        svg += `<line x1="${x(alpha)}" y1="${y(minValue)}" x2="${x(alpha)}" y2="${y(maxValue)}" class="chart-current"/>`;
+        
+        // Прямые H_i(α) для каждой стратегии
+        sweep.lines.forEach((line, i) => {
+            svg += `<line x1="${x(0)}" y1="${y(line.worst)}" x2="${x(1)}" y2="${y(line.best)}" ` +
+                `stroke="${this.getChartColor(i)}" stroke-width="2"><title>${this.escapeHTML(line.strategy)}</title></line>`;
+        });
+        svg += '</svg>';
+        
+        let html = svg;
+        html += this.createChartLegend(sweep.lines.map((line, i) => ({ name: line.strategy, index: i })));
+        
+        html += '<table class="matrix-table analysis-table"><thead><tr>' +
+            '<th>Интервал α</th><th>Рекомендуемая стратегия</th></tr></thead><tbody>';
+        sweep.intervals.forEach(interval => {
+            const current = alpha >= interval.from && alpha <= interval.to;
+            html += `<tr${current ? ' class="current-interval"' : ''}>` +
+                `<td>[${interval.from.toFixed(4)}; ${interval.to.toFixed(4)}]</td>` +
+                `<td>${this.escapeHTML(interval.strategy)}</td></tr>`;
+        });
+        html += '</tbody></table>';
+        
+        if (sweep.switchPoints.length === 0) {
+            html += `<p class="analysis-note">Рекомендация не зависит от α: при любом значении выбирается ${this.escapeHTML(sweep.intervals[0].strategy)}.</p>`;
+        } else {
+            html += '<ul class="calculation-steps">';
+            sweep.switchPoints.forEach(point => {
+                html += `<li>α = ${point.alpha.toFixed(4)}: ${this.escapeHTML(point.from)} → ${this.escapeHTML(point.to)} ` +
+                    `<span class="formula-inline">(H = ${point.value.toFixed(4)})</span></li>`;
+            });
+            html += '</ul>';
+        }
+        
+        return html;
+    }
+
+    /**
+     * Генерация HTML для журнала исключения доминируемых стратегий
+     * @param {object} dominance - результат DominanceAnalyzer.reduce
+     * @returns {string} - HTML код журнала
+     */
+    generateDominanceHTML(dominance) {
+        let html = '<div class="summary-box analysis-section">';
+        html += `
+            <div class="summary-title">
+                Исключение доминируемых стратегий
+                <span class="info-icon" data-criterion="dominance" title="Информация о методе расчета">
+                    <i class="fas fa-info-circle"></i>
+                </span>
+            </div>
+        `;
+        
+        if (dominance.log.length === 0) {
+            html += '<p class="analysis-note">Доминируемых стратегий не обнаружено, расчет выполнен по исходной матрице.</p>';
+            html += '</div>';
+            return html;
+        }
+        
+        html += '<ol class="calculation-steps">';
+        dominance.log.forEach(entry => {
+            const relation = entry.relation === 'strict' ? 'строго' : 'слабо';
+            const sign = dominance.orientation === 'min'
+                ? (entry.relation === 'strict' ? '<' : '≤')
+                : (entry.relation === 'strict' ? '>' : '≥');
+            if (entry.kind === 'strategy') {
+                html += `
+                    <li>
+                        Стратегия <strong>${this.escapeHTML(entry.removed)}</strong> ${relation} доминируется стратегией ${this.escapeHTML(entry.dominatingName)}:
+                        <span class="formula-inline">(${entry.dominatingValues.join(', ')}) ${sign} (${entry.values.join(', ')})</span>
+                        - исключена
+                    </li>
+                `;
+            } else {
+                html += `
+                    <li>
+                        Состояние <strong>${this.escapeHTML(entry.removed)}</strong> ${relation} невыгодно противнику по сравнению с ${this.escapeHTML(entry.dominatingName)}:
+                        <span class="formula-inline">(${entry.values.join(', ')}) ${sign} (${entry.dominatingValues.join(', ')})</span>
+                        - исключено
+                    </li>
+                `;
+            }
+        });
+        html += '</ol>';
+        
+        const reduced = dominance.matrix;
+        html += `<div class="section-title">Сокращенная матрица (${reduced.dimensions.strategies} × ${reduced.dimensions.states}):</div>`;
+        html += '<table class="matrix-table analysis-table"><thead><tr><th>Стратегии / Состояния</th>';
+        reduced.states.forEach(state => {
+            html += `<th>${this.escapeHTML(state)}</th>`;
+        });
+        html += '</tr></thead><tbody>';
+        reduced.data.forEach((row, i) => {
+            html += `<tr><td><strong>${this.escapeHTML(reduced.strategies[i])}</strong></td>`;
+            row.forEach(value => {
+                html += `<td>${value}</td>`;
+            });
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        
+        html += '<p class="analysis-note">Критерии рассчитаны по сокращенной матрице; исходная матрица сохранена без изменений.</p>';
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Генерация HTML для отчета о седловых точках
+     * @param {object} report - результат MatrixGameSolver.analyzeSaddlePoints
+     * @returns {string} - HTML код отчета
+     */
+    generateSaddlePointHTML(report) {
+        let html = '<div class="summary-box analysis-section">';
+        html += `
+            <div class="summary-title">
+                Проверка седловой точки (решение в чистых стратегиях)
+                <span class="info-icon" data-criterion="saddle" title="Информация о методе расчета">
+                    <i class="fas fa-info-circle"></i>
+                </span>
+            </div>
+            <p class="analysis-note">
+                Нижняя цена игры (максимин): <strong>${report.lowerValue}</strong>;
+                верхняя цена игры (минимакс): <strong>${report.upperValue}</strong>;
+                гарантированный результат по критерию Вальда: <strong>${report.waldValue}</strong>
+                ${report.orientation === 'min' ? '(матрица затрат)' : ''}
+            </p>
+        `;
+        
+        if (report.hasPureSolution) {
+            html += '<table class="matrix-table analysis-table"><thead><tr>';
+            html += '<th>Стратегия</th><th>Состояние природы</th><th>Значение</th>';
+            html += '</tr></thead><tbody>';
+            report.points.forEach(point => {
+                html += `<tr><td>${this.escapeHTML(point.strategy)}</td><td>${this.escapeHTML(point.state)}</td><td>${point.value}</td></tr>`;
+            });
+            html += '</tbody></table>';
+            html += `
+                <p class="analysis-note">
+                    <i class="fas fa-check-circle" style="color: #38a169;"></i>
+                    Найдено седловых точек: ${report.points.length}. Решение существует в чистых стратегиях.
+                </p>
+            `;
+        } else {
+            html += `
+                <p class="analysis-note warning">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    Седловых точек нет: решение в чистых стратегиях отсутствует.
+                </p>
+            `;
+        }
+        
+        if (report.waldEqualsMinimax) {
+            const plural = report.maximinStrategies.length > 1;
+            html += `
+                <p class="analysis-note">
+                    Нижняя и верхняя цены игры совпадают (α = β = ${report.lowerValue}):
+                    по критерию Вальда
+                    ${plural ? 'стратегии' : 'стратегия'} ${this.escapeHTML(report.maximinStrategies.join(', '))}
+                    ${plural ? 'оптимальны и не требуют' : 'оптимальна и не требует'} смешивания.
+                </p>
+            `;
+        } else {
+            html += `
+                <p class="analysis-note">
+                    Нижняя цена игры меньше верхней (α &lt; β): цена игры лежит в интервале
+                    [${report.lowerValue}; ${report.upperValue}].
+                </p>
+            `;
+        }
+        
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Генерация HTML для решения матричной игры
+     * @param {object} game - результат MatrixGameSolver.solve
+     * @returns {string} - HTML код решения игры
+     */
+    generateGameSolutionHTML(game) {
+        let html = '<div class="summary-box analysis-section">';
+        html += `
+            <div class="summary-title">
+                Решение матричной игры
+                <span class="info-icon" data-criterion="game" title="Информация о методе расчета">
+                    <i class="fas fa-info-circle"></i>
+                </span>
+            </div>
+        `;
+        
+        if (game.error) {
+            html += `<p class="analysis-note warning">Не удалось решить игру: ${game.error}</p>`;
+            html += '</div>';
+            return html;
+        }
+        
+        // Для матрицы затрат гарантия игрока A - верхняя цена игры, игрока B - нижняя
+        const isCost = game.orientation === 'min';
+        const lowerOwner = isCost ? game.guaranteeState : game.guaranteeStrategy;
+        const upperOwner = isCost ? game.guaranteeStrategy : game.guaranteeState;
+        
+        html += `
+            <div class="strategy-frequency">
+                <div class="frequency-item">
+                    <div class="strategy-name">Нижняя цена игры (максимин)</div>
+                    <div class="frequency-count">${game.lowerValue}</div>
+                    <div style="font-size: 0.8rem; color: #718096;">${this.escapeHTML(lowerOwner)}</div>
+                </div>
+                <div class="frequency-item">
+                    <div class="strategy-name">Верхняя цена игры (минимакс)</div>
+                    <div class="frequency-count">${game.upperValue}</div>
+                    <div style="font-size: 0.8rem; color: #718096;">${this.escapeHTML(upperOwner)}</div>
+                </div>
+                <div class="frequency-item">
+                    <div class="strategy-name">Цена игры</div>
+                    <div class="frequency-count">${game.value.toFixed(4)}</div>
+                    <div style="font-size: 0.8rem; color: #718096;">
+                        ${game.hasPureSolution ? 'решение в чистых стратегиях' : 'решение в смешанных стратегиях'}
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        html += this.generateMixedStrategyHTML('Оптимальная стратегия игрока A', game.strategies, game.playerStrategy);
+        html += this.generateMixedStrategyHTML('Оптимальная стратегия игрока B', game.states, game.opponentStrategy);
+        
+        html += '<ol class="calculation-steps">';
+        game.calculations.forEach(calc => {
+            html += `<li><strong>${calc.step}:</strong> <span class="formula-inline">${this.escapeHTML(calc.formula)}</span></li>`;
+        });
+        html += '</ol>';
+        
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Генерация HTML таблицы смешанной стратегии
+     * @param {string} title - заголовок таблицы
+     * @param {Array} names - названия чистых стратегий
+     * @param {Array} probabilities - вероятности применения
+     * @returns {string} - HTML код таблицы
+     */
+    generateMixedStrategyHTML(title, names, probabilities) {
+        let html = `<div class="section-title">${title}:</div>`;
+        html += '<table class="matrix-table analysis-table"><thead><tr>';
+        names.forEach(name => {
+            html += `<th>${this.escapeHTML(name)}</th>`;
+        });
+        html += '</tr></thead><tbody><tr>';
+        probabilities.forEach(probability => {
+            html += `<td>${probability.toFixed(4)}</td>`;
+        });
+        html += '</tr></tbody></table>';
+        return html;
+    }
+
+    /**
+     * Генерация HTML для частотного анализа
+     * @param {object} frequency - частотный анализ
+     * @returns {string} - HTML код частотного анализа
+     */
+    generateFrequencyHTML(frequency) {
+        let html = '<div class="summary-box">';
+        html += '<div class="summary-title">Частотный анализ рекомендаций</div>';
+        
+        if (Object.keys(frequency).length === 0) {
+            html += '<p style="text-align: center; color: #718096; padding: 20px;">Не удалось определить рекомендации по критериям</p>';
+        } else {
+            html += '<div class="strategy-frequency">';
+            const entries = Object.entries(frequency);
+            entries.sort((a, b) => b[1] - a[1]);
+            
+            entries.forEach(([strategy, count]) => {
+                const percentage = (count / entries.reduce((sum, [_, c]) => sum + c, 0) * 100).toFixed(1);
+                html += `
+                    <div class="frequency-item">
+                        <div class="strategy-name">${this.escapeHTML(strategy)}</div>
+                        <div class="frequency-count">${count}</div>
+                        <div style="font-size: 0.8rem; color: #718096;">
+                            ${percentage}% рекомендаций
+                        </div>
+                    </div>
+                `;
+            });
+            html += '</div>';
+        }
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Генерация HTML для сводного ранжирования стратегий (Борда, Копленд, Кемени)
+     * @param {object} final - итоговая рекомендация с результатом агрегирования
+     * @returns {string} - HTML код раздела
+     */
+    generateAggregationHTML(final) {
+        const aggregation = final.aggregation;
+        
+        let html = '<div class="summary-box analysis-section">';
+        html += `
+            <div class="summary-title">
+                Сводное ранжирование стратегий
+                <span class="info-icon" data-criterion="rankAggregation" title="Информация о методе расчета">
+                    <i class="fas fa-info-circle"></i>
+                </span>
+            </div>
+            <p class="analysis-note">
+                Полные ранжирования ${aggregation.criteriaCount} критериев объединены тремя правилами. 
+                Стратегия, занимающая второе место у всех критериев, получает баллы, даже если ни разу не была лучшей.
+            </p>
+        `;
+        
+        html += `
+            <table class="matrix-table analysis-table">
+                <thead>
+                    <tr>
+                        <th>Стратегия</th>
+                        <th>Первых мест</th>
+                        <th>Баллы Борда</th>
+                        <th>Ранг Борда</th>
+                        <th>Баллы Копленда</th>
+                        <th>Ранг Копленда</th>
+                        <th>Место по Кемени</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        aggregation.strategies.forEach(row => {
+            html += `
+                <tr${row.strategy === final.strategy ? ' class="current-interval"' : ''}>
+                    <td>${this.escapeHTML(row.strategy)}</td>
+                    <td>${row.firstPlaces}</td>
+                    <td>${row.borda.toFixed(1)}</td>
+                    <td>${row.bordaRank}</td>
+                    <td>${row.copeland}</td>
+                    <td>${row.copelandRank}</td>
+                    <td>${row.kemenyPosition}</td>
+                </tr>
+            `;
+        });
+        html += '</tbody></table>';
+        
+        html += `
+            <ul class="calculation-steps">
+                <li>Победитель по Борда: <strong>${this.escapeHTML(aggregation.borda.winners.join(', '))}</strong></li>
+                <li>Победитель по Копленду: <strong>${this.escapeHTML(aggregation.copeland.winners.join(', '))}</strong></li>
+                <li>Консенсус Кемени: <span class="formula-inline">${this.escapeHTML(aggregation.kemeny.order.join(' ≻ '))}</span>
+                    (расстояние Кендалла до критериев: ${aggregation.kemeny.distance})</li>
+            </ul>
+        `;
+        
+        if (!aggregation.kemeny.exact) {
+            html += `
+                <p class="analysis-note warning">
+                    Стратегий слишком много для точного поиска ранжирования Кемени: показано приближение, 
+                    итоговая рекомендация получена правилом Борда.
+                </p>
+            `;
+        }
+        
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Генерация HTML для итоговой рекомендации
+     * @param {object} final - итоговая рекомендация
+     * @param {string} analysisType - тип анализа
+     * @param {string} orientation - направление оптимизации матрицы (max/min)
+     * @returns {string} - HTML код итоговой рекомендации
+     */
+    generateFinalHTML(final, analysisType, orientation = 'max') {
+        let html = '<div class="final-recommendation">';
+        
+        if (final.strategy) {
+            const confidenceColor = {
+                'high': '#38a169',
+                'medium': '#d69e2e',
                 'low': '#e53e3e'
             }[final.confidence] || '#718096';
             
@@ -341,10 +2146,17 @@ class UIManager {
                 <h3 style="color: #2d3748; margin-bottom: 12px; font-size: 1.1rem;">
                     ИТОГОВАЯ РЕКОМЕНДАЦИЯ
                 </h3>
-                <div class="final-strategy">${final.strategy}</div>
+                <div class="final-strategy">${this.escapeHTML(final.strategy)}</div>
                 <p style="margin: 8px 0; color: #4a5568; font-size: 0.95rem;">
                     Рекомендована ${final.frequency} раз из ${final.total} критериев
                 </p>
+                <p style="margin: 8px 0; color: #4a5568; font-size: 0.95rem;">
+                    Метод выбора: ${{
+                        kemeny: 'консенсусное ранжирование Кемени',
+                        borda: 'правило Борда',
+                        frequency: 'частота рекомендаций'
+                    }[final.method]}
+                </p>
                 <p style="color: #4a5568; font-size: 0.95rem;">
                     Уровень поддержки: 
                     <strong style="color: ${confidenceColor};">${final.percentage}%</strong> 
@@ -356,7 +2168,7 @@ class UIManager {
                 html += `
                     <p style="margin-top: 8px; color: #d69e2e; font-size: 0.9rem;">
                         <i class="fas fa-exclamation-triangle"></i>
-                        Обнаружена ничья между стратегиями: ${final.alternatives.join(', ')}
+                        Обнаружена ничья между стратегиями: ${this.escapeHTML(final.alternatives.join(', '))}
                     </p>
                 `;
             }
@@ -376,8 +2188,12 @@ class UIManager {
         
         html += `
             <p style="margin-top: 12px; color: #718096; font-size: 0.85rem; font-style: italic;">
-                Анализ выполнен в условиях 
-                ${analysisType === 'uncertainty' ? 'полной неопределенности' : 'риска (вероятностная модель)'}
+                ${{
+                    uncertainty: 'Анализ выполнен в условиях полной неопределенности',
+                    risk: 'Анализ выполнен в условиях риска (вероятностная модель)',
+                    multicriteria: 'Выполнена многокритериальная оценка по взвешенным показателям'
+                }[analysisType]}
+                ${orientation === 'min' ? 'для матрицы затрат (меньшие значения лучше)' : ''}
             </p>
         `;
         
@@ -0,0 +1,222 @@
+/**
+ * Функция полезности для преобразования результатов перед анализом
+ * Результаты приводятся к выигрышам (затраты берутся с обратным знаком) и
+ * отображаются в полезности, которые всегда максимизируются
+ */
+class UtilityFunction {
+    /**
+     * Конструктор функции полезности
+     * @param {object} options - { type, coefficient, points }
+     *   type: 'linear' | 'exponential' | 'logarithmic' | 'power' | 'piecewise';
+     *   coefficient: коэффициент несклонности к риску r (exponential) или показатель степени γ (power);
+     *   points: узлы кусочно-линейной функции [[x, u], ...] в исходных единицах матрицы
+     *   (для матрицы затрат полезность должна убывать с ростом затрат)
+     */
+    constructor(options = {}) {
+        const { type = 'linear', coefficient = null, points = null } = options;
+        this.type = type;
+        this.coefficient = coefficient;
+        this.points = points;
+        this.low = 0;
+        this.high = 1;
+        this.sign = 1;
+        this.validate();
+    }
+
+    /**
+     * Проверка параметров функции полезности
+     */
+    validate() {
+        switch (this.type) {
+            case 'linear':
+            case 'logarithmic':
+                break;
+            case 'exponential':
+                if (typeof this.coefficient !== 'number' || isNaN(this.coefficient)) {
+                    throw new Error('Exponential utility requires a numeric risk-aversion coefficient');
+                }
+                break;
+            case 'power':
+                if (typeof this.coefficient !== 'number' || !(this.coefficient > 0)) {
+                    throw new Error('Power utility requires a positive exponent');
+                }
+                break;
+            case 'piecewise':
+                if (!Array.isArray(this.points) || this.points.length < 2) {
+                    throw new Error('Piecewise utility requires at least 2 points');
+                }
+                if (this.points.some(point => point.length !== 2 || point.some(v => typeof v !== 'number' || isNaN(v)))) {
+                    throw new Error('Piecewise utility points must be numeric pairs');
+                }
+                this.points = [...this.points].sort((a, b) => a[0] - b[0]);
+                for (let k = 1; k < this.points.length; k++) {
+                    if (this.points[k][0] === this.points[k - 1][0]) {
+                        throw new Error('Piecewise utility points must have distinct x values');
+                    }
+                }
+                break;
+            default:
+                throw new Error(`Unknown utility function type: ${this.type}`);
+        }
+    }
+
+    /**
+     * Является ли функция тождественной (нейтральность к риску без преобразования)
+     * @returns {boolean} - true для линейной функции
+     */
+    isIdentity() {
+        return this.type === 'linear';
+    }
+
+    /**
+     * Настройка шкалы по диапазону результатов
+     * Параметрические функции строятся на нормированной шкале z = (x − min) / (max − min),
+     * поэтому u(min) = 0 и u(max) = 1
+     * @param {Array} values - результаты (выигрыши)
+     * @param {number} sign - −1 если результаты получены из затрат с обратным знаком
+     */
+    fit(values, sign = 1) {
+        this.low = Math.min(...values);
+        this.high = Math.max(...values);
+        this.sign = sign;
+
+        if (this.type === 'piecewise') {
+            const nodes = this.getNodes();
+            if (nodes.some((node, k) => k > 0 && node[1] <= nodes[k - 1][1])) {
+                throw new Error(sign > 0
+                    ? 'Piecewise utility must strictly increase with the payoff'
+                    : 'Piecewise utility must strictly decrease with the cost');
+            }
+        }
+    }
+
+    /**
+     * Узлы кусочно-линейной функции на шкале выигрышей
+     * @returns {Array} - узлы [[x, u], ...], упорядоченные по x
+     */
+    getNodes() {
+        return this.points
+            .map(([x, u]) => [this.sign * x, u])
+            .sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * Значение полезности результата
+     * @param {number} x - результат (выигрыш)
+     * @returns {number} - полезность
+     */
+    value(x) {
+        const range = this.high - this.low;
+        const z = range > 0 ? (x - this.low) / range : 0;
+        const r = this.coefficient;
+
+        switch (this.type) {
+            case 'exponential':
+                return Math.abs(r) < 1e-9 ? z : (1 - Math.exp(-r * z)) / (1 - Math.exp(-r));
+            case 'logarithmic':
+                return range > 0 ? Math.log(1 + x - this.low) / Math.log(1 + range) : 0;
+            case 'power':
+                return Math.pow(Math.max(z, 0), r);
+            case 'piecewise':
+                return this.interpolate(this.getNodes(), x);
+            default:
+                return x;
+        }
+    }
+
+    /**
+     * Результат, имеющий заданную полезность (обратная функция)
+     * @param {number} u - полезность
+     * @returns {number} - результат (выигрыш)
+     */
+    inverse(u) {
+        const range = this.high - this.low;
+        const r = this.coefficient;
+        let z;
+
+        switch (this.type) {
+            case 'exponential':
+                z = Math.abs(r) < 1e-9 ? u : -Math.log(1 - u * (1 - Math.exp(-r))) / r;
+                return this.low + z * range;
+            case 'logarithmic':
+                return this.low + Math.exp(u * Math.log(1 + range)) - 1;
+            case 'power':
+                return this.low + Math.pow(Math.max(u, 0), 1 / r) * range;
+            case 'piecewise':
+                return this.interpolate(this.getNodes().map(([x, value]) => [value, x]), u);
+            default:
+                return u;
+        }
+    }
+
+    /**
+     * Кусочно-линейная интерполяция с линейным продолжением за крайние узлы
+     * @param {Array} nodes - узлы [[x, y], ...], упорядоченные по x
+     * @param {number} x - аргумент
+     * @returns {number} - значение
+     */
+    interpolate(nodes, x) {
+        let k = 1;
+        while (k < nodes.length - 1 && x > nodes[k][0]) k++;
+        const [x0, y0] = nodes[k - 1];
+        const [x1, y1] = nodes[k];
+        return y0 + (x - x0) * (y1 - y0) / (x1 - x0);
+    }
+
+    /**
+     * Построение матрицы полезностей
+     * @param {DecisionMatrix} matrix - исходная матрица (выигрышей или затрат)
+     * @returns {DecisionMatrix} - матрица полезностей (максимизация)
+     */
+    transform(matrix) {
+        const gains = matrix.toMaximization();
+        this.fit(gains.data.flat(), matrix.isMinimization() ? -1 : 1);
+        gains.data = gains.data.map(row => row.map(x => this.value(x)));
+        return gains;
+    }
+
+    /**
+     * Ожидаемые полезности и детерминированные эквиваленты стратегий
+     * Детерминированный эквивалент - гарантированный результат, равноценный стратегии: CE = u⁻¹(Σ p_j · u_ij)
+     * @param {DecisionMatrix} matrix - исходная матрица
+     * @param {Array} probabilities - вероятности состояний
+     * @returns {Array} - показатели по стратегиям в исходных единицах матрицы
+     */
+    certaintyEquivalents(matrix, probabilities) {
+        const sign = matrix.isMinimization() ? -1 : 1;
+        const utilities = this.transform(matrix);
+
+        return matrix.data.map((row, i) => {
+            const expectedUtility = utilities.data[i].reduce((sum, u, j) => sum + u * probabilities[j], 0);
+            const expectedValue = row.reduce((sum, x, j) => sum + x * probabilities[j], 0);
+            const certaintyEquivalent = sign * this.inverse(expectedUtility);
+            return {
+                strategy: matrix.strategies[i],
+                expectedUtility,
+                expectedValue,
+                certaintyEquivalent,
+                // Премия за риск: какую часть ожидаемого результата готовы отдать за определенность
+                riskPremium: sign * (expectedValue - certaintyEquivalent)
+            };
+        });
+    }
+
+    /**
+     * Описание функции для отображения
+     * @returns {string} - формула функции полезности
+     */
+    describe() {
+        switch (this.type) {
+            case 'exponential':
+                return `u(z) = (1 − e^(−${this.coefficient}·z)) / (1 − e^(−${this.coefficient}))`;
+            case 'logarithmic':
+                return 'u(x) = ln(1 + x − x_min) / ln(1 + x_max − x_min)';
+            case 'power':
+                return `u(z) = z^${this.coefficient}`;
+            case 'piecewise':
+                return `u(x) по узлам ${this.points.map(([x, u]) => `(${x}; ${u})`).join(', ')}`;
+            default:
+                return 'u(x) = x';
+        }
+    }
+}
\ No newline at end of file